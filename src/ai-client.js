@@ -1,6 +1,15 @@
 const axios = require('axios');
 const config = require('./config');
 const Logger = require('./logger');
+const { rateLimiter, parseRetryAfter, MAX_RATE_LIMIT_DELAY_MS } = require('./rate-limiter');
+const { FINISH_REASONS } = require('./providers/ai-provider');
+const { addFileUsage } = require('./run-report');
+
+// Attempts per prompt when the provider answers 429 Too Many Requests
+const MAX_RATE_LIMIT_RETRIES = 5;
+
+// Output tokens requested per prompt; reserved out of the context window
+const MAX_OUTPUT_TOKENS = 8192;
 
 /**
  * AI Client for handling requests to various AI providers
@@ -12,13 +21,20 @@ class AIClient {
     this.model = model;
     this.apiKey = apiKey;
 
+    // Follow-up requests made when a response stops at the output token limit
+    this.maxContinuations = config.maxContinuations;
+
+    // Token usage accumulated over all requests of this client
+    this.usage = { inputTokens: 0, outputTokens: 0, requests: 0 };
+
     // Validate provider and model
-    if (!config.aiProviderConfig[provider]) {
+    this.adapter = config.getAIProvider(provider);
+    if (!this.adapter) {
       throw new Error(`Unsupported AI provider: ${provider}`);
     }
 
     // Log warning if model is not in the validated list
-    if (!config.isValidModel(model)) {
+    if (!this.adapter.isValidModel(model)) {
       this.logger.warn(`Model '${model}' may not be supported by provider '${provider}'`);
     }
 
@@ -73,46 +89,18 @@ class AIClient {
    * @returns {object} - Request data
    */
   createRequestData(systemPrompt, userPrompt) {
-    const temperature = 0.3;
-
-    switch(this.provider) {
-      case 'openai':
-        return {
-          model: this.model,
-          messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: userPrompt }
-          ],
-          temperature,
-          max_tokens: 8192
-        };
-
-      case 'anthropic':
-        return {
-          model: this.model,
-          messages: [{ role: 'user', content: userPrompt }],
-          system: systemPrompt,
-          temperature,
-          max_tokens: 8192
-        };
-
-      case 'google':
-        return {
-          contents: [{
-            role: 'user',
-            parts: [{ text: `${systemPrompt}\n\n${userPrompt}` }]
-          }],
-          generationConfig: {
-            temperature,
-            topP: 0.8,
-            topK: 40,
-            maxOutputTokens: 8192
-          }
-        };
+    return this.adapter.createRequestData(this.model, systemPrompt, userPrompt, this.getGenerationOptions());
+  }
 
-      default:
-        throw new Error(`Unsupported AI provider: ${this.provider}`);
-    }
+  /**
+   * Get the generation options sent with every request
+   * @returns {object} - Generation options ({temperature, maxTokens})
+   */
+  getGenerationOptions() {
+    return {
+      temperature: 0.3,
+      maxTokens: MAX_OUTPUT_TOKENS
+    };
   }
 
   /**
@@ -122,47 +110,44 @@ class AIClient {
    */
   extractResponseText(response) {
     try {
-      switch(this.provider) {
-        case 'openai':
-          if (!response.data?.choices?.[0]?.message?.content) {
-            throw new Error('Invalid response structure from OpenAI');
-          }
-          return response.data.choices[0].message.content;
-
-        case 'anthropic':
-          if (!response.data?.content?.[0]?.text) {
-            throw new Error('Invalid response structure from Anthropic');
-          }
-          return response.data.content[0].text;
-
-        case 'google':
-          // Handle Google-specific errors
-          if (response.data.promptFeedback?.blockReason) {
-            throw new Error(`Content blocked by Google AI: ${response.data.promptFeedback.blockReason}`);
-          }
+      return this.adapter.extractResponseText(response.data);
+    } catch (error) {
+      this.logger.error('Failed to extract response text', error);
+      throw error;
+    }
+  }
 
-          if (!response.data.candidates?.length) {
-            throw new Error('No response candidates from Google AI');
-          }
+  /**
+   * Extract token usage from AI response
+   * @param {object} response - API response
+   * @returns {{inputTokens: number, outputTokens: number}} - Token usage (zero when not reported)
+   */
+  extractUsage(response) {
+    return this.adapter.extractUsage(response.data);
+  }
 
-          const candidate = response.data.candidates[0];
-          if (candidate.finishReason === 'SAFETY') {
-            throw new Error('Response blocked by Google AI safety filters');
-          }
+  /**
+   * Add the token usage of a response to the client totals and the file being processed
+   * @param {object} response - API response
+   * @returns {{inputTokens: number, outputTokens: number}} - Token usage of this response
+   */
+  recordUsage(response) {
+    const usage = this.extractUsage(response);
 
-          if (!candidate.content?.parts?.[0]?.text) {
-            throw new Error('Invalid response structure from Google AI');
-          }
+    this.usage.inputTokens += usage.inputTokens;
+    this.usage.outputTokens += usage.outputTokens;
+    this.usage.requests++;
+    addFileUsage(usage);
 
-          return candidate.content.parts[0].text;
+    return usage;
+  }
 
-        default:
-          throw new Error(`Unsupported AI provider: ${this.provider}`);
-      }
-    } catch (error) {
-      this.logger.error('Failed to extract response text', error);
-      throw error;
-    }
+  /**
+   * Get the total tokens used by this client
+   * @returns {number} - Input plus output tokens
+   */
+  getTotalTokens() {
+    return this.usage.inputTokens + this.usage.outputTokens;
   }
 
   /**
@@ -170,29 +155,43 @@ class AIClient {
    * @returns {string} - Full endpoint URL
    */
   buildEndpointUrl() {
-    const baseEndpoint = config.getAIEndpoint();
+    return this.adapter.buildEndpointUrl(this.model);
+  }
 
-    if (this.provider === 'google') {
-      return `${baseEndpoint}/${this.model}:generateContent`;
+  /**
+   * Send prompt to AI and return the response text
+   * @param {string} systemPrompt - System prompt
+   * @param {string} userPrompt - User prompt
+   * @returns {Promise<string>} - AI response text
+   * @throws {Error} - If the response is still cut off after the allowed continuations
+   */
+  async sendPrompt(systemPrompt, userPrompt) {
+    const result = await this.complete(systemPrompt, userPrompt);
+
+    if (result.finishReason === FINISH_REASONS.LENGTH) {
+      throw new Error(
+          `Response from ${this.provider} (${this.model}) is still truncated after ${result.continuations} continuation(s)`
+      );
     }
 
-    return baseEndpoint;
+    return result.text;
   }
 
   /**
-   * Send prompt to AI and process response
+   * Send prompt to AI, continuing the response while it stops at the output token limit
    * @param {string} systemPrompt - System prompt
    * @param {string} userPrompt - User prompt
-   * @returns {Promise<string>} - AI response text
+   * @returns {Promise<{text: string, finishReason: string, continuations: number, usage: object}>} - Response text,
+   *   finish reason of the last request (see FINISH_REASONS), continuation requests made and their combined token usage
    */
-  async sendPrompt(systemPrompt, userPrompt) {
+  async complete(systemPrompt, userPrompt) {
     const startTime = Date.now();
 
     try {
       this.logger.info(`Sending request to ${this.provider} (${this.model})`);
 
       const requestData = this.createRequestData(systemPrompt, userPrompt);
-      const headers = config.getAIHeaders();
+      const headers = this.adapter.headers(this.apiKey);
       const endpoint = this.buildEndpointUrl();
 
       this.logger.debug('Request details', {
@@ -202,24 +201,50 @@ class AIClient {
         promptLength: systemPrompt.length + userPrompt.length
       });
 
-      const response = await this.axiosInstance.post(endpoint, requestData, { headers });
+      let response = await this.postRequest(endpoint, requestData, headers);
+      let resultText = this.extractResponseText(response);
+      let finishReason = this.adapter.getFinishReason(response.data);
+      let continuations = 0;
+      const usage = this.recordUsage(response);
+
+      // Long documents can hit the output token limit; ask the model to resume where it stopped
+      while (finishReason === FINISH_REASONS.LENGTH && continuations < this.maxContinuations) {
+        const continuationData = this.adapter.createContinuationData(
+            this.model, systemPrompt, userPrompt, resultText, this.getGenerationOptions()
+        );
+        if (!continuationData) {
+          break;
+        }
 
-      // Check for non-success status codes
-      if (response.status >= 400) {
-        const errorMessage = this.extractErrorMessage(response);
-        throw new Error(`AI API returned error status ${response.status}: ${errorMessage}`);
+        continuations++;
+        this.logger.info(`Response reached the output token limit, continuing (${continuations}/${this.maxContinuations})`);
+
+        response = await this.postRequest(endpoint, continuationData, headers);
+        resultText = this.adapter.appendContinuation(resultText, this.extractResponseText(response));
+        finishReason = this.adapter.getFinishReason(response.data);
+
+        const continuationUsage = this.recordUsage(response);
+        usage.inputTokens += continuationUsage.inputTokens;
+        usage.outputTokens += continuationUsage.outputTokens;
       }
 
-      const resultText = this.extractResponseText(response);
       const duration = Date.now() - startTime;
 
+      if (finishReason === FINISH_REASONS.LENGTH) {
+        this.logger.warn(`Response from ${this.provider} (${this.model}) is truncated at the output token limit`);
+      }
+
       this.logger.info(`Response received from ${this.provider} (${this.model}) in ${duration}ms`);
       this.logger.debug('Response stats', {
         responseLength: resultText.length,
+        finishReason,
+        continuations,
+        inputTokens: usage.inputTokens,
+        outputTokens: usage.outputTokens,
         duration: `${duration}ms`
       });
 
-      return resultText;
+      return { text: resultText, finishReason, continuations, usage };
 
     } catch (error) {
       const duration = Date.now() - startTime;
@@ -238,34 +263,71 @@ class AIClient {
   }
 
   /**
-   * Extract error message from response
-   * @param {object} response - Axios response object
-   * @returns {string} - Error message
+   * Post a request and fail on error status codes
+   * @param {string} endpoint - Endpoint URL
+   * @param {object} requestData - Request body
+   * @param {object} headers - Request headers
+   * @returns {Promise<object>} - Axios response
    */
-  extractErrorMessage(response) {
-    const data = response.data;
+  async postRequest(endpoint, requestData, headers) {
+    const response = await this.postWithRateLimit(endpoint, requestData, headers);
+
+    // Check for non-success status codes
+    if (response.status >= 400) {
+      const errorMessage = this.extractErrorMessage(response);
+      throw new Error(`AI API returned error status ${response.status}: ${errorMessage}`);
+    }
 
-    // Common error message locations
-    if (data?.error?.message) return data.error.message;
-    if (data?.message) return data.message;
-    if (data?.detail) return data.detail;
-    if (typeof data === 'string') return data;
+    return response;
+  }
 
-    // Provider-specific error handling
-    switch(this.provider) {
-      case 'openai':
-        return data?.error?.message || JSON.stringify(data);
+  /**
+   * Post a request, waiting and retrying while the provider reports a rate limit.
+   * The wait is shared through the rate limiter so concurrent workers back off together.
+   * @param {string} endpoint - Endpoint URL
+   * @param {object} requestData - Request body
+   * @param {object} headers - Request headers
+   * @returns {Promise<object>} - Axios response
+   */
+  async postWithRateLimit(endpoint, requestData, headers) {
+    for (let attempt = 1; ; attempt++) {
+      await rateLimiter.waitForPause();
 
-      case 'anthropic':
-        return data?.error?.message || data?.message || JSON.stringify(data);
+      const response = await this.axiosInstance.post(endpoint, requestData, { headers });
+      if (response.status !== 429 || attempt >= MAX_RATE_LIMIT_RETRIES) {
+        return response;
+      }
 
-      case 'google':
-        return data?.error?.message || data?.[0]?.error?.message || JSON.stringify(data);
+      // Without retry-after fall back to exponential backoff
+      const delay = parseRetryAfter(response.headers) ?? Math.pow(2, attempt) * 1000;
+      if (delay > MAX_RATE_LIMIT_DELAY_MS) {
+        return response;
+      }
 
-      default:
-        return JSON.stringify(data);
+      this.logger.warn(`${this.provider} rate limit hit (attempt ${attempt}/${MAX_RATE_LIMIT_RETRIES})`);
+      rateLimiter.pause(delay, `${this.provider} rate limit`);
     }
   }
+
+  /**
+   * Extract error message from response
+   * @param {object} response - Axios response object
+   * @returns {string} - Error message
+   */
+  extractErrorMessage(response) {
+    return this.adapter.extractErrorMessage(response.data);
+  }
 }
 
+/**
+ * Roughly estimate the token count of a text without calling the provider
+ * @param {string} text - Text to estimate
+ * @returns {number} - Estimated tokens (about four characters per token)
+ */
+AIClient.estimateTokens = function(text) {
+  return Math.ceil((text || '').length / 4);
+};
+
+AIClient.MAX_OUTPUT_TOKENS = MAX_OUTPUT_TOKENS;
+
 module.exports = AIClient;
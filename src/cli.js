@@ -0,0 +1,533 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const { parseArgs } = require('util');
+
+// Config, AIClient and the prompt modules read action inputs when first required,
+// so they are loaded only after the CLI options have been mapped to inputs.
+
+const USAGE = `Usage: doxai [options] <path...>
+       doxai [options] --range <base>..<head>
+
+Generate documentation for local files without GitHub Actions.
+Only files tracked by git are documented; directories are searched recursively
+and files are filtered like in the action.
+
+Options:
+  --range <range>      Document files changed between two revisions (e.g. main..HEAD)
+  --output <dir>       Output directory (default: output.directory in .doxai.yml or docs)
+  --project <name>     Folder under the output directory (default: doxai)
+  --scope <scope>      all, or include:/exclude: clauses, e.g. "include:src/** exclude:**/*.test.*" (default: all)
+  --lang <lang>        Documentation language: ko, en
+  --format <format>    Documentation format: adoc, md
+  --provider <name>    AI provider (default: google)
+  --model <name>       AI model
+  --api-key <key>      AI API key (default: DOXAI_API_KEY or AI_API_KEY environment variable)
+  --base-url <url>     Base URL for the openai-compatible provider
+  --concurrency <n>    Files processed in parallel
+  --force              Regenerate docs even if the source is unchanged
+  --dry-run            List planned changes without calling the AI
+  -h, --help           Show this help`;
+
+const CLI_OPTIONS = {
+  range: { type: 'string' },
+  output: { type: 'string' },
+  project: { type: 'string', default: 'doxai' },
+  scope: { type: 'string' },
+  lang: { type: 'string' },
+  format: { type: 'string' },
+  provider: { type: 'string' },
+  model: { type: 'string' },
+  'api-key': { type: 'string' },
+  'base-url': { type: 'string' },
+  concurrency: { type: 'string' },
+  force: { type: 'boolean', default: false },
+  'dry-run': { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+// Option paths in the configuration overlay built from CLI flags, for error messages
+const OVERRIDE_FLAGS = {
+  'output.directory': '--output',
+  'defaults.language': '--lang',
+  'defaults.format': '--format',
+  'defaults.scope': '--scope',
+  'ai.provider': '--provider',
+  'ai.model': '--model',
+  'processing.concurrency': '--concurrency'
+};
+
+const GIT_STATUSES = {
+  A: 'added',
+  M: 'modified',
+  D: 'removed',
+  R: 'renamed',
+  C: 'added',
+  T: 'modified'
+};
+
+/**
+ * Parse command line arguments
+ * @param {Array} argv - Arguments without the node executable and script path
+ * @returns {{options: object, paths: Array}} - Parsed options and positional paths
+ */
+function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: CLI_OPTIONS, allowPositionals: true });
+
+  if (!values.help) {
+    if (values.range && positionals.length > 0) {
+      throw new Error('Use either paths or --range, not both');
+    }
+    if (!values.range && positionals.length === 0) {
+      throw new Error('No paths given. Pass files, directories or --range <base>..<head>');
+    }
+    // A single revision would make git diff against the working tree instead of a commit
+    if (values.range && !/\.\./.test(values.range)) {
+      throw new Error(`Invalid range: ${values.range}. Use <base>..<head>, e.g. ${values.range}..HEAD`);
+    }
+  }
+
+  return { options: values, paths: positionals };
+}
+
+/**
+ * Compute the git blob SHA of file content, matching the SHA the GitHub API reports
+ * @param {string} content - File content
+ * @returns {string} - Blob SHA
+ */
+function gitBlobSha(content) {
+  const buffer = Buffer.from(content, 'utf8');
+  return crypto.createHash('sha1')
+  .update(`blob ${buffer.length}\0`)
+  .update(buffer)
+  .digest('hex');
+}
+
+/**
+ * Parse `git diff --name-status` output into changed file entries
+ * @param {string} output - Command output
+ * @returns {Array} - Files shaped like GitHub PR files ({filename, status, previous_filename})
+ */
+function parseNameStatus(output) {
+  return output.split('\n').filter(line => line.trim()).map(line => {
+    const [code, ...paths] = line.split('\t');
+    const status = GIT_STATUSES[code[0]] || 'modified';
+
+    if (paths.length > 1) {
+      return { filename: paths[1], status, previous_filename: paths[0] };
+    }
+    return { filename: paths[0], status };
+  });
+}
+
+/**
+ * Runs the documentation pipeline against a local checkout
+ */
+class LocalDocumentationRunner {
+  /**
+   * @param {object} options - Parsed CLI options
+   * @param {string} cwd - Repository root
+   */
+  constructor(options, cwd = process.cwd()) {
+    this.options = options;
+    this.cwd = cwd;
+
+    // Loaded lazily, see the note at the top of this file
+    this.config = require('./config');
+    const Logger = require('./logger');
+    const FileFilter = require('./file-filter');
+
+    this.logger = new Logger('LocalRunner');
+    this.fileFilter = new FileFilter();
+  }
+
+  /**
+   * Run the CLI
+   * @returns {Promise<object>} - Results ({generated, updated, deleted, skipped, failed, usage})
+   */
+  async run() {
+    this.loadRepositoryConfig();
+    this.applyOverrides();
+
+    const { scope, format } = this.config.getCommandDefaults();
+
+    const changedFiles = this.options.range ? this.collectRangeFiles(this.options.range) : this.collectPathFiles(this.options.paths);
+    const files = this.fileFilter.filterByScope(changedFiles, scope);
+
+    const results = { generated: [], updated: [], deleted: [], skipped: [], failed: [] };
+    if (files.length === 0) {
+      console.log(`No files to document (${changedFiles.length} files checked, scope: ${scope})`);
+      return results;
+    }
+
+    const { DocumentationGenerator } = require('./main');
+    const AIClient = require('./ai-client');
+    const { rateLimiter } = require('./rate-limiter');
+
+    this.generator = new DocumentationGenerator();
+    this.generator.aiClient = this.options['dry-run'] ? null : new AIClient();
+    this.generator.fileFilter = this.fileFilter;
+    this.generator.dependencyContext = this.createDependencyContext(format);
+
+    const tree = this.listRepositoryFiles().map(filename => ({ path: filename }));
+    this.generator.checkDocPathCollisions(files, tree, { command: this.options.project, options: { format } });
+
+    rateLimiter.setConcurrency(this.config.concurrency);
+    const outcomes = await rateLimiter.map(files, file => this.processFile(file, format));
+
+    for (const outcome of outcomes) {
+      results[outcome.result].push(outcome);
+      console.log(`${outcome.result.padEnd(9)} ${outcome.doc || outcome.source}${outcome.reason ? ` (${outcome.reason})` : ''}`);
+    }
+
+    if (this.generator.aiClient) {
+      results.usage = { ...this.generator.aiClient.usage };
+    }
+    this.printSummary(results);
+
+    return results;
+  }
+
+  /**
+   * Apply .doxai.yml, .doxaiignore and .gitattributes from the working directory if they exist
+   */
+  loadRepositoryConfig() {
+    const { REPO_CONFIG_FILE, parseRepositoryConfig } = require('./repo-config');
+    const configPath = path.join(this.cwd, REPO_CONFIG_FILE);
+
+    if (fs.existsSync(configPath)) {
+      this.config.applyRepositoryConfig(parseRepositoryConfig(fs.readFileSync(configPath, 'utf8')));
+      this.logger.info(`Loaded ${REPO_CONFIG_FILE}`);
+    }
+
+    const { IGNORE_FILE, ATTRIBUTES_FILE } = require('./ignore-rules');
+    const readOptional = (filename) => {
+      const filePath = path.join(this.cwd, filename);
+      return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+    };
+    this.fileFilter.setRepositoryRules({ ignore: readOptional(IGNORE_FILE), attributes: readOptional(ATTRIBUTES_FILE) });
+  }
+
+  /**
+   * Apply CLI flags over .doxai.yml, so explicit flags always win
+   */
+  applyOverrides() {
+    const { validateRepositoryConfig } = require('./repo-config');
+    const CommandParser = require('./command-parser');
+    const { output, lang, format, scope, provider, model, concurrency } = this.options;
+
+    const overrides = { output: {}, defaults: {}, ai: {}, processing: {} };
+    if (output !== undefined) overrides.output.directory = output;
+    if (lang !== undefined) overrides.defaults.language = lang;
+    if (format !== undefined) overrides.defaults.format = format;
+    if (scope !== undefined) overrides.defaults.scope = scope;
+    if (provider !== undefined) overrides.ai.provider = provider;
+    if (model !== undefined) overrides.ai.model = model;
+    if (concurrency !== undefined) overrides.processing.concurrency = Number(concurrency);
+
+    const errors = validateRepositoryConfig(overrides).map(error =>
+        error.replace(/^[\w.]+(?=:)/, keyPath => OVERRIDE_FLAGS[keyPath] || keyPath)
+    );
+
+    // Scope syntax is checked by the same rules as the PR comment command
+    const parser = new CommandParser();
+    const scopeOption = { scope: parser.commandConfig.doxai.options.scope };
+    errors.push(...parser.validateOptions({ scope: scope || this.config.defaultScope }, scopeOption));
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid options:\n${errors.map(e => `- ${e}`).join('\n')}`);
+    }
+
+    this.config.applyRepositoryConfig(overrides);
+  }
+
+  /**
+   * Collect the tracked files under paths and directories, so untracked and ignored files are left out
+   * @param {Array} paths - Files or directories relative to the working directory
+   * @returns {Array} - Files shaped like GitHub PR files
+   */
+  collectPathFiles(paths) {
+    const relativePaths = paths.map(inputPath => {
+      const relativePath = path.relative(this.cwd, path.resolve(this.cwd, inputPath));
+      if (relativePath.startsWith('..')) {
+        throw new Error(`Path is outside the working directory: ${inputPath}`);
+      }
+      if (!fs.existsSync(path.join(this.cwd, relativePath))) {
+        throw new Error(`Path not found: ${inputPath}`);
+      }
+      return relativePath || '.';
+    });
+
+    // -z keeps unusual file names unquoted; files deleted from the working tree are still listed
+    const trackedFiles = this.git(['ls-files', '-z', '--', ...relativePaths])
+    .split('\0')
+    .filter(filename => filename && fs.existsSync(path.join(this.cwd, filename)));
+
+    return [...new Set(trackedFiles)].map(filename => ({ filename, status: 'modified' }));
+  }
+
+  /**
+   * Collect files changed in a git range, reading content at the head revision
+   * @param {string} range - Git range such as main..HEAD
+   * @returns {Array} - Files shaped like GitHub PR files, with patches
+   */
+  collectRangeFiles(range) {
+    this.headRef = range.split(/\.{2,3}/)[1] || 'HEAD';
+
+    return parseNameStatus(this.git(['diff', '--name-status', '-M', range])).map(file => ({
+      ...file,
+      patch: file.status === 'removed' ? undefined : this.git(['diff', range, '--', file.filename])
+    }));
+  }
+
+  /**
+   * Run a git command in the working directory
+   * @param {Array} args - Git arguments
+   * @returns {string} - Standard output
+   */
+  git(args) {
+    try {
+      return execFileSync('git', args, {
+        cwd: this.cwd,
+        encoding: 'utf8',
+        maxBuffer: 64 * 1024 * 1024,
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+    } catch (error) {
+      throw new Error(`git ${args.join(' ')} failed: ${error.stderr || error.message}`);
+    }
+  }
+
+  /**
+   * Read the source content of a file
+   * @param {string} filename - File path relative to the working directory
+   * @returns {string} - File content
+   */
+  readSource(filename) {
+    if (this.headRef) {
+      return this.git(['show', `${this.headRef}:${filename}`]);
+    }
+    return fs.readFileSync(path.join(this.cwd, filename), 'utf8');
+  }
+
+  /**
+   * List the files of the checkout, or of the head of the range
+   * @returns {Array} - Repository paths
+   */
+  listRepositoryFiles() {
+    const args = this.headRef ? ['ls-tree', '-r', '--name-only', this.headRef] : ['ls-files'];
+    return this.git(args).split('\n').filter(Boolean);
+  }
+
+  /**
+   * Create the dependency context reading related modules from the checkout
+   * @param {string} format - Documentation format
+   * @returns {object} - Dependency context
+   */
+  createDependencyContext(format) {
+    const { DependencyContext } = require('./dependency-context');
+
+    return new DependencyContext({
+      listFiles: async () => this.listRepositoryFiles(),
+      readFile: async (filename) => this.readSource(filename),
+      readDoc: async (filename) => {
+        const docFile = path.join(this.cwd, this.generator.getDocPath(filename, this.options.project, format));
+        return fs.existsSync(docFile) ? fs.readFileSync(docFile, 'utf8') : null;
+      },
+      docFormat: format
+    });
+  }
+
+  /**
+   * Generate, update, delete or skip the documentation of one file
+   * @param {object} file - File entry
+   * @param {string} format - Documentation format
+   * @returns {Promise<object>} - Outcome ({source, doc, result, reason})
+   */
+  async processFile(file, format) {
+    const { TEMPLATE_VERSION, readDocMetadata, writeDocMetadata, renameDocSource, isDocStale } = require('./doc-metadata');
+    const project = this.options.project;
+    const dryRun = this.options['dry-run'];
+
+    try {
+      if (file.status === 'removed') {
+        const docs = ['adoc', 'md']
+        .map(docFormat => this.generator.getDocPath(file.filename, project, docFormat))
+        .filter(doc => fs.existsSync(path.join(this.cwd, doc)));
+
+        if (docs.length === 0) {
+          return { source: file.filename, result: 'skipped', reason: 'No documentation to delete' };
+        }
+        if (!dryRun) {
+          docs.forEach(doc => fs.rmSync(path.join(this.cwd, doc)));
+        }
+        return { source: file.filename, doc: docs.join(', '), result: 'deleted' };
+      }
+
+      const content = this.readSource(file.filename);
+      const sourceSha = gitBlobSha(content);
+      const doc = this.generator.getDocPath(file.filename, project, format);
+      const docFile = path.join(this.cwd, doc);
+      let existingDoc = fs.existsSync(docFile) ? fs.readFileSync(docFile, 'utf8') : null;
+
+      // A renamed source takes the doc of its previous path along
+      let previousDoc = null;
+      if (!existingDoc && file.status === 'renamed' && file.previous_filename) {
+        const previousPath = this.generator.getDocPath(file.previous_filename, project, format);
+        if (previousPath !== doc && fs.existsSync(path.join(this.cwd, previousPath))) {
+          previousDoc = previousPath;
+          existingDoc = renameDocSource(
+              fs.readFileSync(path.join(this.cwd, previousPath), 'utf8'),
+              file.previous_filename,
+              file.filename,
+              format
+          );
+        }
+      }
+      const movedReason = previousDoc ? `Moved from ${previousDoc}` : undefined;
+      const removePreviousDoc = () => {
+        if (previousDoc) {
+          fs.rmSync(path.join(this.cwd, previousDoc));
+        }
+      };
+
+      if (existingDoc && !this.options.force && !isDocStale(readDocMetadata(existingDoc, format), sourceSha)) {
+        if (!previousDoc) {
+          return { source: file.filename, doc, result: 'skipped', reason: 'Source unchanged' };
+        }
+        if (!dryRun) {
+          fs.mkdirSync(path.dirname(docFile), { recursive: true });
+          fs.writeFileSync(docFile, existingDoc);
+          removePreviousDoc();
+        }
+        return { source: file.filename, doc, result: 'updated', reason: movedReason };
+      }
+
+      const result = existingDoc ? 'updated' : 'generated';
+      if (dryRun) {
+        return { source: file.filename, doc, result, reason: previousDoc ? `dry run, ${movedReason}` : 'dry run' };
+      }
+
+      const docContent = await this.generator.generateDocumentation(
+          file.filename,
+          content,
+          existingDoc,
+          this.getLocalDetails(),
+          this.config.language,
+          format,
+          file.patch
+      );
+
+      fs.mkdirSync(path.dirname(docFile), { recursive: true });
+      fs.writeFileSync(docFile, writeDocMetadata(docContent, format, { sourceSha, templateVersion: TEMPLATE_VERSION }));
+      removePreviousDoc();
+
+      return { source: file.filename, doc, result, reason: movedReason };
+    } catch (error) {
+      this.logger.error(`Failed to process file: ${file.filename}`, error);
+      return { source: file.filename, result: 'failed', reason: error.message };
+    }
+  }
+
+  /**
+   * Build the PR details the prompts expect for a local run
+   * @returns {object} - PR-like details
+   */
+  getLocalDetails() {
+    if (!this.localDetails) {
+      let author = 'local';
+      try {
+        author = this.git(['config', 'user.name']).trim() || author;
+      } catch (error) {
+        // Not a git checkout or no user configured
+      }
+
+      const now = new Date().toISOString();
+      this.localDetails = { number: 'local', title: 'Local run', author, createdAt: now, updatedAt: now, mergedBy: null };
+    }
+    return this.localDetails;
+  }
+
+  /**
+   * Print the run summary
+   * @param {object} results - Run results
+   */
+  printSummary(results) {
+    console.log(
+        `\nGenerated: ${results.generated.length}, Updated: ${results.updated.length}, ` +
+        `Deleted: ${results.deleted.length}, Skipped: ${results.skipped.length}, Failed: ${results.failed.length}`
+    );
+
+    if (results.usage) {
+      console.log(this.generator.formatTokenUsage(results.usage).trim());
+    }
+  }
+}
+
+/**
+ * Map CLI options without a .doxai.yml equivalent to the action inputs read by Config
+ * @param {object} options - Parsed CLI options
+ */
+function applyInputs(options) {
+  // Config reads inputs from INPUT_* variables, the same way the Actions runner passes them
+  const setInput = (name, value) => {
+    process.env[`INPUT_${name.toUpperCase()}`] = value;
+  };
+
+  process.env.DOXAI_CLI = 'true';
+
+  const apiKey = options['api-key'] || process.env.DOXAI_API_KEY || process.env.AI_API_KEY;
+  if (apiKey) {
+    setInput('ai-api-key', apiKey);
+  } else if (options['dry-run']) {
+    // Dry runs never reach the provider, but Config still requires a key for most providers
+    setInput('ai-api-key', 'dry-run');
+  }
+
+  if (options['base-url'] !== undefined) {
+    setInput('ai-base-url', options['base-url']);
+  }
+  if (options.provider !== undefined) {
+    // Provider specific validation runs when Config is created
+    setInput('ai-provider', options.provider);
+  }
+}
+
+/**
+ * CLI entry point
+ * @param {Array} argv - Arguments without the node executable and script path
+ * @returns {Promise<number>} - Exit code
+ */
+async function main(argv = process.argv.slice(2)) {
+  let parsed;
+  try {
+    parsed = parseCliArgs(argv);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (parsed.options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  try {
+    applyInputs(parsed.options);
+    const runner = new LocalDocumentationRunner({ ...parsed.options, paths: parsed.paths });
+    const results = await runner.run();
+    return results.failed.length > 0 ? 1 : 0;
+  } catch (error) {
+    console.error(`doxai: ${error.message}`);
+    return 1;
+  }
+}
+
+module.exports = {
+  LocalDocumentationRunner,
+  parseCliArgs,
+  parseNameStatus,
+  gitBlobSha,
+  main
+};
@@ -1,4 +1,5 @@
 const Logger = require('./logger');
+const { SCOPE_SYNTAX, isValidScope } = require('./scope-parser');
 
 /**
  * Parser for PR comment commands
@@ -11,21 +12,36 @@ class CommandParser {
     this.commandConfig = {
       doxai: {
         description: 'Generate documentation for code files',
+        subcommands: {
+          preview: 'Post the generated docs as a comment on an open PR without creating a branch or docs PR'
+        },
         options: {
           scope: {
             type: 'string',
             default: 'all',
-            validate: (value) => {
-              const validPatterns = /^(all|include:[^-\s]+|exclude:[^-\s]+)$/;
-              return validPatterns.test(value);
-            },
-            description: 'Filter files: all, include:pattern, exclude:pattern'
+            // Further include:/exclude: clauses after the first one belong to the same scope
+            continuation: /^(?:include|exclude):/,
+            validate: isValidScope,
+            description: `Filter files: ${SCOPE_SYNTAX}`
           },
           lang: {
             type: 'string',
             default: 'en',
             validate: (value) => ['ko', 'en'].includes(value),
             description: 'Documentation language: ko, en'
+          },
+          format: {
+            type: 'string',
+            default: 'adoc',
+            validate: (value) => ['adoc', 'md'].includes(value),
+            description: 'Documentation format: adoc, md'
+          },
+          'dry-run': {
+            type: 'boolean',
+            default: false,
+            description: 'Comment the planned changes without calling the AI or committing',
+            // Previews always generate docs, so there is nothing to plan
+            excludedSubcommands: ['preview']
           }
         }
       }
@@ -35,9 +51,10 @@ class CommandParser {
   /**
    * Parse command from comment body
    * @param {string} commentBody - PR comment content
+   * @param {object} defaults - Default option values overriding the built-in ones
    * @returns {object|null} - Parsed command or null
    */
-  parse(commentBody) {
+  parse(commentBody, defaults = {}) {
     if (!commentBody || typeof commentBody !== 'string') {
       return null;
     }
@@ -49,7 +66,7 @@ class CommandParser {
       return null;
     }
 
-    const [, commandName, optionsString] = commandMatch;
+    const [, commandName, argsString] = commandMatch;
 
     // Check if command is supported
     if (!this.commandConfig[commandName]) {
@@ -59,15 +76,19 @@ class CommandParser {
 
     this.logger.info(`Parsing command: ${commandName}`);
 
+    // A leading word naming a subcommand (e.g. !doxai preview) selects it, options follow
+    const { subcommand, optionsString } = this.parseSubcommand(argsString, this.commandConfig[commandName].subcommands);
+
     // Parse options
-    const options = this.parseOptions(optionsString, this.commandConfig[commandName].options);
+    const options = this.parseOptions(optionsString, this.commandConfig[commandName].options, defaults);
 
     // Validate options
-    const validationErrors = this.validateOptions(options, this.commandConfig[commandName].options);
+    const validationErrors = this.validateOptions(options, this.commandConfig[commandName].options, subcommand);
     if (validationErrors.length > 0) {
       this.logger.warn('Command validation errors', validationErrors);
       return {
         command: commandName,
+        subcommand,
         valid: false,
         errors: validationErrors,
         options
@@ -76,41 +97,77 @@ class CommandParser {
 
     return {
       command: commandName,
+      subcommand,
       valid: true,
       options,
       rawCommand: commandMatch[0]
     };
   }
 
+  /**
+   * Split a leading subcommand from the options
+   * @param {string} argsString - Text after the command name
+   * @param {object} subcommands - Subcommand descriptions keyed by name
+   * @returns {{subcommand: string|null, optionsString: string}} - Subcommand and remaining options
+   */
+  parseSubcommand(argsString, subcommands = {}) {
+    const match = argsString.match(/^\s+([a-z][\w-]*)(?=\s|$)/);
+    if (match && subcommands[match[1]]) {
+      return { subcommand: match[1], optionsString: argsString.substring(match[0].length) };
+    }
+
+    return { subcommand: null, optionsString: argsString };
+  }
+
   /**
    * Parse options from string
    * @param {string} optionsString - Options string
    * @param {object} optionConfig - Option configuration
+   * @param {object} defaults - Default option values overriding the built-in ones
    * @returns {object} - Parsed options
    */
-  parseOptions(optionsString, optionConfig) {
+  parseOptions(optionsString, optionConfig, defaults = {}) {
     const options = {};
 
     // Set defaults
     for (const [key, config] of Object.entries(optionConfig)) {
-      options[key] = config.default;
+      options[key] = defaults[key] !== undefined ? defaults[key] : config.default;
     }
 
     if (!optionsString || !optionsString.trim()) {
       return options;
     }
 
-    // Parse --key value patterns
-    const optionRegex = /--(\w+)\s+([^\s-]+(?:[^\s-]*)?)/g;
-    let match;
+    // Parse --key value pairs; values are the next token unless it is another option,
+    // boolean options may be given as a bare flag
+    const tokens = optionsString.trim().split(/\s+/);
 
-    while ((match = optionRegex.exec(optionsString)) !== null) {
-      const [, key, value] = match;
-      if (optionConfig[key]) {
-        options[key] = this.parseValue(value, optionConfig[key].type);
-      } else {
+    for (let i = 0; i < tokens.length; i++) {
+      const match = tokens[i].match(/^--([\w-]+)$/);
+      if (!match) {
+        continue;
+      }
+
+      const key = match[1];
+      const config = optionConfig[key];
+      if (!config) {
         this.logger.warn(`Unknown option: --${key}`);
+        continue;
       }
+
+      const values = [];
+      while (i + 1 < tokens.length && !tokens[i + 1].startsWith('--') &&
+          (values.length === 0 || (config.continuation && config.continuation.test(tokens[i + 1])))) {
+        values.push(tokens[++i]);
+      }
+
+      if (values.length === 0) {
+        if (config.type === 'boolean') {
+          options[key] = true;
+        }
+        continue;
+      }
+      options[key] = this.parseValue(values.join(' '), config.type);
     }
 
     return options;
@@ -138,9 +195,10 @@ class CommandParser {
    * Validate options
    * @param {object} options - Parsed options
    * @param {object} optionConfig - Option configuration
+   * @param {string|null} subcommand - Selected subcommand, options may not apply to it
    * @returns {Array} - Validation errors
    */
-  validateOptions(options, optionConfig) {
+  validateOptions(options, optionConfig, subcommand = null) {
     const errors = [];
 
     for (const [key, config] of Object.entries(optionConfig)) {
@@ -156,6 +214,10 @@ class CommandParser {
       if (config.validate && !config.validate(value)) {
         errors.push(`Invalid value for --${key}: ${value}. ${config.description}`);
       }
+
+      if (subcommand && value && config.excludedSubcommands?.includes(subcommand)) {
+        errors.push(`Option --${key} cannot be used with ${subcommand}`);
+      }
     }
 
     return errors;
@@ -173,6 +235,15 @@ class CommandParser {
     }
 
     let help = `**!${commandName}** - ${config.description}\n\n`;
+
+    if (config.subcommands) {
+      help += '**Subcommands:**\n';
+      for (const [name, description] of Object.entries(config.subcommands)) {
+        help += `- \`${name}\`: ${description}\n`;
+      }
+      help += '\n';
+    }
+
     help += '**Options:**\n';
 
     for (const [key, optConfig] of Object.entries(config.options)) {
@@ -181,10 +252,26 @@ class CommandParser {
       help += `- \`--${key}\`: ${optConfig.description}${required}${defaultVal}\n`;
     }
 
+    if (config.options.scope) {
+      help += '\n**Scope syntax:**\n';
+      help += '- `all` - Every documentable file\n';
+      help += '- `include:<patterns>` - Only files matching the comma-separated patterns\n';
+      help += '- `exclude:<patterns>` - Skip files matching the patterns\n';
+      help += '- Clauses are separated by a space; includes are applied first, then excludes\n';
+      help += '- Patterns are `.gitignore`-style globs matched against the full path: ' +
+          '`*` and `?` stay within a folder, `**` spans folders, `{a,b}` lists alternatives, `!` negates\n';
+    }
+
     help += '\n**Examples:**\n';
     help += `- \`!${commandName}\` - Use all defaults\n`;
     help += `- \`!${commandName} --scope include:utils,services\` - Only document utils and services\n`;
-    help += `- \`!${commandName} --scope exclude:test --lang ko\` - Exclude test files, Korean docs\n`;
+    help += `- \`!${commandName} --scope exclude:**/*.test.*,test/ --lang ko\` - Exclude *.test.* files and test/ directories, Korean docs\n`;
+    help += `- \`!${commandName} --scope include:src/**,lib/** exclude:**/*.test.*\` - Document src and lib without tests\n`;
+    help += `- \`!${commandName} --format md\` - Generate Markdown instead of AsciiDoc\n`;
+    help += `- \`!${commandName} --dry-run\` - Preview planned changes without committing\n`;
+    if (config.subcommands?.preview) {
+      help += `- \`!${commandName} preview --lang ko\` - Show generated docs on an open PR\n`;
+    }
 
     return help;
   }
@@ -212,7 +299,8 @@ CommandParser.parseCommand = function(commentBody) {
   return {
     project: result.command,
     scope: result.options.scope,
-    lang: result.options.lang
+    lang: result.options.lang,
+    format: result.options.format
   };
 };
 
@@ -1,42 +1,51 @@
 const path = require('path');
 const core = require('@actions/core');
+const { REPO_CONFIG_FILE, MAX_CONCURRENCY, parseRepositoryConfig } = require('./repo-config');
+const { createProviders } = require('./providers');
+const { REPORT_FILE } = require('./run-report');
+const { DEFAULT_DOC_PATH_TEMPLATE } = require('./doc-path');
+const Logger = require('./logger');
 
 class Config {
   constructor() {
-    this.githubToken = this.getRequiredInput('github-token');
+    // The local CLI (bin/doxai) never talks to GitHub
+    this.isCli = process.env.DOXAI_CLI === 'true';
+    this.githubToken = this.isCli ? this.getInput('github-token') : this.getRequiredInput('github-token');
     this.aiProvider = this.getInput('ai-provider', 'google');
     this.aiModel = this.getInput('ai-model', 'gemini-2.0-flash');
-    this.aiApiKey = this.getRequiredInput('ai-api-key');
+    this.aiApiKey = this.getInput('ai-api-key');
+    this.aiBaseUrl = this.getInput('ai-base-url');
+    this.aiAuthHeader = this.getInput('ai-auth-header');
+    this.azureEndpoint = process.env.AZURE_OPENAI_ENDPOINT || '';
+    this.azureApiVersion = this.getInput('azure-api-version');
+    this.aiContextWindow = Number(this.getInput('ai-context-window', '0'));
+    this.anthropicAllowedModels = this.getInput('anthropic-allowed-models')
+    .split(',')
+    .map(model => model.trim())
+    .filter(Boolean);
     this.language = this.getInput('language', 'en');
+    this.outputDir = 'docs';
+    this.docPathTemplate = DEFAULT_DOC_PATH_TEMPLATE;
+    this.docPathMappings = [];
+    this.defaultScope = 'all';
+    this.defaultFormat = 'adoc';
+    this.concurrency = Number(this.getInput('concurrency', '3'));
+    this.maxTokensPerRun = Number(this.getInput('max-tokens-per-run', '0'));
+    this.maxContinuations = Number(this.getInput('max-continuations', '3'));
+    this.runOnMerge = this.getInput('run-on-merge', 'false') === 'true';
+    this.sweepChunkSize = Number(this.getInput('sweep-chunk-size', '25'));
+    this.sweepTimeLimit = Number(this.getInput('sweep-time-limit', '300'));
+    this.logFormat = this.getInput('log-format', 'text');
+    this.reportPath = this.getInput('report-path', REPORT_FILE);
 
-    // AI provider configurations
-    this.aiProviderConfig = {
-      openai: {
-        endpoint: 'https://api.openai.com/v1/chat/completions',
-        models: ['gpt-4', 'gpt-4-turbo', 'gpt-3.5-turbo'],
-        headers: (apiKey) => ({
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`
-        })
-      },
-      anthropic: {
-        endpoint: 'https://api.anthropic.com/v1/messages',
-        models: ['claude-3-opus', 'claude-3-sonnet', 'claude-3-haiku'],
-        headers: (apiKey) => ({
-          'Content-Type': 'application/json',
-          'x-api-key': apiKey,
-          'anthropic-version': '2025-05-01'
-        })
-      },
-      google: {
-        endpoint: 'https://generativelanguage.googleapis.com/v1beta/models',
-        models: ['gemini-2.0-flash', 'gemini-2.0-flash-001', 'gemini-1.5-flash', 'gemini-1.5-pro', 'gemini-1.0-pro'],
-        headers: (apiKey) => ({
-          'Content-Type': 'application/json',
-          'x-goog-api-key': apiKey
-        })
-      }
-    };
+    // AI providers keyed by name, see src/providers
+    this.aiProviderConfig = createProviders({
+      baseUrl: this.aiBaseUrl,
+      authHeader: this.aiAuthHeader,
+      azureEndpoint: this.azureEndpoint,
+      azureApiVersion: this.azureApiVersion,
+      anthropicAllowedModels: this.anthropicAllowedModels
+    });
 
     this.templatePath = path.join(__dirname, '..', '.github', 'templates');
 
@@ -58,19 +67,16 @@ class Config {
         // Build
         'makefile', 'cmake', 'gradle', 'maven'
       ]),
+      // Gitignore-style patterns; repositories add their own in .doxaiignore
       excludePatterns: [
         'node_modules/', 'dist/', 'build/', '.next/', '.nuxt/',
         'target/', 'bin/', 'obj/', '.git/', '.vscode/', '.idea/',
-        '.tmp', '.temp', '.cache', '.log',
-        '.png', '.jpg', '.jpeg', '.gif', '.svg', '.ico',
-        '.pdf', '.zip', '.tar', '.gz', '.rar',
-        '.exe', '.dll', '.so', '.dylib',
-        '.env', '.env.local', '.env.production',
-        'package-lock.json', 'yarn.lock', 'composer.lock',
-
-        '.json', '.yaml', '.yml', '.toml', '.ini', '.conf', '.xml',
-        '.md', '.rst', '.adoc', '.txt',
-        '.sh', '.bash', '.zsh', '.fish', '.ps1', '.psm1', '.bat', '.cmd'
+        '*.tmp', '*.temp', '.cache/', '*.log',
+        '*.png', '*.jpg', '*.jpeg', '*.gif', '*.svg', '*.ico',
+        '*.pdf', '*.zip', '*.tar', '*.gz', '*.rar',
+        '*.exe', '*.dll', '*.so', '*.dylib',
+        '.env', '.env.*',
+        'package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', 'composer.lock'
       ],
       specialFiles: new Set([
         'dockerfile', 'makefile', 'rakefile', 'gemfile',
@@ -98,12 +104,136 @@ class Config {
     if (!this.aiProviderConfig[this.aiProvider]) {
       throw new Error(`Unsupported AI provider: ${this.aiProvider}. Supported providers: ${Object.keys(this.aiProviderConfig).join(', ')}`);
     }
+    this.aiProviderConfig[this.aiProvider].validate(this.aiApiKey, this.aiModel);
+
+    // Validate context window override (0 uses the known size of the model)
+    if (!Number.isInteger(this.aiContextWindow) || this.aiContextWindow < 0) {
+      throw new Error(`Invalid ai-context-window: ${this.aiContextWindow}. Must be a non-negative integer`);
+    }
 
     // Validate language
     const supportedLanguages = ['ko', 'en'];
     if (!supportedLanguages.includes(this.language)) {
       throw new Error(`Unsupported language: ${this.language}. Supported languages: ${supportedLanguages.join(', ')}`);
     }
+
+    // Validate concurrency
+    if (!Number.isInteger(this.concurrency) || this.concurrency < 1 || this.concurrency > MAX_CONCURRENCY) {
+      throw new Error(`Invalid concurrency: ${this.concurrency}. Must be an integer between 1 and ${MAX_CONCURRENCY}`);
+    }
+
+    // Validate token budget (0 disables the budget)
+    if (!Number.isInteger(this.maxTokensPerRun) || this.maxTokensPerRun < 0) {
+      throw new Error(`Invalid max-tokens-per-run: ${this.maxTokensPerRun}. Must be a non-negative integer`);
+    }
+
+    // Validate continuation limit (0 disables continuing truncated responses)
+    if (!Number.isInteger(this.maxContinuations) || this.maxContinuations < 0) {
+      throw new Error(`Invalid max-continuations: ${this.maxContinuations}. Must be a non-negative integer`);
+    }
+
+    // Validate sweep settings
+    if (!Number.isInteger(this.sweepChunkSize) || this.sweepChunkSize < 1) {
+      throw new Error(`Invalid sweep-chunk-size: ${this.sweepChunkSize}. Must be a positive integer`);
+    }
+    if (!(this.sweepTimeLimit > 0)) {
+      throw new Error(`Invalid sweep-time-limit: ${this.sweepTimeLimit}. Must be a positive number of minutes`);
+    }
+
+    // Validate log format
+    if (!Logger.LOG_FORMATS.includes(this.logFormat)) {
+      throw new Error(`Unsupported log-format: ${this.logFormat}. Supported formats: ${Logger.LOG_FORMATS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Load the repository-level .doxai.yml and merge it over the defaults
+   * @param {object} githubClient - GitHub client used to read the file
+   * @param {string} ref - Branch to read the configuration from
+   * @returns {Promise<object|null>} - Applied configuration or null if the file does not exist
+   */
+  async loadRepositoryConfig(githubClient, ref) {
+    let content;
+    try {
+      content = await githubClient.getFileContent(REPO_CONFIG_FILE, ref);
+    } catch (error) {
+      if (error.message.includes('not found')) {
+        return null;
+      }
+      throw error;
+    }
+
+    const repoConfig = parseRepositoryConfig(content);
+    this.applyRepositoryConfig(repoConfig);
+    return repoConfig;
+  }
+
+  /**
+   * Merge a validated repository configuration over the current values
+   * @param {object} repoConfig - Validated configuration from .doxai.yml
+   */
+  applyRepositoryConfig(repoConfig) {
+    const { output = {}, defaults = {}, ai = {}, processing = {}, files = {} } = repoConfig;
+
+    if (ai.provider !== undefined && !this.aiProviderConfig[ai.provider]) {
+      throw new Error(
+          `Invalid ${REPO_CONFIG_FILE}:\n- ai.provider: unsupported provider ${ai.provider}. ` +
+          `Supported providers: ${Object.keys(this.aiProviderConfig).join(', ')}`
+      );
+    }
+
+    if (output.directory !== undefined) {
+      this.outputDir = output.directory.replace(/^\.\//, '').replace(/\/+$/, '');
+    }
+    if (output.path !== undefined) {
+      this.docPathTemplate = output.path.replace(/^\.\//, '');
+    }
+    if (output.mappings !== undefined) {
+      this.docPathMappings = output.mappings.map(mapping => ({
+        source: mapping.source,
+        directory: mapping.directory.replace(/^\.\//, '').replace(/\/+$/, '')
+      }));
+    }
+    if (defaults.language !== undefined) {
+      this.language = defaults.language;
+    }
+    if (defaults.scope !== undefined) {
+      this.defaultScope = defaults.scope;
+    }
+    if (defaults.format !== undefined) {
+      this.defaultFormat = defaults.format;
+    }
+    if (ai.provider !== undefined) {
+      this.aiProvider = ai.provider;
+    }
+    if (ai.model !== undefined) {
+      this.aiModel = ai.model;
+    }
+    if (processing.concurrency !== undefined) {
+      this.concurrency = processing.concurrency;
+    }
+    if (files.extensions !== undefined) {
+      this.fileConfig.documentableExtensions = new Set(
+          files.extensions.map(ext => ext.replace(/^\./, '').toLowerCase())
+      );
+    }
+    if (files.exclude !== undefined) {
+      this.fileConfig.excludePatterns = [...files.exclude];
+    }
+
+    this.validate();
+  }
+
+  /**
+   * Get default command options derived from configuration
+   * @returns {object} - Default option values keyed by option name
+   */
+  getCommandDefaults() {
+    return {
+      scope: this.defaultScope,
+      lang: this.language,
+      format: this.defaultFormat
+    };
   }
 
   getAIEndpoint() {
@@ -114,8 +244,45 @@ class Config {
     return this.aiProviderConfig[this.aiProvider].headers(this.aiApiKey);
   }
 
+  getAIProvider(provider = this.aiProvider) {
+    return this.aiProviderConfig[provider];
+  }
+
   isValidModel(model) {
-    return this.aiProviderConfig[this.aiProvider].models.includes(model);
+    return this.aiProviderConfig[this.aiProvider].isValidModel(model);
+  }
+
+  /**
+   * Get the context window of the configured model
+   * @param {string} model - Model name
+   * @returns {number} - Context window in tokens, the ai-context-window input taking precedence
+   */
+  getContextWindow(model = this.aiModel) {
+    return this.aiContextWindow || this.aiProviderConfig[this.aiProvider].getContextWindow(model);
+  }
+
+  /**
+   * Check whether the context window of the configured model is known
+   * @param {string} model - Model name
+   * @returns {boolean} - Whether ai-context-window is set or the provider lists the model
+   */
+  isContextWindowKnown(model = this.aiModel) {
+    return this.aiContextWindow > 0 || this.aiProviderConfig[this.aiProvider].hasContextWindow(model);
+  }
+
+  /**
+   * Estimate the cost of token usage with the configured provider
+   * @param {object} usage - Token usage ({inputTokens, outputTokens})
+   * @param {string} model - Model name
+   * @returns {number|null} - Estimated cost in USD or null if the model has no known pricing
+   */
+  estimateCost(usage, model = this.aiModel) {
+    const pricing = this.aiProviderConfig[this.aiProvider].getPricing(model);
+    if (!pricing) {
+      return null;
+    }
+
+    return (usage.inputTokens * pricing.input + usage.outputTokens * pricing.output) / 1000000;
   }
 }
 
@@ -0,0 +1,347 @@
+const path = require('path');
+const Logger = require('./logger');
+const { extractSummary } = require('./doc-index');
+
+// Most related modules added to one prompt
+const MAX_RELATED_MODULES = 8;
+
+// Most signature lines kept per related module
+const MAX_SIGNATURE_LINES = 40;
+
+// Longest signature line kept, longer declarations are cut
+const MAX_SIGNATURE_LENGTH = 160;
+
+// Source extensions tried for extension-less relative imports
+const RELATIVE_EXTENSIONS = {
+  js: ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.json'],
+  css: ['.css', '.scss', '.sass', '.less']
+};
+
+// Extensions a dotted module path may resolve to
+const MODULE_EXTENSIONS = {
+  py: ['.py'],
+  jvm: ['.java', '.kt', '.scala'],
+  rs: ['.rs']
+};
+
+const SCRIPT_EXTENSIONS = new Set(['js', 'jsx', 'ts', 'tsx', 'mjs', 'cjs', 'vue', 'svelte']);
+
+/**
+ * Find the imports of a file that may point at other files of the repository
+ * @param {string} filename - Source file path
+ * @param {string} content - Source file content
+ * @returns {Array} - Imports as {kind, spec}; kind is relative, module, crate or package
+ */
+function parseImports(filename, content) {
+  const extension = path.extname(filename).slice(1).toLowerCase();
+  const imports = [];
+  const collect = (pattern, kind, group = 1) => {
+    for (const match of content.matchAll(pattern)) {
+      imports.push({ kind, spec: match[group] });
+    }
+  };
+
+  if (SCRIPT_EXTENSIONS.has(extension)) {
+    collect(/(?:import|export)\s[^'"`;]*?from\s*['"]([^'"]+)['"]/g, 'relative');
+    collect(/import\s*['"]([^'"]+)['"]/g, 'relative');
+    collect(/(?:require|import)\s*\(\s*['"]([^'"]+)['"]\s*\)/g, 'relative');
+  } else if (extension === 'py') {
+    for (const match of content.matchAll(/^\s*from\s+(\.*[\w.]*)\s+import\s+\(?([\w, ]+)/gm)) {
+      // The imported names may be submodules (from pkg import module)
+      const names = match[2].split(',').map(name => name.trim().split(/\s+/)[0]).filter(Boolean);
+      imports.push({ kind: 'module', spec: match[1] });
+      for (const name of names) {
+        imports.push({ kind: 'module', spec: `${match[1]}${match[1].endsWith('.') ? '' : '.'}${name}` });
+      }
+    }
+    collect(/^\s*import\s+([\w.]+)/gm, 'module');
+  } else if (['java', 'kt', 'scala'].includes(extension)) {
+    collect(/^\s*import\s+(?:static\s+)?([\w.]+)\s*;?\s*$/gm, 'module');
+  } else if (extension === 'go') {
+    const blocks = [...content.matchAll(/^import\s*\(([\s\S]*?)\)/gm)].map(match => match[1]);
+    blocks.push(...[...content.matchAll(/^import\s+(?:\w+\s+)?("[^"]+")/gm)].map(match => match[1]));
+    for (const block of blocks) {
+      for (const match of block.matchAll(/"([^"]+)"/g)) {
+        imports.push({ kind: 'package', spec: match[1] });
+      }
+    }
+  } else if (extension === 'rs') {
+    collect(/^\s*(?:pub\s+)?mod\s+(\w+)\s*;/gm, 'relative');
+    collect(/^\s*(?:pub\s+)?use\s+crate::([\w:]+)/gm, 'crate');
+  } else if (extension === 'dart') {
+    collect(/^\s*(?:import|export)\s+['"]([^'"]+)['"]/gm, 'relative');
+  } else if (['c', 'cpp', 'h', 'hpp'].includes(extension)) {
+    collect(/^\s*#\s*include\s+"([^"]+)"/gm, 'relative');
+  } else if (['css', 'scss', 'sass', 'less'].includes(extension)) {
+    collect(/@(?:import|use|forward)\s+(?:url\()?['"]([^'"]+)['"]/g, 'relative');
+  } else if (['html', 'htm'].includes(extension)) {
+    collect(/<script[^>]+src=["']([^"']+)["']/g, 'relative');
+    collect(/<link[^>]+href=["']([^"']+\.css)["']/g, 'relative');
+  }
+
+  return imports;
+}
+
+/**
+ * Find repository files whose path without extension ends with the given path
+ * @param {Array} files - Repository file paths
+ * @param {string} suffix - Path without extension (e.g. com/acme/UserService)
+ * @param {Array} extensions - Allowed extensions
+ * @returns {Array} - Matching paths
+ */
+function findBySuffix(files, suffix, extensions) {
+  return files.filter(file => {
+    const extension = path.extname(file);
+    if (!extensions.includes(extension)) {
+      return false;
+    }
+    const withoutExt = file.slice(0, -extension.length);
+    return withoutExt === suffix || withoutExt.endsWith(`/${suffix}`);
+  });
+}
+
+/**
+ * Resolve the imports of a file to repository paths
+ * @param {string} filename - Source file path
+ * @param {string} content - Source file content
+ * @param {Array} files - All repository file paths
+ * @returns {Array} - Imported repository paths in import order, without duplicates
+ */
+function resolveImports(filename, content, files) {
+  const fileSet = new Set(files);
+  const dir = path.posix.dirname(filename);
+  const extension = path.extname(filename).slice(1).toLowerCase();
+  const resolved = [];
+
+  const add = (candidates) => {
+    const match = candidates.find(candidate => fileSet.has(candidate));
+    if (match && match !== filename && !resolved.includes(match)) {
+      resolved.push(match);
+    }
+    return Boolean(match);
+  };
+
+  for (const { kind, spec } of parseImports(filename, content)) {
+    if (kind === 'relative') {
+      const isPathLike = spec.startsWith('.') || spec.startsWith('/') ||
+          ['c', 'cpp', 'h', 'hpp', 'dart', 'css', 'scss', 'sass', 'less', 'html', 'htm', 'rs'].includes(extension);
+      if (!isPathLike || /^[a-z]+:/.test(spec)) {
+        continue;
+      }
+
+      const base = spec.startsWith('/') ? spec.substring(1) : path.posix.normalize(path.posix.join(dir, spec));
+      const extensions = extension === 'rs'
+          ? []
+          : (['css', 'scss', 'sass', 'less'].includes(extension) ? RELATIVE_EXTENSIONS.css : RELATIVE_EXTENSIONS.js);
+      const candidates = extension === 'rs'
+          ? [`${base}.rs`, `${base}/mod.rs`]
+          : [base, ...extensions.map(ext => `${base}${ext}`), ...extensions.map(ext => `${base}/index${ext}`)];
+
+      // Includes and stylesheets are often written relative to the repository root
+      if (!spec.startsWith('.') && !SCRIPT_EXTENSIONS.has(extension)) {
+        candidates.push(spec);
+      }
+
+      // Sass partials live in _name.scss
+      if (['scss', 'sass'].includes(extension)) {
+        const partial = path.posix.join(path.posix.dirname(base), `_${path.posix.basename(base)}`);
+        candidates.push(...RELATIVE_EXTENSIONS.css.map(ext => `${partial}${ext}`));
+      }
+
+      add(candidates);
+    } else if (kind === 'module') {
+      const dots = spec.match(/^\.*/)[0].length;
+      const modulePath = spec.substring(dots).replace(/\./g, '/');
+      const extensions = extension === 'py' ? MODULE_EXTENSIONS.py : MODULE_EXTENSIONS.jvm;
+
+      if (dots > 0) {
+        // Python relative import, one dot is the current package
+        const packageDir = path.posix.normalize(path.posix.join(dir, ...Array(dots - 1).fill('..')));
+        const base = modulePath ? path.posix.join(packageDir, modulePath) : packageDir;
+        add([`${base}.py`, `${base}/__init__.py`]);
+        continue;
+      }
+
+      if (!modulePath || modulePath.endsWith('*')) {
+        continue;
+      }
+
+      add([
+        ...findBySuffix(files, modulePath, extensions),
+        ...(extension === 'py' ? findBySuffix(files, `${modulePath}/__init__`, extensions) : [])
+      ]);
+    } else if (kind === 'crate') {
+      // use crate::a::b::Item may name a module or an item inside one
+      const parts = spec.split('::');
+      for (let length = parts.length; length > 0; length--) {
+        const modulePath = parts.slice(0, length).join('/');
+        if (add([...findBySuffix(files, modulePath, MODULE_EXTENSIONS.rs), ...findBySuffix(files, `${modulePath}/mod`, MODULE_EXTENSIONS.rs)])) {
+          break;
+        }
+      }
+    } else if (kind === 'package') {
+      // Go packages are directories, use their non-test files
+      const packageFiles = files.filter(file =>
+          file.endsWith('.go') && !file.endsWith('_test.go') &&
+          (path.posix.dirname(file) === spec || spec.endsWith(`/${path.posix.dirname(file)}`)) &&
+          path.posix.dirname(file) !== dir
+      );
+      packageFiles.slice(0, 3).forEach(file => add([file]));
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Extract the declarations other files can use from a source file
+ * @param {string} filename - Source file path
+ * @param {string} content - Source file content
+ * @returns {Array} - Signature lines
+ */
+function extractSignatures(filename, content) {
+  const extension = path.extname(filename).slice(1).toLowerCase();
+  const patterns = [];
+
+  if (SCRIPT_EXTENSIONS.has(extension)) {
+    patterns.push(
+        /^export\s.+/,
+        /^(async\s+)?function\*?\s+\w+.*/,
+        /^(export\s+)?(default\s+)?(abstract\s+)?class\s+\w+.*/,
+        /^module\.exports\b.*/,
+        /^exports\.\w+\s*=.*/,
+        /^ {2}(static\s+)?(async\s+)?(?!(if|for|while|switch|catch|return)\b)[A-Za-z$][\w$]*\s*\([^)]*\)\s*\{/
+    );
+  } else if (extension === 'py') {
+    patterns.push(/^(async\s+)?def\s+\w+.*/, /^class\s+\w+.*/, /^ {4}(async\s+)?def\s+(__init__|[a-zA-Z]\w*)\s*\(.*/);
+  } else if (['java', 'cs', 'kt', 'scala', 'swift', 'dart'].includes(extension)) {
+    patterns.push(
+        /^\s*(public|protected|open|internal)\s.*/,
+        /^\s*(data\s+|sealed\s+|abstract\s+|enum\s+)?(class|interface|object|trait|enum|record|struct|protocol|mixin)\s+\w+.*/,
+        /^\s*(override\s+)?(suspend\s+)?fun\s+\w+.*/,
+        /^\s*def\s+\w+.*/
+    );
+  } else if (extension === 'go') {
+    patterns.push(/^func\s+(\([^)]*\)\s*)?[A-Z]\w*.*/, /^type\s+[A-Z]\w*.*/);
+  } else if (extension === 'rs') {
+    patterns.push(/^\s*pub(\([^)]*\))?\s+(async\s+)?(unsafe\s+)?(fn|struct|enum|trait|type|const|static|mod)\s.*/);
+  } else if (['c', 'cpp', 'h', 'hpp'].includes(extension)) {
+    patterns.push(
+        /^(?!(return|if|else|while|for)\b)[A-Za-z_][\w\s*&:<>,]*\([^;{]*\)\s*(const\s*)?;/,
+        /^(typedef|struct|class|enum|union|namespace)\s.*/,
+        /^#\s*define\s+[A-Z_][A-Z0-9_]*.*/
+    );
+  } else if (['css', 'scss', 'sass', 'less'].includes(extension)) {
+    patterns.push(/^\$[\w-]+\s*:.*/, /^\s*--[\w-]+\s*:.*/, /^@(mixin|function)\s.*/);
+  } else if (extension === 'sql') {
+    patterns.push(/^\s*create\s+(or\s+replace\s+)?(table|view|function|procedure|index|type)\s.*/i);
+  }
+
+  const signatures = [];
+  for (const line of content.split('\n')) {
+    if (!patterns.some(pattern => pattern.test(line))) {
+      continue;
+    }
+
+    let signature = line.trimEnd().replace(/\s*\{\s*$/, '').replace(/\s*:\s*$/, '');
+    if (signature.length > MAX_SIGNATURE_LENGTH) {
+      signature = `${signature.substring(0, MAX_SIGNATURE_LENGTH - 1)}…`;
+    }
+    signatures.push(signature);
+
+    if (signatures.length >= MAX_SIGNATURE_LINES) {
+      break;
+    }
+  }
+
+  return signatures;
+}
+
+/**
+ * Collects the exported signatures and existing doc summaries of the modules a file imports.
+ * Sources are injected so the action reads through the GitHub API and the CLI from disk.
+ */
+class DependencyContext {
+  /**
+   * @param {object} sources - Repository access
+   * @param {Function} sources.listFiles - Async function returning all repository file paths
+   * @param {Function} sources.readFile - Async function returning the content of a repository file
+   * @param {Function} sources.readDoc - Async function returning the existing doc of a source file or null
+   * @param {string} sources.docFormat - Format of the docs returned by readDoc (adoc/md)
+   */
+  constructor({ listFiles, readFile, readDoc, docFormat = 'adoc' }) {
+    this.logger = new Logger('DependencyContext');
+    this.listFiles = listFiles;
+    this.readFile = readFile;
+    this.readDoc = readDoc;
+    this.docFormat = docFormat;
+    this.filesPromise = null;
+    this.moduleCache = new Map();
+  }
+
+  /**
+   * Get the related modules of a file
+   * @param {string} filename - Source file path
+   * @param {string} content - Source file content
+   * @returns {Promise<Array>} - Modules as {path, summary, signatures}
+   */
+  async getRelatedModules(filename, content) {
+    if (!this.filesPromise) {
+      this.filesPromise = this.listFiles();
+    }
+    const files = await this.filesPromise;
+
+    const imported = resolveImports(filename, content, files);
+    if (imported.length > MAX_RELATED_MODULES) {
+      this.logger.debug(`${filename} imports ${imported.length} repository files, using the first ${MAX_RELATED_MODULES}`);
+    }
+
+    const modules = [];
+    for (const modulePath of imported.slice(0, MAX_RELATED_MODULES)) {
+      // Shared across files, many files import the same helpers
+      if (!this.moduleCache.has(modulePath)) {
+        this.moduleCache.set(modulePath, this.loadModule(modulePath));
+      }
+      const module = await this.moduleCache.get(modulePath);
+      if (module) {
+        modules.push(module);
+      }
+    }
+
+    this.logger.info(`Related modules for ${filename}: ${modules.map(module => module.path).join(', ') || 'none'}`);
+    return modules;
+  }
+
+  /**
+   * Read the signatures and doc summary of one module
+   * @param {string} modulePath - Repository file path
+   * @returns {Promise<object|null>} - Module or null if nothing useful was found
+   */
+  async loadModule(modulePath) {
+    try {
+      const [content, doc] = await Promise.all([
+        this.readFile(modulePath),
+        this.readDoc(modulePath).catch(() => null)
+      ]);
+
+      const module = {
+        path: modulePath,
+        summary: doc ? extractSummary(doc, this.docFormat) : '',
+        signatures: extractSignatures(modulePath, content)
+      };
+
+      return module.summary || module.signatures.length > 0 ? module : null;
+    } catch (error) {
+      this.logger.warn(`Could not read related module ${modulePath}: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+module.exports = {
+  DependencyContext,
+  MAX_RELATED_MODULES,
+  parseImports,
+  resolveImports,
+  extractSignatures
+};
@@ -0,0 +1,207 @@
+/**
+ * Helpers for reading unified diff patches returned by the GitHub API
+ * and mapping changed lines to the code symbols they touch
+ */
+
+const HUNK_HEADER_REGEX = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/;
+
+// Words that look like declarations in the generic method pattern but are control flow
+const NON_DECLARATION_WORDS = new Set([
+  'if', 'for', 'while', 'switch', 'catch', 'return', 'function', 'else',
+  'do', 'with', 'new', 'typeof', 'sizeof', 'await', 'yield', 'super', 'elif', 'foreach'
+]);
+
+// Declaration patterns for the supported language groups, most specific first
+const DECLARATION_PATTERNS = [
+  /^\s*CREATE\s+(?:OR\s+REPLACE\s+)?(?:TABLE|VIEW|FUNCTION|PROCEDURE|INDEX|TRIGGER)\s+(?:IF\s+NOT\s+EXISTS\s+)?([\w.]+)/i,
+  /\b(?:class|interface|enum|struct|trait|record|object|protocol)\s+([A-Za-z_$][\w$]*)/,
+  /\bfunction\s*\*?\s*([A-Za-z_$][\w$]*)\s*\(/,
+  /\b(?:def|fn|func|fun)\s+(?:\([^)]*\)\s*)?([A-Za-z_$][\w$]*)/,
+  /\b(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*=>|[A-Za-z_$][\w$]*\s*=>)/,
+  /^\s*(?:[\w<>[\],.*&:?]+\s+)*\*?&?([A-Za-z_$~][\w$]*)\s*\([^;]*\)\s*(?:const\s*)?(?:throws\s+[\w., ]+)?\s*\{?\s*$/
+];
+
+/**
+ * Parse a unified diff patch into hunks
+ * @param {string} patch - Unified diff for a single file
+ * @returns {Array} - Hunks with added/removed lines and their line numbers
+ */
+function parsePatch(patch) {
+  const hunks = [];
+  if (!patch) {
+    return hunks;
+  }
+
+  let current = null;
+  let oldLine = 0;
+  let newLine = 0;
+
+  for (const line of patch.split('\n')) {
+    const header = line.match(HUNK_HEADER_REGEX);
+    if (header) {
+      oldLine = Number(header[1]);
+      newLine = Number(header[3]);
+      current = {
+        oldStart: oldLine,
+        oldLines: header[2] === undefined ? 1 : Number(header[2]),
+        newStart: newLine,
+        newLines: header[4] === undefined ? 1 : Number(header[4]),
+        context: header[5].trim(),
+        added: [],
+        removed: []
+      };
+      hunks.push(current);
+      continue;
+    }
+
+    if (!current || line.startsWith('\\')) {
+      continue;
+    }
+
+    if (line.startsWith('+')) {
+      current.added.push({ line: newLine, text: line.substring(1) });
+      newLine++;
+    } else if (line.startsWith('-')) {
+      // Removed lines are anchored to the position they occupied in the new file
+      current.removed.push({ line: oldLine, newLine, text: line.substring(1) });
+      oldLine++;
+    } else {
+      oldLine++;
+      newLine++;
+    }
+  }
+
+  return hunks;
+}
+
+/**
+ * Extract the declared symbol name from a line of code
+ * @param {string} line - Source line
+ * @returns {string|null} - Declared name or null if the line is not a declaration
+ */
+function extractDeclarationName(line) {
+  if (!line || !line.trim()) {
+    return null;
+  }
+
+  for (const pattern of DECLARATION_PATTERNS) {
+    const match = line.match(pattern);
+    if (match && !NON_DECLARATION_WORDS.has(match[1])) {
+      return match[1];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the indentation width of a line
+ * @param {string} line - Source line
+ * @returns {number} - Leading whitespace length
+ */
+function getIndent(line) {
+  return line.match(/^\s*/)[0].length;
+}
+
+/**
+ * Find the declaration enclosing a line of the new file
+ * @param {Array} lines - Lines of the new file content
+ * @param {number} lineNumber - 1-based line number
+ * @returns {string|null} - Name of the enclosing declaration
+ */
+function findEnclosingDeclaration(lines, lineNumber) {
+  const index = Math.min(lineNumber, lines.length) - 1;
+  if (index < 0) {
+    return null;
+  }
+
+  const ownName = extractDeclarationName(lines[index]);
+  if (ownName) {
+    return ownName;
+  }
+
+  // Skip blank lines so their indentation does not hide the enclosing block
+  let start = index;
+  while (start > 0 && !lines[start].trim()) {
+    start--;
+  }
+  const targetIndent = getIndent(lines[start]);
+
+  for (let i = start - 1; i >= 0; i--) {
+    if (!lines[i].trim() || getIndent(lines[i]) >= targetIndent) {
+      continue;
+    }
+
+    const name = extractDeclarationName(lines[i]);
+    if (name) {
+      return name;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Identify the symbols touched by a patch
+ * @param {string} patch - Unified diff for a single file
+ * @param {string} fileContent - Current (new) file content
+ * @returns {{symbols: Set<string>, added: Set<string>, removed: Set<string>}} - Touched, newly declared and removed symbols
+ */
+function getTouchedSymbols(patch, fileContent = '') {
+  const lines = fileContent.split('\n');
+  const symbols = new Set();
+  const added = new Set();
+  const removed = new Set();
+
+  for (const hunk of parsePatch(patch)) {
+    const hunkSymbols = new Set();
+
+    for (const { line, text } of hunk.added) {
+      const declared = extractDeclarationName(text);
+      if (declared) {
+        added.add(declared);
+      }
+
+      const enclosing = findEnclosingDeclaration(lines, line);
+      if (enclosing) {
+        hunkSymbols.add(enclosing);
+      }
+    }
+
+    for (const { newLine, text } of hunk.removed) {
+      const declared = extractDeclarationName(text);
+      if (declared) {
+        removed.add(declared);
+        hunkSymbols.add(declared);
+      }
+
+      const enclosing = findEnclosingDeclaration(lines, newLine);
+      if (enclosing) {
+        hunkSymbols.add(enclosing);
+      }
+    }
+
+    // Fall back to the enclosing scope git reports in the hunk header
+    const contextName = extractDeclarationName(hunk.context);
+    if (hunkSymbols.size === 0 && contextName) {
+      hunkSymbols.add(contextName);
+    }
+
+    hunkSymbols.forEach(name => symbols.add(name));
+  }
+
+  // A declaration that was both removed and added was only modified
+  for (const name of added) {
+    removed.delete(name);
+    symbols.add(name);
+  }
+
+  return { symbols, added, removed };
+}
+
+module.exports = {
+  parsePatch,
+  extractDeclarationName,
+  findEnclosingDeclaration,
+  getTouchedSymbols
+};
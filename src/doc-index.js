@@ -0,0 +1,218 @@
+/**
+ * Index pages that tie the generated documents of a project together.
+ * Every directory under a doc root (docs/<project> by default, see getDocRoots) gets an index page listing its subdirectories and documents;
+ * the root page lists every document with a one-line summary and is parsed back on the next run,
+ * so summaries of unchanged documents never have to be fetched again.
+ */
+
+// Page names in order of preference; _index is used where a documented source already owns index
+const INDEX_PAGE_NAMES = ['index', '_index'];
+
+// Longest summary kept in the index, cut at a word boundary
+const MAX_SUMMARY_LENGTH = 160;
+
+const INDEX_MARKERS = {
+  adoc: '// doxai-index: generated, manual edits are overwritten',
+  md: '<!-- doxai-index: generated, manual edits are overwritten -->'
+};
+
+const ENTRY_PATTERNS = {
+  adoc: /^\* link:([^[\s]+)\[[^\]]*\](?: - (.*))?$/,
+  md: /^- \[[^\]]*\]\(([^)\s]+)\)(?: - (.*))?$/
+};
+
+/**
+ * Extract a one-line summary from a generated document (the first paragraph after the title)
+ * @param {string} doc - Document content
+ * @param {string} format - Document format (adoc/md)
+ * @returns {string} - Summary or an empty string if the document has no paragraph
+ */
+function extractSummary(doc, format = 'adoc') {
+  const headingPattern = format === 'md' ? /^#+\s/ : /^=+\s/;
+  const paragraph = [];
+  let inBlock = false;
+
+  for (const rawLine of (doc || '').split('\n')) {
+    const line = rawLine.trim();
+
+    // Skip delimited blocks (source listings, tables) entirely
+    if (/^(-{4,}|\.{4,}|`{3,}|\|===)/.test(line)) {
+      inBlock = !inBlock;
+      continue;
+    }
+    if (inBlock) {
+      continue;
+    }
+
+    const isText = line !== '' &&
+        !headingPattern.test(line) &&
+        !/^:[\w-]+:/.test(line) &&
+        !/^(\/\/|<!--|\[|\||\*|-\s|\d+\.\s|>)/.test(line);
+
+    if (isText) {
+      paragraph.push(line);
+    } else if (paragraph.length > 0) {
+      break;
+    }
+  }
+
+  const text = paragraph.join(' ').replace(/\s+/g, ' ');
+  const sentenceEnd = text.search(/[.!?](\s|$)/);
+  const sentence = sentenceEnd === -1 ? text : text.substring(0, sentenceEnd + 1);
+
+  if (sentence.length <= MAX_SUMMARY_LENGTH) {
+    return sentence;
+  }
+
+  const cut = sentence.lastIndexOf(' ', MAX_SUMMARY_LENGTH - 1);
+  return `${sentence.substring(0, cut > 0 ? cut : MAX_SUMMARY_LENGTH - 1)}…`;
+}
+
+/**
+ * Read the document entries back from a root index page
+ * @param {string} content - Root index page content
+ * @param {string} format - Document format (adoc/md)
+ * @returns {Map|null} - Summaries keyed by document path relative to the project directory,
+ *   or null if the content is not a generated index page
+ */
+function parseIndexEntries(content, format = 'adoc') {
+  if (!content || !content.includes(INDEX_MARKERS[format])) {
+    return null;
+  }
+
+  const filesHeading = format === 'md' ? '## Files' : '== Files';
+  const entries = new Map();
+  let inFiles = false;
+
+  for (const line of content.split('\n')) {
+    if (/^(==|##)\s/.test(line)) {
+      inFiles = line.trim() === filesHeading;
+      continue;
+    }
+
+    const match = inFiles && line.match(ENTRY_PATTERNS[format]);
+    if (match) {
+      entries.set(decodeURI(match[1]), match[2] || '');
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Get the path of a directory's index page, relative to the project directory
+ * @param {string} dir - Directory relative to the project directory ('' for the root)
+ * @param {string} format - Document format (adoc/md)
+ * @param {Map|Set} entries - Document paths relative to the project directory
+ * @returns {string} - Index page path
+ */
+function getIndexPagePath(dir, format, entries) {
+  const prefix = dir ? `${dir}/` : '';
+  const name = INDEX_PAGE_NAMES.find(candidate => !entries.has(`${prefix}${candidate}.${format}`));
+  return `${prefix}${name}.${format}`;
+}
+
+/**
+ * Get a link target from one page to another, both relative to the project directory
+ * @param {string} fromDir - Directory of the linking page
+ * @param {string} target - Target path
+ * @returns {string} - Relative link target
+ */
+function relativeLink(fromDir, target) {
+  const fromParts = fromDir ? fromDir.split('/') : [];
+  const targetParts = target.split('/');
+
+  let common = 0;
+  while (common < fromParts.length && common < targetParts.length - 1 && fromParts[common] === targetParts[common]) {
+    common++;
+  }
+
+  return encodeURI([...fromParts.slice(common).map(() => '..'), ...targetParts.slice(common)].join('/'));
+}
+
+/**
+ * Format a list item linking to a page
+ * @param {string} format - Document format (adoc/md)
+ * @param {string} link - Link target
+ * @param {string} label - Link text
+ * @param {string} summary - Optional text after the link
+ * @returns {string} - List item line
+ */
+function formatEntry(format, link, label, summary) {
+  const suffix = summary ? ` - ${summary}` : '';
+  return format === 'md' ? `- [${label}](${link})${suffix}` : `* link:${link}[${label}]${suffix}`;
+}
+
+/**
+ * Build the index pages for a set of documents
+ * @param {Map} entries - Summaries keyed by document path relative to the project directory
+ * @param {string} format - Document format (adoc/md)
+ * @param {string} project - Project name used in the root page title
+ * @returns {Array} - Pages as {path, content} with paths relative to the project directory
+ */
+function buildIndexPages(entries, format, project) {
+  if (entries.size === 0) {
+    return [];
+  }
+
+  const h1 = format === 'md' ? '#' : '=';
+  const h2 = format === 'md' ? '##' : '==';
+  const withoutExt = (file) => file.replace(/\.[^/.]+$/, '');
+  const dirOf = (file) => file.includes('/') ? file.substring(0, file.lastIndexOf('/')) : '';
+
+  // Every directory holding documents, including all of their ancestors
+  const dirs = new Set(['']);
+  for (const file of entries.keys()) {
+    for (let dir = dirOf(file); dir && !dirs.has(dir); dir = dirOf(dir)) {
+      dirs.add(dir);
+    }
+  }
+
+  const pages = [];
+
+  for (const dir of [...dirs].sort()) {
+    const pagePath = getIndexPagePath(dir, format, entries);
+    const childDirs = [...dirs].filter(child => child && dirOf(child) === dir).sort();
+    const files = [...entries.keys()].filter(file => !dir || dirOf(file) === dir).sort();
+
+    const lines = [
+      dir ? `${h1} ${dir}/` : `${h1} ${project} Documentation Index`,
+      INDEX_MARKERS[format],
+      ''
+    ];
+
+    if (dir) {
+      const parentPage = getIndexPagePath(dirOf(dir), format, entries);
+      lines.push(format === 'md' ? `[⬆ Parent directory](${relativeLink(dir, parentPage)})` : `link:${relativeLink(dir, parentPage)}[⬆ Parent directory]`, '');
+    }
+
+    if (childDirs.length > 0) {
+      lines.push(`${h2} Directories`, '');
+      for (const child of childDirs) {
+        lines.push(formatEntry(format, relativeLink(dir, getIndexPagePath(child, format, entries)), `${child.substring(dir ? dir.length + 1 : 0)}/`));
+      }
+      lines.push('');
+    }
+
+    if (files.length > 0) {
+      lines.push(`${h2} Files`, '');
+      for (const file of files) {
+        const label = dir ? withoutExt(file.substring(dir.length + 1)) : withoutExt(file);
+        lines.push(formatEntry(format, relativeLink(dir, file), label, entries.get(file)));
+      }
+      lines.push('');
+    }
+
+    pages.push({ path: pagePath, content: lines.join('\n') });
+  }
+
+  return pages;
+}
+
+module.exports = {
+  INDEX_PAGE_NAMES,
+  extractSummary,
+  parseIndexEntries,
+  getIndexPagePath,
+  buildIndexPages
+};
@@ -0,0 +1,160 @@
+/**
+ * Machine-readable metadata embedded in generated documents.
+ * AsciiDoc stores it as header attributes, Markdown as HTML comments.
+ */
+
+const path = require('path');
+
+// Bump whenever prompt templates change in a way that should regenerate existing docs
+const TEMPLATE_VERSION = '1';
+
+const METADATA_KEYS = {
+  sourceSha: 'doxai-source-sha',
+  templateVersion: 'doxai-template-version'
+};
+
+const METADATA_LINE_PATTERNS = {
+  adoc: /^:(doxai-[\w-]+):\s*(.*?)\s*$/,
+  md: /^<!--\s*(doxai-[\w-]+):\s*(.*?)\s*-->\s*$/
+};
+
+/**
+ * Format a single metadata line
+ * @param {string} format - Document format (adoc/md)
+ * @param {string} key - Metadata key
+ * @param {string} value - Metadata value
+ * @returns {string} - Metadata line
+ */
+function formatMetadataLine(format, key, value) {
+  return format === 'md' ? `<!-- ${key}: ${value} -->` : `:${key}: ${value}`;
+}
+
+/**
+ * Read doxai metadata from a document
+ * @param {string} doc - Document content
+ * @param {string} format - Document format (adoc/md)
+ * @returns {object} - Metadata values keyed by property name (sourceSha, templateVersion)
+ */
+function readDocMetadata(doc, format = 'adoc') {
+  const pattern = METADATA_LINE_PATTERNS[format] || METADATA_LINE_PATTERNS.adoc;
+  const values = {};
+
+  for (const line of (doc || '').split('\n')) {
+    const match = line.match(pattern);
+    if (match) {
+      values[match[1]] = match[2];
+    }
+  }
+
+  const metadata = {};
+  for (const [property, key] of Object.entries(METADATA_KEYS)) {
+    if (values[key] !== undefined) {
+      metadata[property] = values[key];
+    }
+  }
+
+  return metadata;
+}
+
+/**
+ * Remove doxai metadata lines from a document
+ * @param {string} doc - Document content
+ * @param {string} format - Document format (adoc/md)
+ * @returns {string} - Document without metadata
+ */
+function stripDocMetadata(doc, format) {
+  const pattern = METADATA_LINE_PATTERNS[format] || METADATA_LINE_PATTERNS.adoc;
+  return doc.split('\n').filter(line => !pattern.test(line)).join('\n');
+}
+
+/**
+ * Write doxai metadata into a document, replacing any existing metadata lines
+ * @param {string} doc - Document content
+ * @param {string} format - Document format (adoc/md)
+ * @param {object} metadata - Metadata values keyed by property name (sourceSha, templateVersion)
+ * @returns {string} - Document with metadata after the title and its header attributes
+ */
+function writeDocMetadata(doc, format, metadata) {
+  const lines = stripDocMetadata(doc, format).split('\n');
+
+  const metadataLines = Object.entries(METADATA_KEYS)
+  .filter(([property]) => metadata[property] !== undefined)
+  .map(([property, key]) => formatMetadataLine(format, key, metadata[property]));
+
+  const titlePattern = format === 'md' ? /^# / : /^= /;
+  const titleIndex = lines.findIndex(line => titlePattern.test(line));
+
+  let insertAt = 0;
+  if (titleIndex !== -1) {
+    insertAt = titleIndex + 1;
+    // AsciiDoc header attributes must stay contiguous with the title
+    if (format !== 'md') {
+      while (insertAt < lines.length && /^:[\w-]+:/.test(lines[insertAt])) {
+        insertAt++;
+      }
+    }
+  }
+
+  lines.splice(insertAt, 0, ...metadataLines);
+  return lines.join('\n');
+}
+
+/**
+ * Replace a path or file name where it stands on its own, not as part of a longer path
+ * @param {string} text - Text to update
+ * @param {string} from - Old path or file name
+ * @param {string} to - New path or file name
+ * @returns {string} - Updated text
+ */
+function replacePathMentions(text, from, to) {
+  const escaped = from.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return text.replace(new RegExp(`(?<![\\w./-])${escaped}(?![\\w/-]|\\.\\w)`, 'g'), () => to);
+}
+
+/**
+ * Point a document at the new path of its renamed source, so it can be moved without
+ * regenerating it. The old path is replaced everywhere; the old file name only in the
+ * title and in code spans, where the templates use it.
+ * @param {string} doc - Document content
+ * @param {string} previousFilename - Previous source path
+ * @param {string} filename - New source path
+ * @param {string} format - Document format (adoc/md)
+ * @returns {string} - Document referring to the new path
+ */
+function renameDocSource(doc, previousFilename, filename, format = 'adoc') {
+  const previousName = path.posix.basename(previousFilename);
+  const name = path.posix.basename(filename);
+  const titlePattern = format === 'md' ? /^# / : /^= /;
+  let titleSeen = false;
+
+  return doc.split('\n').map(line => {
+    let updated = replacePathMentions(line, previousFilename, filename);
+
+    if (!titleSeen && titlePattern.test(updated)) {
+      titleSeen = true;
+      updated = replacePathMentions(updated, previousName, name);
+    }
+
+    return updated.split(`\`${previousName}\``).join(`\`${name}\``);
+  }).join('\n');
+}
+
+/**
+ * Check whether a document is stale for the given source blob
+ * @param {object} metadata - Metadata read from the document
+ * @param {string} sourceSha - Blob SHA of the current source file
+ * @returns {boolean} - Whether the document must be regenerated
+ */
+function isDocStale(metadata, sourceSha) {
+  return metadata.sourceSha !== sourceSha || metadata.templateVersion !== TEMPLATE_VERSION;
+}
+
+module.exports = {
+  TEMPLATE_VERSION,
+  METADATA_KEYS,
+  readDocMetadata,
+  writeDocMetadata,
+  stripDocMetadata,
+  renameDocSource,
+  isDocStale
+};
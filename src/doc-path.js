@@ -0,0 +1,215 @@
+/**
+ * Derives documentation paths from source paths using the output path template of .doxai.yml
+ * and its optional mapping table (source glob -> doc directory).
+ *
+ *   {outDir}   output directory (output.directory, default docs)
+ *   {project}  command name (e.g. doxai)
+ *   {dir}      directory of the source file, empty for files at the root
+ *   {name}     file name without extension
+ *   {ext}      extension without the dot, ".{ext}" is dropped for files without one
+ *   {format}   documentation format (adoc/md)
+ */
+
+const path = require('path');
+const { matchesGlob } = require('./glob-matcher');
+
+// Reproduces docs/<project>/<path-without-ext>.<format>
+const DEFAULT_DOC_PATH_TEMPLATE = '{outDir}/{project}/{dir}/{name}.{format}';
+
+const PLACEHOLDERS = ['outDir', 'project', 'dir', 'name', 'ext', 'format'];
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+/**
+ * Check an output path template
+ * @param {string} template - Path template
+ * @returns {string|null} - Problem with the template or null if it is valid
+ */
+function validateDocPathTemplate(template) {
+  const unknown = [...template.matchAll(PLACEHOLDER_PATTERN)]
+  .map(match => match[1])
+  .filter(name => !PLACEHOLDERS.includes(name));
+
+  if (unknown.length > 0) {
+    return `unknown placeholders ${unknown.map(name => `{${name}}`).join(', ')}`;
+  }
+  if (!template.includes('{name}')) {
+    return 'must contain {name}';
+  }
+  if (!template.endsWith('.{format}')) {
+    return 'must end with .{format}';
+  }
+  if (template.startsWith('/') || template.split('/').includes('..')) {
+    return 'must be a relative path inside the repository';
+  }
+  return null;
+}
+
+/**
+ * Fill in a template and normalize the result
+ * @param {string} template - Path template
+ * @param {object} values - Placeholder values
+ * @returns {string} - Repository path
+ */
+function renderTemplate(template, values) {
+  return template
+  .replace(/\.\{ext\}/g, values.ext ? `.${values.ext}` : '')
+  .replace(PLACEHOLDER_PATTERN, (match, name) => values[name] !== undefined ? values[name] : match)
+  .split('/')
+  .filter(segment => segment !== '' && segment !== '.')
+  .join('/');
+}
+
+/**
+ * Get the documentation path of a source file
+ * @param {string} sourceFile - Repository path of the source file
+ * @param {object} options - Layout options
+ * @param {string} options.template - Path template (DEFAULT_DOC_PATH_TEMPLATE when empty)
+ * @param {Array} options.mappings - Mappings ({source, directory}); the first one matching the file replaces the directory part of the template
+ * @param {string} options.outDir - Output directory
+ * @param {string} options.project - Project (command) name
+ * @param {string} options.format - Documentation format (adoc/md)
+ * @returns {string} - Documentation path
+ */
+function resolveDocPath(sourceFile, { template, mappings = [], outDir, project, format = 'adoc' }) {
+  const parsed = path.posix.parse(sourceFile);
+  const values = {
+    outDir,
+    project,
+    dir: parsed.dir,
+    name: parsed.name,
+    ext: parsed.ext.replace(/^\./, ''),
+    format
+  };
+
+  const pathTemplate = template || DEFAULT_DOC_PATH_TEMPLATE;
+  const mapping = mappings.find(entry => matchesGlob(sourceFile, entry.source));
+  if (!mapping) {
+    return renderTemplate(pathTemplate, values);
+  }
+
+  // The file name part of the template is kept, the mapping decides the directory
+  const fileTemplate = pathTemplate.substring(pathTemplate.lastIndexOf('/') + 1);
+  return renderTemplate(`${mapping.directory}/${fileTemplate}`, values);
+}
+
+/**
+ * Get the directories the generated docs are kept under, i.e. the fixed part of the template and
+ * of every mapping directory. Docs kept next to the sources have no such directory.
+ * @param {object} options - Layout options ({template, mappings, outDir, project})
+ * @returns {Array} - Distinct directories, none inside another one
+ */
+function getDocRoots({ template, mappings = [], outDir, project }) {
+  const pathTemplate = template || DEFAULT_DOC_PATH_TEMPLATE;
+  const directoryTemplates = [
+    pathTemplate.substring(0, pathTemplate.lastIndexOf('/') + 1),
+    ...mappings.map(mapping => `${mapping.directory}/`)
+  ];
+
+  const roots = directoryTemplates.map(directoryTemplate => {
+    const fixed = [];
+    for (const segment of directoryTemplate.split('/').filter(Boolean)) {
+      const rendered = segment.replace(/\{(outDir|project)\}/g, (match, name) => (name === 'outDir' ? outDir : project));
+      if (/\{\w+\}/.test(rendered)) {
+        break;
+      }
+      fixed.push(...rendered.split('/').filter(Boolean));
+    }
+    return fixed.join('/');
+  }).filter(Boolean);
+
+  const distinct = [...new Set(roots)];
+  return distinct.filter(root => !distinct.some(other => other !== root && root.startsWith(`${other}/`)));
+}
+
+/**
+ * Find sources that would share a documentation path or whose doc path is another source
+ * @param {Array} entries - Sources with their doc paths ({source, doc})
+ * @returns {Array} - Collisions ({doc, sources, overwritesSource}), empty if every doc path is unique
+ */
+function findDocPathCollisions(entries) {
+  const sourcesByDoc = new Map();
+  for (const { source, doc } of entries) {
+    sourcesByDoc.set(doc, [...(sourcesByDoc.get(doc) || []), source]);
+  }
+
+  const sources = new Set(entries.map(entry => entry.source));
+
+  return [...sourcesByDoc]
+  .filter(([doc, docSources]) => docSources.length > 1 || sources.has(doc))
+  .map(([doc, docSources]) => ({ doc, sources: docSources, overwritesSource: sources.has(doc) }));
+}
+
+/**
+ * Format collisions for an error message
+ * @param {Array} collisions - Collisions from findDocPathCollisions
+ * @returns {string} - One line per collision
+ */
+function formatDocPathCollisions(collisions) {
+  return collisions
+  .map(({ doc, sources, overwritesSource }) =>
+      `- ${sources.join(', ')} -> ${doc}${overwritesSource ? ' (overwrites a source file)' : ''}`
+  )
+  .join('\n');
+}
+
+/**
+ * Translate a path template into a regular expression source matching the paths it produces
+ * @param {string} template - Path template
+ * @param {string} outDir - Output directory
+ * @returns {string} - Regular expression source (unanchored)
+ */
+function templateToRegExpSource(template, outDir) {
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const parts = template.split(/(\{dir\}\/|\.\{ext\}|\{\w+\})/);
+
+  return parts.map(part => {
+    switch (part) {
+      case '{dir}/':
+        return '(?:.+/)?';
+      case '.{ext}':
+        return '\\.[^/.]+';
+      case '{outDir}':
+        return escape(outDir);
+      case '{dir}':
+        return '.*';
+      case '{format}':
+        return '(?:adoc|md)';
+      case '{project}':
+      case '{name}':
+      case '{ext}':
+        return '[^/]+';
+      default:
+        return escape(part);
+    }
+  }).join('');
+}
+
+/**
+ * Check whether a path has the shape of a generated document, so docs kept next to
+ * the sources are never documented themselves. Only docs of files with an extension
+ * are recognized when the template contains .{ext}.
+ * @param {string} filename - Repository path
+ * @param {object} options - Layout options ({template, mappings, outDir})
+ * @returns {boolean} - Whether the path can be a documentation path
+ */
+function isDocPath(filename, { template, mappings = [], outDir }) {
+  const pathTemplate = template || DEFAULT_DOC_PATH_TEMPLATE;
+  const fileTemplate = pathTemplate.substring(pathTemplate.lastIndexOf('/') + 1);
+  const templates = [pathTemplate, ...mappings.map(mapping => `${mapping.directory}/${fileTemplate}`)];
+
+  return templates.some(candidate =>
+      new RegExp(`^${templateToRegExpSource(candidate, outDir)}$`).test(filename)
+  );
+}
+
+module.exports = {
+  DEFAULT_DOC_PATH_TEMPLATE,
+  PLACEHOLDERS,
+  validateDocPathTemplate,
+  resolveDocPath,
+  getDocRoots,
+  findDocPathCollisions,
+  formatDocPathCollisions,
+  isDocPath
+};
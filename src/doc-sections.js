@@ -0,0 +1,210 @@
+/**
+ * Helpers for splitting generated documents into heading sections
+ * and splicing rewritten sections back into an existing document
+ */
+
+// Marker the model returns in place of a section body when the symbol no longer exists
+const REMOVED_SECTION_MARKER = 'REMOVED';
+
+const HEADING_PATTERNS = {
+  adoc: { heading: /^(={1,6}) +(.+?)\s*$/, block: /^(-{4,}|\.{4,}|={4,}|\+{4,}|_{4,})\s*$/ },
+  md: { heading: /^(#{1,6}) +(.+?)\s*#*\s*$/, block: /^(`{3,}|~{3,})/ }
+};
+
+/**
+ * Split a document into sections by heading
+ * @param {string} doc - Document content
+ * @param {string} format - Document format (adoc/md)
+ * @returns {{lines: Array, sections: Array}} - Document lines and sections ({level, title, start, end} line ranges)
+ */
+function parseSections(doc, format = 'adoc') {
+  const patterns = HEADING_PATTERNS[format] || HEADING_PATTERNS.adoc;
+  const lines = doc.split('\n');
+  const headings = [];
+  let openBlock = null;
+
+  lines.forEach((line, index) => {
+    const block = line.match(patterns.block);
+    if (block) {
+      const delimiter = format === 'md' ? block[1][0] : block[1];
+      if (!openBlock) {
+        openBlock = delimiter;
+      } else if (openBlock === delimiter || (format === 'md' && line.startsWith(openBlock))) {
+        openBlock = null;
+      }
+      return;
+    }
+
+    if (openBlock) {
+      return;
+    }
+
+    const heading = line.match(patterns.heading);
+    if (heading) {
+      headings.push({ level: heading[1].length, title: heading[2], start: index });
+    }
+  });
+
+  // A section runs until the next heading of the same or a higher level
+  const sections = headings.map((heading, i) => {
+    const next = headings.slice(i + 1).find(h => h.level <= heading.level);
+    return { ...heading, end: next ? next.start : lines.length };
+  });
+
+  return { lines, sections };
+}
+
+/**
+ * Normalize a heading title for comparison
+ * @param {string} title - Heading title
+ * @returns {string} - Normalized title
+ */
+function normalizeTitle(title) {
+  return title.replace(/[`*_]/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Check whether a heading title mentions a symbol as a whole word
+ * @param {string} title - Heading title
+ * @param {string} symbol - Symbol name
+ * @returns {boolean} - Whether the symbol appears in the title
+ */
+function titleMentionsSymbol(title, symbol) {
+  const escaped = symbol.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\w$])${escaped}([^\\w$]|$)`).test(title);
+}
+
+/**
+ * Find the sections documenting any of the given symbols
+ * @param {string} doc - Existing document
+ * @param {string} format - Document format (adoc/md)
+ * @param {Set<string>|Array} symbols - Touched symbol names
+ * @returns {Array} - Non-overlapping affected sections in document order
+ */
+function findAffectedSections(doc, format, symbols) {
+  const { sections } = parseSections(doc, format);
+  const names = [...symbols];
+
+  const matches = sections.filter(section =>
+      section.level > 1 && names.some(name => titleMentionsSymbol(section.title, name))
+  );
+
+  // Drop sections nested in another affected section, they are rewritten with their parent
+  return matches.filter(section =>
+      !matches.some(other => other !== section && other.start <= section.start && other.end >= section.end)
+  );
+}
+
+/**
+ * Count the sections below the document title
+ * @param {string} doc - Document content
+ * @param {string} format - Document format (adoc/md)
+ * @returns {number} - Number of sections
+ */
+function countSections(doc, format) {
+  return parseSections(doc, format).sections.filter(section => section.level > 1).length;
+}
+
+/**
+ * Get the verbatim text of sections
+ * @param {string} doc - Document content
+ * @param {Array} sections - Sections from findAffectedSections
+ * @returns {string} - Section texts separated by blank lines
+ */
+function getSectionsText(doc, sections) {
+  const lines = doc.split('\n');
+  return sections
+  .map(section => lines.slice(section.start, section.end).join('\n').trimEnd())
+  .join('\n\n');
+}
+
+/**
+ * Split a section's lines into content and trailing blank lines
+ * @param {Array} lines - Section lines
+ * @returns {{body: Array, trailing: Array}} - Content lines and trailing blank lines
+ */
+function splitTrailingBlankLines(lines) {
+  let end = lines.length;
+  while (end > 0 && !lines[end - 1].trim()) {
+    end--;
+  }
+  return { body: lines.slice(0, end), trailing: lines.slice(end) };
+}
+
+/**
+ * Replace sections of an existing document with the rewritten sections from a model response.
+ * Everything outside the replaced sections is kept byte-identical.
+ * @param {string} doc - Existing document
+ * @param {string} format - Document format (adoc/md)
+ * @param {Array} targets - Sections that were sent for rewriting
+ * @param {string} response - Model response containing the rewritten sections
+ * @returns {{content: string, replaced: number, removed: number, added: number, missing: Array}} - Spliced document and statistics
+ */
+function spliceSections(doc, format, targets, response) {
+  const { lines } = parseSections(doc, format);
+  const { lines: responseLines, sections: responseSections } = parseSections(response, format);
+
+  const topLevel = responseSections.length > 0 ? Math.min(...responseSections.map(s => s.level)) : 0;
+  const candidates = responseSections.filter(section => section.level === topLevel);
+  const used = new Set();
+
+  const stats = { replaced: 0, removed: 0, added: 0, missing: [] };
+  const output = [];
+  let cursor = 0;
+
+  const sortedTargets = [...targets].sort((a, b) => a.start - b.start);
+
+  sortedTargets.forEach((target, i) => {
+    output.push(...lines.slice(cursor, target.start));
+    cursor = target.end;
+
+    const original = splitTrailingBlankLines(lines.slice(target.start, target.end));
+    const match = candidates.find(candidate =>
+        !used.has(candidate) && normalizeTitle(candidate.title) === normalizeTitle(target.title)
+    );
+
+    if (!match) {
+      stats.missing.push(target.title);
+      output.push(...original.body, ...original.trailing);
+    } else {
+      used.add(match);
+      const rewritten = splitTrailingBlankLines(responseLines.slice(match.start, match.end)).body;
+      const bodyText = rewritten.slice(1).join('\n').trim();
+
+      if (bodyText === REMOVED_SECTION_MARKER) {
+        stats.removed++;
+      } else {
+        stats.replaced++;
+        output.push(...rewritten, ...original.trailing);
+      }
+    }
+
+    // New sections from the response go after the last rewritten section
+    if (i === sortedTargets.length - 1) {
+      for (const candidate of candidates.filter(c => !used.has(c))) {
+        const added = splitTrailingBlankLines(responseLines.slice(candidate.start, candidate.end)).body;
+        if (added.slice(1).join('\n').trim() === REMOVED_SECTION_MARKER) {
+          continue;
+        }
+        if (output.length > 0 && output[output.length - 1].trim()) {
+          output.push('');
+        }
+        output.push(...added, '');
+        stats.added++;
+      }
+    }
+  });
+
+  output.push(...lines.slice(cursor));
+
+  return { content: output.join('\n'), ...stats };
+}
+
+module.exports = {
+  REMOVED_SECTION_MARKER,
+  parseSections,
+  findAffectedSections,
+  countSections,
+  getSectionsText,
+  spliceSections
+};
@@ -0,0 +1,194 @@
+/**
+ * Checks generated documentation against the document template before it is committed.
+ * Wrapping code fences and chatter around the document are removed automatically;
+ * anything else is reported as a violation so the document can be requested again.
+ */
+
+const TITLE_PATTERNS = {
+  adoc: /^=\s+(.+)$/,
+  md: /^#\s+(.+)$/
+};
+
+const SECTION_PREFIXES = {
+  adoc: '==',
+  md: '##'
+};
+
+// A fence line that may wrap the whole response, e.g. ```asciidoc
+const WRAPPER_FENCE_PATTERN = /^(`{3,}|~{3,})\s*[\w-]*\s*$/;
+
+/**
+ * Read the level-2 section titles of a document template
+ * @param {string} template - Template content (.github/templates/<language>.<format>)
+ * @param {string} format - Document format (adoc/md)
+ * @returns {Array} - Section titles in template order
+ */
+function getTemplateSections(template, format = 'adoc') {
+  const prefix = `${SECTION_PREFIXES[format]} `;
+
+  return (template || '').split('\n')
+  .filter(line => line.startsWith(prefix))
+  .map(line => line.substring(prefix.length).trim());
+}
+
+/**
+ * Remove code fences and explanatory text wrapped around a generated document
+ * @param {string} text - AI response
+ * @param {string} format - Document format (adoc/md)
+ * @returns {{content: string, repairs: Array}} - Cleaned document and descriptions of what was removed
+ */
+function repairDocumentation(text, format = 'adoc') {
+  const lines = (text || '').trim().split('\n');
+  const repairs = [];
+
+  const titleIndex = lines.findIndex(line => TITLE_PATTERNS[format].test(line));
+  if (titleIndex <= 0) {
+    return { content: lines.join('\n'), repairs };
+  }
+
+  // Everything before the title is chatter or an opening fence
+  const before = lines.slice(0, titleIndex);
+  const fence = before.map(line => line.trim().match(WRAPPER_FENCE_PATTERN)).filter(Boolean).pop();
+  let end = lines.length;
+
+  if (fence) {
+    repairs.push('removed wrapping code fence');
+
+    // The last line closing the wrapper fence ends the document; anything after it is chatter
+    const closing = lines.findLastIndex((line, i) => i > titleIndex && line.trim() === fence[1]);
+    if (closing !== -1) {
+      if (lines.slice(closing + 1).some(line => line.trim())) {
+        repairs.push('removed text after the document');
+      }
+      end = closing;
+    }
+  }
+
+  if (before.some(line => line.trim() && !WRAPPER_FENCE_PATTERN.test(line.trim()))) {
+    repairs.push('removed text before the title');
+  }
+
+  return { content: lines.slice(titleIndex, end).join('\n').trim(), repairs };
+}
+
+/**
+ * Check that delimited blocks are closed
+ * @param {Array} lines - Document lines
+ * @param {RegExp} delimiter - Pattern matching a block delimiter line (delimiter, info string)
+ * @returns {number} - 1-based line of the unclosed block or 0 if all blocks are closed
+ */
+function findUnclosedBlock(lines, delimiter) {
+  let open = null;
+
+  lines.forEach((line, i) => {
+    const match = line.trim().match(delimiter);
+    if (!match) {
+      return;
+    }
+    if (open === null) {
+      open = { fence: match[1], line: i + 1 };
+    } else if (match[1] === open.fence && !match[2]) {
+      open = null;
+    }
+  });
+
+  return open ? open.line : 0;
+}
+
+/**
+ * Check the attribute table of the overview (PR number, author, dates, ...)
+ * @param {Array} lines - Document lines
+ * @param {string} format - Document format (adoc/md)
+ * @returns {string|null} - Violation or null if the table is valid
+ */
+function checkAttributeTable(lines, format) {
+  if (format === 'md') {
+    const start = lines.findIndex(line => line.trim().startsWith('|'));
+    if (start === -1) {
+      return 'missing the attribute table';
+    }
+
+    const rows = [];
+    for (let i = start; i < lines.length && lines[i].trim().startsWith('|'); i++) {
+      rows.push(lines[i].trim());
+    }
+    const cells = (row) => row.replace(/^\||\|$/g, '').split('|').length;
+
+    if (rows.length < 3 || !/^\|[\s:|-]+\|$/.test(rows[1])) {
+      return `attribute table at line ${start + 1} has no header separator row`;
+    }
+    const bad = rows.findIndex(row => cells(row) !== cells(rows[0]));
+    return bad === -1 ? null : `attribute table row at line ${start + bad + 1} has ${cells(rows[bad])} cells instead of ${cells(rows[0])}`;
+  }
+
+  const start = lines.findIndex(line => line.trim() === '|===');
+  if (start === -1) {
+    return 'missing the attribute table';
+  }
+  if (!/^\[.*cols=/.test((lines[start - 1] || '').trim())) {
+    return `attribute table at line ${start + 1} has no [cols="1,3"] line`;
+  }
+
+  const endOffset = lines.slice(start + 1).findIndex(line => line.trim() === '|===');
+  if (endOffset === -1) {
+    return `attribute table at line ${start + 1} is not closed with |===`;
+  }
+
+  for (let i = start + 1; i <= start + endOffset; i++) {
+    const row = lines[i].trim();
+    if (row && (!row.startsWith('|') || row.substring(1).split('|').length !== 2)) {
+      return `attribute table row at line ${i + 1} must have exactly two cells (|Item|Value)`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate a generated document against the template rules
+ * @param {string} content - Document content (without doxai metadata)
+ * @param {string} format - Document format (adoc/md)
+ * @param {object} options - Validation options
+ * @param {string} options.filename - File name expected in the title
+ * @param {Array} options.requiredSections - Level-2 section titles the document must contain
+ * @returns {Array} - Violations, empty if the document is valid
+ */
+function validateDocumentation(content, format = 'adoc', { filename, requiredSections = [] } = {}) {
+  const violations = [];
+  const lines = (content || '').split('\n');
+
+  const titleMatch = (lines[0] || '').match(TITLE_PATTERNS[format]);
+  const titlePrefix = format === 'md' ? '#' : '=';
+  if (!titleMatch) {
+    violations.push(`the document must start with a "${titlePrefix} ${filename}" title`);
+  } else if (filename && !titleMatch[1].replace(/`/g, '').includes(filename)) {
+    violations.push(`the title must be "${titlePrefix} ${filename}"`);
+  }
+
+  const prefix = SECTION_PREFIXES[format];
+  const sections = new Set(lines.filter(line => line.startsWith(`${prefix} `)).map(line => line.substring(prefix.length + 1).trim()));
+  const missing = requiredSections.filter(section => !sections.has(section));
+  if (missing.length > 0) {
+    violations.push(`missing required sections: ${missing.map(section => `"${prefix} ${section}"`).join(', ')}`);
+  }
+
+  const unclosed = format === 'md'
+      ? findUnclosedBlock(lines, /^(`{3,}|~{3,})(\S*)/)
+      : findUnclosedBlock(lines, /^(-{4,})()$/);
+  if (unclosed) {
+    violations.push(`the ${format === 'md' ? 'code fence' : '---- block'} opened at line ${unclosed} is never closed`);
+  }
+
+  const tableViolation = checkAttributeTable(lines, format);
+  if (tableViolation) {
+    violations.push(tableViolation);
+  }
+
+  return violations;
+}
+
+module.exports = {
+  getTemplateSections,
+  repairDocumentation,
+  validateDocumentation
+};
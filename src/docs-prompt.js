@@ -1,6 +1,12 @@
+const fs = require('fs');
 const path = require('path');
 const config = require('./config');
 const Logger = require('./logger');
+const { REMOVED_SECTION_MARKER } = require('./doc-sections');
+const { getTemplateSections } = require('./doc-validator');
+
+// Upper bound for the related modules section so imports never crowd out the file itself
+const MAX_RELATED_MODULES_CHARS = 6000;
 
 /**
  * Documentation prompt templates and generators with embedded templates
@@ -76,6 +82,7 @@ class DocsPromptGenerator {
 
     // Embedded templates - all templates directly in code
     this.templates = this.getEmbeddedTemplates();
+    this.markdownTemplates = this.getEmbeddedMarkdownTemplates();
   }
 
   /**
@@ -107,6 +114,44 @@ class DocsPromptGenerator {
     };
   }
 
+  /**
+   * Get all embedded Markdown templates
+   * @returns {object} - All Markdown templates organized by [group][language]
+   */
+  getEmbeddedMarkdownTemplates() {
+    return {
+      oop_class: {
+        ko: require('./templates/oop-class-md-ko'),
+        en: require('./templates/oop-class-md-en')
+      },
+      functional: {
+        ko: require('./templates/functional-md-ko'),
+        en: require('./templates/functional-md-en')
+      },
+      web_frontend: {
+        ko: require('./templates/web-frontend-md-ko'),
+        en: require('./templates/web-frontend-md-en')
+      },
+      data: {
+        ko: require('./templates/data-md-ko'),
+        en: require('./templates/data-md-en')
+      },
+      native: {
+        ko: require('./templates/native-md-ko'),
+        en: require('./templates/native-md-en')
+      }
+    };
+  }
+
+  /**
+   * Get the template set for an output format
+   * @param {string} format - Output format (adoc/md)
+   * @returns {object} - Templates organized by [group][language]
+   */
+  getTemplatesForFormat(format) {
+    return format === 'md' ? this.markdownTemplates : this.templates;
+  }
+
   /**
    * Determine language group based on file extension
    * @param {string} filename - File name with extension
@@ -156,15 +201,16 @@ class DocsPromptGenerator {
    * Get system prompt for specific file and documentation language
    * @param {string} filename - Source file name
    * @param {string} docLanguage - Documentation language (ko/en)
+   * @param {string} format - Output format (adoc/md)
    * @returns {string} - System prompt specialized for the file type
    */
-  getSystemPrompt(filename, docLanguage = 'en') {
+  getSystemPrompt(filename, docLanguage = 'en', format = 'adoc') {
     const languageGroup = this.getLanguageGroup(filename);
-    const template = this.templates[languageGroup]?.[docLanguage];
+    const template = this.getTemplatesForFormat(format)[languageGroup]?.[docLanguage];
 
     if (!template || !template.systemPrompt) {
-      this.logger.warn(`No system prompt found for ${languageGroup}/${docLanguage}, using default`);
-      return this.getDefaultSystemPrompt(docLanguage);
+      this.logger.warn(`No system prompt found for ${languageGroup}/${docLanguage}/${format}, using default`);
+      return this.getDefaultSystemPrompt(docLanguage, format);
     }
 
     return template.systemPrompt;
@@ -176,20 +222,21 @@ class DocsPromptGenerator {
    * @param {string} fileContent - Source file content
    * @param {object} prDetails - PR details
    * @param {string} language - Documentation language (ko/en)
+   * @param {string} format - Output format (adoc/md)
    * @returns {string} - Specialized user prompt
    */
-  createDocsPrompt(filename, fileContent, prDetails, language = 'en') {
+  createDocsPrompt(filename, fileContent, prDetails, language = 'en', format = 'adoc') {
     const languageGroup = this.getLanguageGroup(filename);
     const codeLanguage = this.getLanguageFromFilename(filename);
     const cleanFilename = this.getCleanFilename(filename);
 
-    this.logger.info(`Creating docs prompt: ${languageGroup}/${language} for ${cleanFilename}`);
+    this.logger.info(`Creating docs prompt: ${languageGroup}/${language}/${format} for ${cleanFilename}`);
 
-    const template = this.templates[languageGroup]?.[language];
+    const template = this.getTemplatesForFormat(format)[languageGroup]?.[language];
 
     if (!template || !template.createTemplate) {
-      this.logger.warn(`No create template found for ${languageGroup}/${language}, using default`);
-      return this.getDefaultCreatePrompt(filename, fileContent, prDetails, language);
+      this.logger.warn(`No create template found for ${languageGroup}/${language}/${format}, using default`);
+      return this.getDefaultCreatePrompt(filename, fileContent, prDetails, language, format);
     }
 
     // Replace placeholders in template with actual values
@@ -212,20 +259,26 @@ class DocsPromptGenerator {
    * @param {string} existingDocContent - Existing documentation
    * @param {object} prDetails - PR details
    * @param {string} language - Documentation language (ko/en)
+   * @param {string} format - Output format (adoc/md)
+   * @param {object|null} diffContext - PR patch and affected sections ({patch, sectionsText, addedSymbols, removedSymbols}) for a partial rewrite
    * @returns {string} - Specialized update prompt
    */
-  createUpdateDocsPrompt(filename, fileContent, existingDocContent, prDetails, language = 'en') {
+  createUpdateDocsPrompt(filename, fileContent, existingDocContent, prDetails, language = 'en', format = 'adoc', diffContext = null) {
+    if (diffContext) {
+      return this.createSectionUpdatePrompt(filename, fileContent, diffContext, prDetails, language, format);
+    }
+
     const languageGroup = this.getLanguageGroup(filename);
     const codeLanguage = this.getLanguageFromFilename(filename);
     const cleanFilename = this.getCleanFilename(filename);
 
-    this.logger.info(`Creating update docs prompt: ${languageGroup}/${language} for ${cleanFilename}`);
+    this.logger.info(`Creating update docs prompt: ${languageGroup}/${language}/${format} for ${cleanFilename}`);
 
-    const template = this.templates[languageGroup]?.[language];
+    const template = this.getTemplatesForFormat(format)[languageGroup]?.[language];
 
     if (!template || !template.updateTemplate) {
-      this.logger.warn(`No update template found for ${languageGroup}/${language}, using default`);
-      return this.getDefaultUpdatePrompt(filename, fileContent, existingDocContent, prDetails, language);
+      this.logger.warn(`No update template found for ${languageGroup}/${language}/${format}, using default`);
+      return this.getDefaultUpdatePrompt(filename, fileContent, existingDocContent, prDetails, language, format);
     }
 
     // Replace placeholders in template with actual values
@@ -242,24 +295,309 @@ class DocsPromptGenerator {
     .replace(/\${existingDocContent}/g, existingDocContent);
   }
 
+  /**
+   * Create a prompt that rewrites only the documentation sections touched by a diff
+   * @param {string} filename - Source file name
+   * @param {string} fileContent - Current file content
+   * @param {object} diffContext - PR patch and affected sections ({patch, sectionsText, addedSymbols, removedSymbols})
+   * @param {object} prDetails - PR details
+   * @param {string} language - Documentation language (ko/en)
+   * @param {string} format - Output format (adoc/md)
+   * @returns {string} - Section update prompt
+   */
+  createSectionUpdatePrompt(filename, fileContent, diffContext, prDetails, language = 'en', format = 'adoc') {
+    const { patch, sectionsText, addedSymbols = [], removedSymbols = [] } = diffContext;
+    const codeLanguage = this.getLanguageFromFilename(filename);
+    const formatName = this.getFormatName(format);
+    const fence = format === 'md' ? '````' : '```';
+    const list = (items) => items.length > 0 ? items.map(item => `\`${item}\``).join(', ') : '-';
+
+    this.logger.info(`Creating section update prompt: ${language}/${format} for ${this.getCleanFilename(filename)}`);
+
+    if (language === 'ko') {
+      return `# 문서 부분 업데이트 요청
+
+PR #${prDetails.number}에서 다음 ${codeLanguage} 파일이 변경되었습니다. 변경의 영향을 받은 문서 섹션만 **한국어로** 다시 작성해주세요.
+
+## 파일 정보
+- 전체 경로: ${filename}
+- 언어: ${codeLanguage}
+
+## 변경 사항 (unified diff)
+\`\`\`diff
+${patch}
+\`\`\`
+
+## 현재 코드
+\`\`\`
+${fileContent}
+\`\`\`
+
+## 다시 작성할 섹션
+${fence}${format === 'md' ? 'markdown' : 'asciidoc'}
+${sectionsText}
+${fence}
+
+- 새로 추가된 심볼: ${list(addedSymbols)}
+- 삭제된 심볼: ${list(removedSymbols)}
+
+## 🚨 중요: 반환 형식 요구사항
+- **위 섹션만 반환하세요** - 문서의 다른 부분은 그대로 유지됩니다
+- 각 섹션의 제목 줄은 **글자 하나 바꾸지 말고 그대로** 사용하세요
+- 삭제된 심볼의 섹션은 제목 줄 다음 줄에 \`${REMOVED_SECTION_MARKER}\`만 작성하세요
+- 새로 추가된 심볼은 같은 제목 수준의 새 섹션으로 추가하세요
+- 기존 섹션의 ${formatName} 스타일과 구성을 유지하세요
+- **응답을 코드블럭으로 감싸지 말고, 앞뒤에 설명을 추가하지 마세요**`;
+    }
+
+    return `# Partial Documentation Update Request
+
+The following ${codeLanguage} file was changed in PR #${prDetails.number}. Rewrite **in English** only the documentation sections affected by the change.
+
+## File Information
+- Full Path: ${filename}
+- Language: ${codeLanguage}
+
+## Changes (unified diff)
+\`\`\`diff
+${patch}
+\`\`\`
+
+## Current Code
+\`\`\`
+${fileContent}
+\`\`\`
+
+## Sections to Rewrite
+${fence}${format === 'md' ? 'markdown' : 'asciidoc'}
+${sectionsText}
+${fence}
+
+- Newly added symbols: ${list(addedSymbols)}
+- Removed symbols: ${list(removedSymbols)}
+
+## 🚨 CRITICAL: Return Format Requirements
+- **Return ONLY the sections above** - the rest of the document is kept as-is
+- Keep every section heading line **exactly as given**
+- For a section whose symbol was removed, write only \`${REMOVED_SECTION_MARKER}\` on the line after its heading
+- Add newly added symbols as new sections at the same heading level
+- Keep the ${formatName} style and structure of the existing sections
+- **Do NOT wrap the response in code blocks or add any explanatory text**`;
+  }
+
+  /**
+   * Create a documentation prompt for one chunk of a file that is too large for a single prompt
+   * @param {string} filename - Source file name
+   * @param {object} chunk - Chunk as {startLine, endLine, content}
+   * @param {number} index - 1-based chunk number
+   * @param {number} total - Number of chunks
+   * @param {object} prDetails - PR details
+   * @param {string} language - Documentation language (ko/en)
+   * @param {string} format - Output format (adoc/md)
+   * @returns {string} - Create prompt for the chunk
+   */
+  createChunkDocsPrompt(filename, chunk, index, total, prDetails, language = 'en', format = 'adoc') {
+    const note = language === 'ko'
+        ? `> 아래 코드는 ${filename} 파일의 ${index}/${total} 부분(${chunk.startLine}-${chunk.endLine}행)입니다. 파일이 커서 부분별로 문서화한 뒤 하나의 문서로 병합합니다. 이 부분에 있는 선언만 문서화하고, 다른 부분의 내용은 추측하지 마세요.`
+        : `> The code below is part ${index} of ${total} (lines ${chunk.startLine}-${chunk.endLine}) of ${filename}. The file is too large for one request, so its parts are documented separately and merged afterwards. Document only the declarations in this part and do not guess at the contents of the other parts.`;
+
+    return `${note}\n\n${this.createDocsPrompt(filename, chunk.content, prDetails, language, format)}`;
+  }
+
+  /**
+   * Create a prompt that merges the documentation of a file's chunks into one document
+   * @param {string} filename - Source file name
+   * @param {Array} partialDocs - Documentation generated for consecutive chunks, in file order
+   * @param {string|null} existingDoc - Existing documentation whose structure should be kept
+   * @param {string} language - Documentation language (ko/en)
+   * @param {string} format - Output format (adoc/md)
+   * @param {boolean} final - Whether the result is the final document rather than another partial one
+   * @returns {string} - Merge prompt
+   */
+  createMergeDocsPrompt(filename, partialDocs, existingDoc, language = 'en', format = 'adoc', final = true) {
+    const formatName = this.getFormatName(format);
+    const fence = format === 'md' ? '````' : '```';
+    const lang = format === 'md' ? 'markdown' : 'asciidoc';
+    const parts = partialDocs
+    .map((doc, i) => `### ${language === 'ko' ? '부분' : 'Part'} ${i + 1}\n${fence}${lang}\n${doc}\n${fence}`)
+    .join('\n\n');
+    const existing = existingDoc ? `${fence}${lang}\n${existingDoc}\n${fence}` : null;
+
+    this.logger.info(`Creating merge prompt: ${language}/${format} for ${this.getCleanFilename(filename)} (${partialDocs.length} parts)`);
+
+    if (language === 'ko') {
+      return `# 문서 병합 요청
+
+${filename} 파일은 한 번에 처리하기에 너무 커서 연속된 부분별로 문서화했습니다. 아래 부분 문서를 파일 전체에 대한 **하나의 일관된 ${formatName} 문서**로 **한국어로** 병합해주세요.
+
+## 부분 문서 (파일 순서)
+${parts}
+${existing ? `\n## 기존 문서\n기존 문서의 구성과 여전히 정확한 내용은 유지하세요.\n${existing}\n` : ''}
+## 🚨 중요: 반환 형식 요구사항
+- 문서 제목과 메타데이터는 한 번만 작성하고, 개요는 파일 전체를 설명하도록 다시 작성하세요
+- 같은 섹션이 여러 부분에 있으면 하나로 합치고 중복된 설명은 제거하세요
+- 부분 문서에 있는 선언, 파라미터, 예제는 **하나도 빠뜨리지 마세요**
+${final ? '' : '- 결과는 이후 다른 부분과 다시 병합되므로 파일의 일부만 다룬다는 점을 전제로 작성하세요\n'}- **응답을 코드블럭으로 감싸지 말고, 앞뒤에 설명을 추가하지 마세요**`;
+    }
+
+    return `# Documentation Merge Request
+
+${filename} is too large for one request, so consecutive parts of it were documented separately. Merge the partial documents below **in English** into **one coherent ${formatName} document** for the whole file.
+
+## Partial Documents (in file order)
+${parts}
+${existing ? `\n## Existing Documentation\nKeep its structure and any content that is still accurate.\n${existing}\n` : ''}
+## 🚨 CRITICAL: Return Format Requirements
+- Write the title and metadata once, and rewrite the overview so it describes the whole file
+- Combine sections that appear in several parts and remove repeated explanations
+- **Do NOT drop** any declaration, parameter or example found in the partial documents
+${final ? '' : '- The result will be merged again with other parts, so it still covers only part of the file\n'}- **Do NOT wrap the response in code blocks or add any explanatory text**`;
+  }
+
+  /**
+   * Get the sections a generated document must contain: the sections of the reference template
+   * (.github/templates/<language>.<format>) that the prompt template of the file type also asks for
+   * @param {string} filename - Source file name
+   * @param {string} language - Documentation language (ko/en)
+   * @param {string} format - Output format (adoc/md)
+   * @returns {Array} - Required level-2 section titles
+   */
+  getRequiredSections(filename, language = 'en', format = 'adoc') {
+    const templateFile = path.join(config.templatePath, `${language}.${format}`);
+
+    let sections;
+    try {
+      sections = getTemplateSections(fs.readFileSync(templateFile, 'utf8'), format);
+    } catch (error) {
+      this.logger.warn(`Could not read reference template ${templateFile}: ${error.message}`);
+      return [];
+    }
+
+    const createTemplate = this.getTemplatesForFormat(format)[this.getLanguageGroup(filename)]?.[language]?.createTemplate;
+    if (!createTemplate) {
+      return sections;
+    }
+
+    const prefix = format === 'md' ? '##' : '==';
+    return sections.filter(section => createTemplate.split('\n').some(line => line.trim() === `${prefix} ${section}`));
+  }
+
+  /**
+   * Create a prompt asking the AI to correct a document that failed validation
+   * @param {string} filename - Source file name
+   * @param {string} document - Document returned by the previous request
+   * @param {Array} violations - Validation failures
+   * @param {string} language - Documentation language (ko/en)
+   * @param {string} format - Output format (adoc/md)
+   * @returns {string} - Correction prompt
+   */
+  createFixDocsPrompt(filename, document, violations, language = 'en', format = 'adoc') {
+    const formatName = this.getFormatName(format);
+    const fence = format === 'md' ? '````' : '```';
+    const lang = format === 'md' ? 'markdown' : 'asciidoc';
+    const list = violations.map(violation => `- ${violation}`).join('\n');
+
+    this.logger.info(`Creating fix prompt: ${language}/${format} for ${this.getCleanFilename(filename)}`);
+
+    if (language === 'ko') {
+      return `# 문서 수정 요청
+
+${filename} 파일에 대해 생성한 ${formatName} 문서가 템플릿 규칙을 지키지 않았습니다. 아래 문제를 고친 **전체 문서**를 **한국어로** 다시 작성해주세요.
+
+## 문제
+${list}
+
+## 이전 문서
+${fence}${lang}
+${document}
+${fence}
+
+## 🚨 중요: 반환 형식 요구사항
+- 문제가 없는 내용은 그대로 유지하세요
+- **응답을 코드블럭으로 감싸지 말고, 앞뒤에 설명을 추가하지 마세요**`;
+    }
+
+    return `# Documentation Fix Request
+
+The ${formatName} document generated for ${filename} does not follow the template rules. Rewrite the **complete document** **in English** with the problems below fixed.
+
+## Problems
+${list}
+
+## Previous Document
+${fence}${lang}
+${document}
+${fence}
+
+## 🚨 CRITICAL: Return Format Requirements
+- Keep everything that is not affected by the problems unchanged
+- **Do NOT wrap the response in code blocks or add any explanatory text**`;
+  }
+
+  /**
+   * Append the signatures and summaries of imported repository modules to a user prompt
+   * @param {string} prompt - User prompt
+   * @param {Array} modules - Related modules as {path, summary, signatures}
+   * @param {string} language - Documentation language (ko/en)
+   * @returns {string} - Prompt with a bounded related modules section
+   */
+  appendRelatedModules(prompt, modules, language = 'en') {
+    if (!modules || modules.length === 0) {
+      return prompt;
+    }
+
+    const blocks = [];
+    let length = 0;
+
+    for (const module of modules) {
+      let block = `### ${module.path}\n`;
+      if (module.summary) {
+        block += `${language === 'ko' ? '요약' : 'Summary'}: ${module.summary}\n`;
+      }
+      if (module.signatures.length > 0) {
+        block += `\`\`\`\n${module.signatures.join('\n')}\n\`\`\`\n`;
+      }
+
+      if (length + block.length > MAX_RELATED_MODULES_CHARS) {
+        this.logger.debug(`Related modules section full, leaving out ${modules.length - blocks.length} modules`);
+        break;
+      }
+      blocks.push(block);
+      length += block.length;
+    }
+
+    if (blocks.length === 0) {
+      return prompt;
+    }
+
+    const header = language === 'ko'
+        ? `## 관련 모듈\n이 파일이 가져오는 저장소 내 모듈의 공개 시그니처와 기존 문서 요약입니다. 이 파일이 해당 모듈을 어떻게 사용하는지 설명할 때만 참고하고, 관련 모듈 자체를 문서화하지 마세요.`
+        : `## Related Modules\nExported signatures and existing documentation summaries of the repository modules this file imports. Use them only to explain how this file uses them; do not document the related modules themselves.`;
+
+    return `${prompt}\n\n${header}\n\n${blocks.join('\n')}`;
+  }
+
   /**
    * Get default system prompt as fallback
    * @param {string} language - Documentation language
+   * @param {string} format - Output format (adoc/md)
    * @returns {string} - Default system prompt
    */
-  getDefaultSystemPrompt(language) {
+  getDefaultSystemPrompt(language, format = 'adoc') {
+    const formatName = this.getFormatName(format);
     return language === 'ko'
-        ? `당신은 코드 문서화 전문가입니다. 제공된 코드를 분석하여 한국어로 AsciiDoc 형식의 문서를 생성해주세요.`
-        : `You are a code documentation expert. Please analyze the provided code and generate documentation in AsciiDoc format in English.`;
+        ? `당신은 코드 문서화 전문가입니다. 제공된 코드를 분석하여 한국어로 ${formatName} 형식의 문서를 생성해주세요.`
+        : `You are a code documentation expert. Please analyze the provided code and generate documentation in ${formatName} format in English.`;
   }
 
   /**
    * Get default create prompt as fallback
    */
-  getDefaultCreatePrompt(filename, fileContent, prDetails, language) {
+  getDefaultCreatePrompt(filename, fileContent, prDetails, language, format = 'adoc') {
+    const formatName = this.getFormatName(format);
     const languageTemplate = language === 'ko'
-        ? `# 코드 문서화 요청\n다음 파일을 분석하여 한국어로 AsciiDoc 문서를 생성해주세요.\n\n## 코드\n\`\`\`\n${fileContent}\n\`\`\``
-        : `# Code Documentation Request\nPlease analyze the following file and generate AsciiDoc documentation in English.\n\n## Code\n\`\`\`\n${fileContent}\n\`\`\``;
+        ? `# 코드 문서화 요청\n다음 파일을 분석하여 한국어로 ${formatName} 문서를 생성해주세요.\n\n## 코드\n\`\`\`\n${fileContent}\n\`\`\``
+        : `# Code Documentation Request\nPlease analyze the following file and generate ${formatName} documentation in English.\n\n## Code\n\`\`\`\n${fileContent}\n\`\`\``;
 
     return languageTemplate;
   }
@@ -267,11 +605,20 @@ class DocsPromptGenerator {
   /**
    * Get default update prompt as fallback
    */
-  getDefaultUpdatePrompt(filename, fileContent, existingDocContent, prDetails, language) {
+  getDefaultUpdatePrompt(filename, fileContent, existingDocContent, prDetails, language, format = 'adoc') {
     return language === 'ko'
         ? `# 문서 업데이트 요청\n변경된 파일의 기존 문서를 업데이트해주세요.`
         : `# Documentation Update Request\nPlease update the existing documentation for the changed file.`;
   }
+
+  /**
+   * Get display name for an output format
+   * @param {string} format - Output format (adoc/md)
+   * @returns {string} - Format display name
+   */
+  getFormatName(format) {
+    return format === 'md' ? 'Markdown' : 'AsciiDoc';
+  }
 }
 
 // Create singleton instance
@@ -279,23 +626,43 @@ const promptGenerator = new DocsPromptGenerator();
 
 // Export compatibility functions
 module.exports = {
-  createDocsPrompt: (filename, fileContent, prDetails, language = 'en') => {
-    console.log(`[DocsPrompt] Creating docs prompt for language: ${language}, file: ${filename}`);
-    return promptGenerator.createDocsPrompt(filename, fileContent, prDetails, language);
+  createDocsPrompt: (filename, fileContent, prDetails, language = 'en', format = 'adoc') => {
+    console.log(`[DocsPrompt] Creating docs prompt for language: ${language}, format: ${format}, file: ${filename}`);
+    return promptGenerator.createDocsPrompt(filename, fileContent, prDetails, language, format);
   },
 
-  createUpdateDocsPrompt: (filename, fileContent, existingDocContent, prDetails, language = 'en') => {
-    console.log(`[DocsPrompt] Creating update docs prompt for language: ${language}, file: ${filename}`);
-    return promptGenerator.createUpdateDocsPrompt(filename, fileContent, existingDocContent, prDetails, language);
+  createUpdateDocsPrompt: (filename, fileContent, existingDocContent, prDetails, language = 'en', format = 'adoc', diffContext = null) => {
+    console.log(`[DocsPrompt] Creating update docs prompt for language: ${language}, format: ${format}, file: ${filename}`);
+    return promptGenerator.createUpdateDocsPrompt(filename, fileContent, existingDocContent, prDetails, language, format, diffContext);
   },
 
-  getSystemPrompt: (filename, language = 'en') => {
-    return promptGenerator.getSystemPrompt(filename, language);
+  getSystemPrompt: (filename, language = 'en', format = 'adoc') => {
+    return promptGenerator.getSystemPrompt(filename, language, format);
   },
 
   getLanguageGroup: (filename) => {
     return promptGenerator.getLanguageGroup(filename);
   },
 
+  createChunkDocsPrompt: (filename, chunk, index, total, prDetails, language = 'en', format = 'adoc') => {
+    return promptGenerator.createChunkDocsPrompt(filename, chunk, index, total, prDetails, language, format);
+  },
+
+  createMergeDocsPrompt: (filename, partialDocs, existingDoc, language = 'en', format = 'adoc', final = true) => {
+    return promptGenerator.createMergeDocsPrompt(filename, partialDocs, existingDoc, language, format, final);
+  },
+
+  getRequiredSections: (filename, language = 'en', format = 'adoc') => {
+    return promptGenerator.getRequiredSections(filename, language, format);
+  },
+
+  createFixDocsPrompt: (filename, document, violations, language = 'en', format = 'adoc') => {
+    return promptGenerator.createFixDocsPrompt(filename, document, violations, language, format);
+  },
+
+  appendRelatedModules: (prompt, modules, language = 'en') => {
+    return promptGenerator.appendRelatedModules(prompt, modules, language);
+  },
+
   DocsPromptGenerator
 };
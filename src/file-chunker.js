@@ -0,0 +1,178 @@
+/**
+ * Splitting of source files that are too large for one prompt.
+ * Files are cut at top-level declaration boundaries; a declaration that is still too large
+ * is cut at its member boundaries, and only code without any boundary is cut line by line.
+ */
+
+// Tokens of a prompt taken by the system prompt, template text and related modules section
+const PROMPT_OVERHEAD_TOKENS = 4000;
+
+// Largest share of the context window reserved for the response and for the prompt overhead each,
+// so small windows still leave room for source
+const MAX_RESERVED_SHARE = 0.25;
+
+// Share of the remaining context used for source, leaving room for the rough token estimate
+const CONTEXT_USAGE_RATIO = 0.75;
+
+// Smallest chunk ever produced, even for tiny context windows
+const MIN_CHUNK_TOKENS = 500;
+
+// Lines that continue the previous declaration rather than start a new one
+const CONTINUATION_PATTERN = /^(\}|\)|\]|end\b|else\b|elif\b|except\b|finally\b|catch\b|<\/|#\s*(endif|else|elif)\b)/;
+
+// Comments, decorators and annotations that belong to the declaration below them
+const PREFIX_PATTERN = /^(\/\/|\/\*|\*|#(?!\s*(include|define|if|endif|else|elif|pragma)\b)|@|"""|''')/;
+
+/**
+ * Get the largest amount of source that fits into one prompt
+ * @param {number} contextWindow - Context window of the model in tokens
+ * @param {number} outputTokens - Tokens requested for the response, at most a quarter of the window is reserved
+ * @returns {number} - Maximum source tokens per prompt
+ */
+function getChunkTokenLimit(contextWindow, outputTokens) {
+  const maxReserved = Math.floor(contextWindow * MAX_RESERVED_SHARE);
+  const reserved = Math.min(outputTokens, maxReserved) + Math.min(PROMPT_OVERHEAD_TOKENS, maxReserved);
+  const available = (contextWindow - reserved) * CONTEXT_USAGE_RATIO;
+  return Math.max(MIN_CHUNK_TOKENS, Math.floor(available));
+}
+
+/**
+ * Check whether a line starts a new declaration at the given indentation
+ * @param {Array} lines - File lines
+ * @param {number} index - Line index
+ * @param {string} indent - Indentation of the declarations
+ * @returns {boolean} - Whether the file can be cut before this line
+ */
+function isBoundary(lines, index, indent) {
+  const line = lines[index];
+  if (!line.startsWith(indent) || line.length === indent.length || /\s/.test(line[indent.length])) {
+    return false;
+  }
+
+  const previous = lines[index - 1].trim();
+  return !CONTINUATION_PATTERN.test(line.substring(indent.length)) && !PREFIX_PATTERN.test(previous);
+}
+
+/**
+ * Get the indentation of the members inside a range (the shallowest indented line after the first)
+ * @param {Array} lines - File lines
+ * @param {number} start - First line index
+ * @param {number} end - Line index after the range
+ * @returns {string|null} - Member indentation or null if nothing is indented
+ */
+function getMemberIndent(lines, start, end) {
+  let indent = null;
+
+  for (let i = start + 1; i < end; i++) {
+    const leading = lines[i].match(/^\s*/)[0];
+    if (leading.length > 0 && leading.length < lines[i].length && (indent === null || leading.length < indent.length)) {
+      indent = leading;
+    }
+  }
+
+  return indent;
+}
+
+/**
+ * Split a range of lines into ranges that each fit the limit
+ * @param {Array} lines - File lines
+ * @param {Array} lineTokens - Estimated tokens per line
+ * @param {number} start - First line index
+ * @param {number} end - Line index after the range
+ * @param {string} indent - Indentation of the declarations to cut at
+ * @param {number} maxTokens - Maximum tokens per range
+ * @returns {Array} - Ranges as [start, end]
+ */
+function splitRange(lines, lineTokens, start, end, indent, maxTokens) {
+  const units = [];
+  let unitStart = start;
+  for (let i = start + 1; i < end; i++) {
+    if (isBoundary(lines, i, indent)) {
+      units.push([unitStart, i]);
+      unitStart = i;
+    }
+  }
+  units.push([unitStart, end]);
+
+  const ranges = [];
+  for (const [unitStart, unitEnd] of units) {
+    const tokens = lineTokens.slice(unitStart, unitEnd).reduce((sum, count) => sum + count, 0);
+    if (tokens <= maxTokens) {
+      ranges.push([unitStart, unitEnd]);
+      continue;
+    }
+
+    const memberIndent = getMemberIndent(lines, unitStart, unitEnd);
+    if (memberIndent !== null && memberIndent.length > indent.length) {
+      ranges.push(...splitRange(lines, lineTokens, unitStart, unitEnd, memberIndent, maxTokens));
+    } else {
+      ranges.push(...splitLines(lineTokens, unitStart, unitEnd, maxTokens));
+    }
+  }
+
+  return ranges;
+}
+
+/**
+ * Split a range of lines without any declaration boundary by size only
+ * @param {Array} lineTokens - Estimated tokens per line
+ * @param {number} start - First line index
+ * @param {number} end - Line index after the range
+ * @param {number} maxTokens - Maximum tokens per range
+ * @returns {Array} - Ranges as [start, end], each holding at least one line
+ */
+function splitLines(lineTokens, start, end, maxTokens) {
+  const ranges = [];
+  let rangeStart = start;
+  let tokens = 0;
+
+  for (let i = start; i < end; i++) {
+    if (i > rangeStart && tokens + lineTokens[i] > maxTokens) {
+      ranges.push([rangeStart, i]);
+      rangeStart = i;
+      tokens = 0;
+    }
+    tokens += lineTokens[i];
+  }
+  ranges.push([rangeStart, end]);
+
+  return ranges;
+}
+
+/**
+ * Split file content into chunks that each fit into one prompt
+ * @param {string} content - File content
+ * @param {number} maxTokens - Maximum tokens per chunk
+ * @param {Function} estimateTokens - Token estimate for a text
+ * @returns {Array} - Chunks as {startLine, endLine, content} with 1-based inclusive line numbers
+ */
+function splitIntoChunks(content, maxTokens, estimateTokens) {
+  const lines = content.split('\n');
+  const lineTokens = lines.map(line => estimateTokens(`${line}\n`));
+
+  // Pack the smallest ranges back together as long as they fit
+  const chunks = [];
+  let current = null;
+  for (const [start, end] of splitRange(lines, lineTokens, 0, lines.length, '', maxTokens)) {
+    const tokens = lineTokens.slice(start, end).reduce((sum, count) => sum + count, 0);
+
+    if (current && current.tokens + tokens <= maxTokens) {
+      current.end = end;
+      current.tokens += tokens;
+    } else {
+      current = { start, end, tokens };
+      chunks.push(current);
+    }
+  }
+
+  return chunks.map(chunk => ({
+    startLine: chunk.start + 1,
+    endLine: chunk.end,
+    content: lines.slice(chunk.start, chunk.end).join('\n')
+  }));
+}
+
+module.exports = {
+  getChunkTokenLimit,
+  splitIntoChunks
+};
@@ -1,55 +1,97 @@
 const path = require('path');
 const config = require('./config');
 const Logger = require('./logger');
+const { splitPatterns, matchesGlob, matchesGlobList, isIgnored } = require('./glob-matcher');
+const { parseScope } = require('./scope-parser');
+const { parseIgnoreFile, parseGitAttributes, getIgnoreReason } = require('./ignore-rules');
+const { isDocPath } = require('./doc-path');
+
+// Reason reported for documentable files left out by the scope of the command
+const OUT_OF_SCOPE_REASON = 'Out of scope';
 
 class FileFilter {
   constructor() {
     this.logger = new Logger('FileFilter');
+
+    // Rules read from .doxaiignore and .gitattributes of the repository
+    this.repositoryRules = { ignorePatterns: [], attributeRules: [] };
   }
 
   /**
-   * Check if file type is suitable for documentation
-   * @param {string} filename - File name with extension
-   * @returns {boolean} - Whether the file should be documented
+   * Use the .doxaiignore and .gitattributes of the repository for the following filtering
+   * @param {object} files - File contents, null or empty when the file does not exist
+   * @param {string|null} files.ignore - .doxaiignore content
+   * @param {string|null} files.attributes - .gitattributes content
    */
-  shouldDocumentFile(filename) {
-    // Check exclude patterns first
+  setRepositoryRules({ ignore = null, attributes = null } = {}) {
+    this.repositoryRules = {
+      ignorePatterns: parseIgnoreFile(ignore),
+      attributeRules: parseGitAttributes(attributes)
+    };
+  }
+
+  /**
+   * Get the reason a file is never documented, regardless of the scope
+   * @param {string} filename - File path
+   * @returns {string|null} - Exclusion reason or null if the file can be documented
+   */
+  getExclusionReason(filename) {
+    // Generated docs are never sources themselves, also when output.path keeps them next to the sources
+    if (config.outputDir && (filename.startsWith(`${config.outputDir}/`) || isDocPath(filename, {
+      template: config.docPathTemplate,
+      mappings: config.docPathMappings,
+      outDir: config.outputDir
+    }))) {
+      return 'Generated documentation';
+    }
+
     if (this.matchesExcludePattern(filename)) {
-      this.logger.debug(`Excluding ${filename} - matches exclude pattern`);
-      return false;
+      return 'Matches exclude pattern';
+    }
+
+    const ignoreReason = getIgnoreReason(filename, this.repositoryRules);
+    if (ignoreReason) {
+      return ignoreReason;
     }
 
-    // Check special files
+    // Special files have no documentable extension
     const basename = path.basename(filename).toLowerCase();
     if (config.fileConfig.specialFiles.has(basename)) {
-      this.logger.debug(`Including ${filename} - special file`);
-      return true;
+      return null;
     }
 
-    // Check extension
     const extension = path.extname(filename).slice(1).toLowerCase();
-    const isDocumentable = config.fileConfig.documentableExtensions.has(extension);
+    return config.fileConfig.documentableExtensions.has(extension) ? null : 'Not a documentable file type';
+  }
+
+  /**
+   * Check if file type is suitable for documentation
+   * @param {string} filename - File name with extension
+   * @returns {boolean} - Whether the file should be documented
+   */
+  shouldDocumentFile(filename) {
+    const reason = this.getExclusionReason(filename);
 
-    if (!isDocumentable) {
-      this.logger.debug(`Excluding ${filename} - not a documentable file type`);
+    if (reason) {
+      this.logger.debug(`Excluding ${filename} - ${reason}`);
     }
 
-    return isDocumentable;
+    return reason === null;
   }
 
   /**
-   * Check if filename matches any exclude pattern
+   * Check if filename matches the exclude patterns (gitignore syntax)
    * @param {string} filename - File name to check
    * @returns {boolean} - Whether the file matches an exclude pattern
    */
   matchesExcludePattern(filename) {
-    return config.fileConfig.excludePatterns.some(pattern => filename.includes(pattern));
+    return isIgnored(filename, config.fileConfig.excludePatterns);
   }
 
   /**
    * Filter files based on scope
    * @param {Array} files - File list
-   * @param {string} scope - Scope option (all, include:pattern, exclude:pattern)
+   * @param {string} scope - Scope expression (all, or include:/exclude: clauses, see scope-parser)
    * @returns {Array} - Filtered file list
    */
   filterByScope(files, scope = 'all') {
@@ -67,17 +109,21 @@ class FileFilter {
     let filteredActive = documentableFiles;
     let filteredDeleted = documentableDeletedFiles;
 
-    if (scope === 'all') {
-    } else if (scope.startsWith('include:')) {
-      const patterns = scope.substring(8).split(',').map(p => p.trim()).filter(p => p);
-      filteredActive = this.filterByPatterns(documentableFiles, patterns, true);
-      filteredDeleted = this.filterByPatterns(documentableDeletedFiles, patterns, true);
-    } else if (scope.startsWith('exclude:')) {
-      const patterns = scope.substring(8).split(',').map(p => p.trim()).filter(p => p);
-      filteredActive = this.filterByPatterns(documentableFiles, patterns, false);
-      filteredDeleted = this.filterByPatterns(documentableDeletedFiles, patterns, false);
-    } else {
-      this.logger.warn(`Invalid scope: ${scope}, returning all documentable files`);
+    let parsed = { include: [], exclude: [] };
+    try {
+      parsed = parseScope(scope);
+    } catch (error) {
+      this.logger.warn(`Invalid scope: ${scope} (${error.message}), returning all documentable files`);
+    }
+
+    // Includes narrow the files down first, excludes then remove from what is left
+    if (parsed.include.length > 0) {
+      filteredActive = this.filterByPatterns(filteredActive, parsed.include, true);
+      filteredDeleted = this.filterByPatterns(filteredDeleted, parsed.include, true);
+    }
+    if (parsed.exclude.length > 0) {
+      filteredActive = this.filterByPatterns(filteredActive, parsed.exclude, false);
+      filteredDeleted = this.filterByPatterns(filteredDeleted, parsed.exclude, false);
     }
 
     const result = [...filteredActive, ...filteredDeleted];
@@ -88,7 +134,7 @@ class FileFilter {
   }
 
   /**
-   * Filter files by patterns
+   * Filter files by gitignore-style patterns; the last matching pattern wins and "!" negates
    * @param {Array} files - Files to filter
    * @param {Array} patterns - Patterns to match
    * @param {boolean} include - If true, include matching files. If false, exclude them
@@ -96,10 +142,7 @@ class FileFilter {
    */
   filterByPatterns(files, patterns, include) {
     return files.filter(file => {
-      const basename = path.basename(file.filename);
-      const matches = patterns.some(pattern =>
-          this.matchesPattern(file.filename, basename, pattern)
-      );
+      const matches = matchesGlobList(file.filename, patterns);
       return include ? matches : !matches;
     });
   }
@@ -111,15 +154,10 @@ class FileFilter {
    * @returns {Array} - Filtered files
    */
   filterByIncludePatterns(files, patternsStr) {
-    const patterns = patternsStr.split(',').map(p => p.trim()).filter(p => p);
+    const patterns = splitPatterns(patternsStr);
     this.logger.debug(`Include patterns: ${patterns.join(', ')}`);
 
-    return files.filter(file => {
-      const basename = path.basename(file.filename);
-      return patterns.some(pattern =>
-          this.matchesPattern(file.filename, basename, pattern)
-      );
-    });
+    return this.filterByPatterns(files, patterns, true);
   }
 
   /**
@@ -129,48 +167,44 @@ class FileFilter {
    * @returns {Array} - Filtered files
    */
   filterByExcludePatterns(files, patternsStr) {
-    const patterns = patternsStr.split(',').map(p => p.trim()).filter(p => p);
+    const patterns = splitPatterns(patternsStr);
     this.logger.debug(`Exclude patterns: ${patterns.join(', ')}`);
 
-    return files.filter(file => {
-      const basename = path.basename(file.filename);
-      return !patterns.some(pattern =>
-          this.matchesPattern(file.filename, basename, pattern)
-      );
-    });
+    return this.filterByPatterns(files, patterns, false);
   }
 
   /**
-   * Check if file matches a pattern
+   * Check if a file matches a gitignore-style glob pattern.
+   * Patterns without a slash match a file or directory name at any depth, others match
+   * the full path from the repository root (see glob-matcher).
    * @param {string} filename - Full file path
-   * @param {string} basename - Base file name
    * @param {string} pattern - Pattern to match
    * @returns {boolean} - Whether the file matches the pattern
    */
-  matchesPattern(filename, basename, pattern) {
-    // Exact match
-    if (basename === pattern) return true;
-
-    // Contains match
-    if (basename.includes(pattern) || filename.includes(pattern)) return true;
-
-    // Simple glob pattern support (*.js)
-    if (pattern.includes('*')) {
-      const regex = new RegExp('^' + pattern.replace(/\*/g, '.*') + '$');
-      return regex.test(basename);
-    }
-
-    return false;
+  matchesPattern(filename, pattern) {
+    return matchesGlob(filename, pattern);
   }
 
   /**
    * Get file statistics for logging
    * @param {Array} originalFiles - Original file list
    * @param {Array} filteredFiles - Filtered file list
-   * @returns {object} - Statistics object
+   * @returns {object} - Statistics object, with the reason for each excluded file in exclusions
    */
   getFilterStats(originalFiles, filteredFiles) {
     const excluded = originalFiles.length - filteredFiles.length;
+
+    // Excluded files that pass the file rules were left out by the scope
+    const included = new Set(filteredFiles.map(file => file.filename));
+    const exclusions = originalFiles
+    .filter(file => !included.has(file.filename))
+    .map(file => ({ filename: file.filename, reason: this.getExclusionReason(file.filename) || OUT_OF_SCOPE_REASON }));
+
+    const byReason = {};
+    exclusions.forEach(({ reason }) => {
+      byReason[reason] = (byReason[reason] || 0) + 1;
+    });
+
     const deleted = filteredFiles.filter(f => f.status === 'removed').length;
     const active = filteredFiles.filter(f => f.status !== 'removed').length;
 
@@ -201,7 +235,9 @@ class FileFilter {
       active,
       deleted,
       byExtension,
-      byStatus
+      byStatus,
+      byReason,
+      exclusions
     };
   }
 }
@@ -1,6 +1,18 @@
 const { getOctokit } = require('@actions/github');
 const config = require('./config');
 const Logger = require('./logger');
+const {
+  rateLimiter,
+  parseRetryAfter,
+  DEFAULT_RATE_LIMIT_DELAY_MS,
+  MAX_RATE_LIMIT_DELAY_MS
+} = require('./rate-limiter');
+
+// Attempts per request when GitHub reports a rate limit
+const MAX_RATE_LIMIT_RETRIES = 3;
+
+// User the workflow GITHUB_TOKEN comments as; that token cannot look itself up
+const ACTIONS_BOT_LOGIN = 'github-actions[bot]';
 
 /**
  * GitHub API client with enhanced error handling and logging
@@ -19,10 +31,60 @@ class GitHubClient {
           'GitHub repository context not available. Ensure GITHUB_REPOSITORY is set.');
     }
 
+    this.setupRateLimitHandling();
+
     this.logger.info(
         `Initialized for ${this.context.owner}/${this.context.repo}`);
   }
 
+  /**
+   * Retry requests rejected by primary or secondary rate limits.
+   * The wait is shared through the rate limiter so concurrent workers back off together.
+   */
+  setupRateLimitHandling() {
+    this.octokit.hook.wrap('request', async (request, options) => {
+      for (let attempt = 1; ; attempt++) {
+        await rateLimiter.waitForPause();
+
+        try {
+          return await request(options);
+        } catch (error) {
+          const delay = this.getRateLimitDelay(error);
+          if (delay === null || delay > MAX_RATE_LIMIT_DELAY_MS || attempt >= MAX_RATE_LIMIT_RETRIES) {
+            throw error;
+          }
+
+          this.logger.warn(
+              `GitHub rate limit hit for ${options.method} ${options.url} (attempt ${attempt}/${MAX_RATE_LIMIT_RETRIES})`);
+          rateLimiter.pause(delay, 'GitHub rate limit');
+        }
+      }
+    });
+  }
+
+  /**
+   * Get the wait time for a rate limited GitHub response
+   * @param {Error} error - Octokit request error
+   * @returns {number|null} - Delay in milliseconds or null if the error is not a rate limit
+   */
+  getRateLimitDelay(error) {
+    if (error.status !== 403 && error.status !== 429) {
+      return null;
+    }
+
+    const delay = parseRetryAfter(error.response?.headers);
+    if (delay !== null) {
+      return delay;
+    }
+
+    // Secondary rate limits may omit retry-after; GitHub asks clients to wait at least a minute
+    if (error.status === 429 || /secondary rate limit/i.test(error.message)) {
+      return DEFAULT_RATE_LIMIT_DELAY_MS;
+    }
+
+    return null;
+  }
+
   /**
    * Find existing documentation PR for a specific source PR
    * @param {number} sourcePrNumber - Source PR number
@@ -69,6 +131,96 @@ class GitHubClient {
     }
   }
 
+  /**
+   * Find the open PR whose head is the given branch
+   * @param {string} branch - Head branch name
+   * @returns {Promise<object|null>} - Existing PR info or null
+   */
+  async findOpenPRForBranch(branch) {
+    try {
+      const {data: prs} = await this.octokit.rest.pulls.list({
+        ...this.context,
+        state: 'open',
+        head: `${this.context.owner}:${branch}`,
+        per_page: 1
+      });
+
+      if (prs.length === 0) {
+        return null;
+      }
+
+      return {
+        number: prs[0].number,
+        title: prs[0].title,
+        url: prs[0].html_url,
+        head: prs[0].head.ref,
+        base: prs[0].base.ref
+      };
+
+    } catch (error) {
+      this.logger.error(`Error finding PR for branch ${branch}`, error);
+      throw new Error(`Failed to search for existing PRs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the default branch of the repository
+   * @returns {Promise<string>} - Default branch name
+   */
+  async getDefaultBranch() {
+    try {
+      const {data: repo} = await this.octokit.rest.repos.get(this.context);
+      return repo.default_branch;
+    } catch (error) {
+      this.logger.error('Failed to get repository details', error);
+      throw new Error(`Failed to get default branch: ${error.message}`);
+    }
+  }
+
+  /**
+   * List every file of a branch or commit using the git trees API
+   * @param {string} branch - Branch name or commit SHA
+   * @returns {Promise<Array>} - Files as {path, sha} with their blob SHA
+   */
+  async getRepositoryTree(branch) {
+    try {
+      let commitSha = branch;
+      if (!/^[0-9a-f]{40}$/.test(branch)) {
+        const {data: ref} = await this.octokit.rest.git.getRef({
+          ...this.context,
+          ref: `heads/${branch}`
+        });
+        commitSha = ref.object.sha;
+      }
+
+      const {data: commit} = await this.octokit.rest.git.getCommit({
+        ...this.context,
+        commit_sha: commitSha
+      });
+
+      const {data: tree} = await this.octokit.rest.git.getTree({
+        ...this.context,
+        tree_sha: commit.tree.sha,
+        recursive: 'true'
+      });
+
+      if (tree.truncated) {
+        this.logger.warn(`Tree of ${branch} is truncated, some files will not be listed`);
+      }
+
+      const files = tree.tree
+          .filter(entry => entry.type === 'blob')
+          .map(entry => ({path: entry.path, sha: entry.sha}));
+
+      this.logger.info(`Retrieved ${files.length} files from ${branch}`);
+      return files;
+
+    } catch (error) {
+      this.logger.error(`Failed to get tree of ${branch}`, error);
+      throw new Error(`Failed to get repository tree: ${error.message}`);
+    }
+  }
+
   /**
    * Create a new branch or get existing branch
    * @param {string} baseBranch - Base branch
@@ -189,6 +341,7 @@ class GitHubClient {
         mergedBy: prData.merged_by?.login,
         base: prData.base.ref,
         head: prData.head.ref,
+        headSha: prData.head.sha,
         state: prData.state
       };
 
@@ -233,6 +386,7 @@ class GitHubClient {
       const processedFiles = files.map(file => ({
         filename: file.filename,
         status: file.status,
+        previous_filename: file.previous_filename,
         additions: file.additions,
         deletions: file.deletions,
         changes: file.changes,
@@ -257,6 +411,17 @@ class GitHubClient {
    * @returns {Promise<string>} - File content
    */
   async getFileContent(path, ref) {
+    const { content } = await this.getFileInfo(path, ref);
+    return content;
+  }
+
+  /**
+   * Get file content together with its git blob SHA
+   * @param {string} path - File path
+   * @param {string} ref - Branch or commit reference
+   * @returns {Promise<{content: string, sha: string}>} - File content and blob SHA
+   */
+  async getFileInfo(path, ref) {
     try {
       const {data} = await this.octokit.rest.repos.getContent({
         ...this.context,
@@ -276,7 +441,7 @@ class GitHubClient {
       this.logger.debug(
           `Retrieved content for ${path} (${content.length} bytes)`);
 
-      return content;
+      return { content, sha: data.sha };
 
     } catch (error) {
       if (error.status === 404) {
@@ -446,7 +611,83 @@ class GitHubClient {
   }
 
   /**
-   * Check if source file has changed since last documentation
+   * Get the login comments are posted as
+   * @returns {Promise<string>} - Login of the token's user, github-actions[bot] for the workflow token
+   */
+  async getAuthenticatedLogin() {
+    if (!this.authenticatedLogin) {
+      try {
+        const { data } = await this.octokit.rest.users.getAuthenticated();
+        this.authenticatedLogin = data.login;
+      } catch (error) {
+        this.logger.debug(`Could not look up the token's user, assuming ${ACTIONS_BOT_LOGIN}: ${error.message}`);
+        this.authenticatedLogin = ACTIONS_BOT_LOGIN;
+      }
+    }
+    return this.authenticatedLogin;
+  }
+
+  /**
+   * Find the first comment of the authenticated user on an issue or PR containing a marker,
+   * so comments quoting the marker are never mistaken for our own
+   * @param {number} issueNumber - Issue or PR number
+   * @param {string} marker - Text the comment body must contain
+   * @returns {Promise<object|null>} - Comment or null if none matches
+   */
+  async findComment(issueNumber, marker) {
+    const login = await this.getAuthenticatedLogin();
+
+    try {
+      const iterator = this.octokit.paginate.iterator(
+          this.octokit.rest.issues.listComments,
+          {
+            ...this.context,
+            issue_number: issueNumber,
+            per_page: 100
+          }
+      );
+
+      for await (const response of iterator) {
+        const comment = response.data.find(c => c.user?.login === login && c.body?.includes(marker));
+        if (comment) {
+          return comment;
+        }
+      }
+
+      return null;
+
+    } catch (error) {
+      this.logger.error(`Failed to list comments on #${issueNumber}`, error);
+      throw new Error(`Failed to list comments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace the body of an existing comment
+   * @param {number} commentId - Comment ID
+   * @param {string} body - New comment body
+   * @returns {Promise<object>} - Updated comment
+   */
+  async updateComment(commentId, body) {
+    try {
+      const {data} = await this.octokit.rest.issues.updateComment({
+        ...this.context,
+        comment_id: commentId,
+        body
+      });
+
+      this.logger.info(`Updated comment ${commentId}`);
+      return data;
+
+    } catch (error) {
+      this.logger.error(`Failed to update comment ${commentId}`, error);
+      throw new Error(`Failed to update comment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check if source file has changed since last documentation by commit dates.
+   * Only used for documents without embedded doxai metadata.
    * @param {string} sourceFile - Source file path
    * @param {string} docFile - Documentation file path
    * @param {string} docsBranch - Documentation branch
@@ -0,0 +1,251 @@
+/**
+ * Gitignore-style glob matching for scope patterns.
+ * Patterns are matched against full repository paths: `*`, `?` and `[abc]` stay within one
+ * path segment, `**` spans directories, `{a,b}` expands to alternatives and `!` negates.
+ */
+
+// Characters with a meaning in regular expressions
+const REGEXP_SPECIAL_CHARS = /[.*+?^${}()|[\]\\]/g;
+
+/**
+ * Split a comma-separated pattern list, keeping commas inside braces
+ * @param {string} patternsStr - Comma-separated patterns (e.g. "src/*.{js,ts},!src/legacy/")
+ * @returns {Array} - Trimmed, non-empty patterns
+ */
+function splitPatterns(patternsStr) {
+  const patterns = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of patternsStr || '') {
+    if (char === ',' && depth === 0) {
+      patterns.push(current);
+      current = '';
+      continue;
+    }
+    if (char === '{') {
+      depth++;
+    } else if (char === '}' && depth > 0) {
+      depth--;
+    }
+    current += char;
+  }
+  patterns.push(current);
+
+  return patterns.map(pattern => pattern.trim()).filter(pattern => pattern);
+}
+
+/**
+ * Expand brace alternatives, e.g. "*.{js,ts}" into "*.js" and "*.ts"
+ * @param {string} pattern - Glob pattern
+ * @returns {Array} - Patterns without brace alternatives
+ */
+function expandBraces(pattern) {
+  let depth = 0;
+  let start = -1;
+  let commas = [];
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      i++;
+    } else if (char === '{') {
+      if (depth++ === 0) {
+        start = i;
+        commas = [];
+      }
+    } else if (char === ',' && depth === 1) {
+      commas.push(i);
+    } else if (char === '}' && depth > 0 && --depth === 0 && commas.length > 0) {
+      // Braces without a comma are literal; nested braces are expanded by the recursion
+      const bounds = [start, ...commas, i];
+      const prefix = pattern.substring(0, start);
+      const suffix = pattern.substring(i + 1);
+
+      return bounds.slice(1).flatMap((end, k) =>
+          expandBraces(prefix + pattern.substring(bounds[k] + 1, end) + suffix)
+      );
+    }
+  }
+
+  return [pattern];
+}
+
+/**
+ * Find the closing bracket of a character class
+ * @param {string} glob - Glob pattern
+ * @param {number} start - Index of the opening bracket
+ * @returns {number} - Index of the closing bracket or -1 if the class is not closed
+ */
+function findClassEnd(glob, start) {
+  let i = start + 1;
+  if (glob[i] === '!' || glob[i] === '^') {
+    i++;
+  }
+  // A bracket right after the opening one is part of the class
+  if (glob[i] === ']') {
+    i++;
+  }
+  return glob.indexOf(']', i);
+}
+
+/**
+ * Translate a glob without braces into a regular expression source
+ * @param {string} glob - Glob pattern
+ * @returns {string} - Regular expression source (unanchored)
+ */
+function globToRegExpSource(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*') {
+      const wholeSegment = glob[i + 1] === '*' && (i === 0 || glob[i - 1] === '/') &&
+          (i + 2 === glob.length || glob[i + 2] === '/');
+
+      if (wholeSegment && i + 2 === glob.length) {
+        // Trailing "**" matches everything inside
+        source += '.*';
+        i++;
+      } else if (wholeSegment) {
+        // "**/" matches zero or more directories
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        while (glob[i + 1] === '*') {
+          i++;
+        }
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && findClassEnd(glob, i) !== -1) {
+      const end = findClassEnd(glob, i);
+      let body = glob.substring(i + 1, end);
+      const negated = body[0] === '!' || body[0] === '^';
+      if (negated) {
+        body = body.substring(1);
+      }
+      body = body.replace(/[\\[\]]/g, '\\$&');
+      source += negated ? `[^/${body}]` : `[${body}]`;
+      i = end;
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += glob[++i].replace(REGEXP_SPECIAL_CHARS, '\\$&');
+    } else {
+      source += char.replace(REGEXP_SPECIAL_CHARS, '\\$&');
+    }
+  }
+
+  return source;
+}
+
+/**
+ * Compile a gitignore-style pattern.
+ * A pattern without a slash (other than a trailing one) matches a file or directory name at
+ * any depth; otherwise it is anchored at the repository root. A trailing slash only matches
+ * directories, i.e. every file below them.
+ * @param {string} pattern - Glob pattern, optionally starting with "!"
+ * @returns {{negated: boolean, matchers: Array, directoryOnly: boolean}} - Compiled pattern
+ */
+function compileGlob(pattern) {
+  let glob = pattern.trim();
+  const negated = glob.startsWith('!');
+  if (negated) {
+    glob = glob.substring(1);
+  }
+
+  const directoryOnly = glob.endsWith('/');
+  glob = glob.replace(/\/+$/, '');
+
+  const anchored = glob.includes('/');
+  glob = glob.replace(/^\//, '');
+
+  const matchers = expandBraces(glob).map(expanded => {
+    const source = globToRegExpSource(expanded);
+    return new RegExp(anchored ? `^${source}$` : `^(?:.*/)?${source}$`);
+  });
+
+  return { negated, matchers, directoryOnly };
+}
+
+/**
+ * Check whether a path matches a compiled pattern, ignoring negation
+ * @param {string} filename - Repository path of a file
+ * @param {object} compiled - Pattern from compileGlob
+ * @returns {boolean} - Whether the file or one of its parent directories matches
+ */
+function testCompiled(filename, compiled) {
+  const segments = filename.replace(/^\.?\//, '').split('/');
+
+  // A pattern matching a directory matches every file below it
+  const candidates = segments.map((segment, i) => segments.slice(0, i + 1).join('/'));
+  if (compiled.directoryOnly) {
+    candidates.pop();
+  }
+
+  return candidates.some(candidate => compiled.matchers.some(matcher => matcher.test(candidate)));
+}
+
+/**
+ * Check whether a path matches a single pattern (a negated pattern matches what it does not)
+ * @param {string} filename - Repository path of a file
+ * @param {string} pattern - Glob pattern
+ * @returns {boolean} - Whether the file matches
+ */
+function matchesGlob(filename, pattern) {
+  const compiled = compileGlob(pattern);
+  return testCompiled(filename, compiled) !== compiled.negated;
+}
+
+/**
+ * Find whether the last pattern of a list matching a path is a positive one
+ * @param {string} filename - Repository path of a file
+ * @param {Array} patterns - Glob patterns in order
+ * @param {boolean} initial - Result when no pattern matches
+ * @returns {boolean} - Whether the file matches the list
+ */
+function matchesLast(filename, patterns, initial) {
+  let matched = initial;
+
+  for (const pattern of patterns.map(compileGlob)) {
+    if (testCompiled(filename, pattern)) {
+      matched = !pattern.negated;
+    }
+  }
+
+  return matched;
+}
+
+/**
+ * Check a path against a pattern list the way .gitignore does: the last matching pattern wins
+ * and "!" patterns take files back out. A list starting with a negation starts from every file,
+ * so "!test/" alone matches everything outside test/.
+ * @param {string} filename - Repository path of a file
+ * @param {Array} patterns - Glob patterns in order
+ * @returns {boolean} - Whether the file matches the list
+ */
+function matchesGlobList(filename, patterns) {
+  return matchesLast(filename, patterns, patterns.length > 0 && patterns[0].trim().startsWith('!'));
+}
+
+/**
+ * Check a path against the lines of an ignore file; unlike scope lists, a leading "!" pattern
+ * only re-includes files matched by an earlier pattern, exactly as in .gitignore
+ * @param {string} filename - Repository path of a file
+ * @param {Array} patterns - Ignore patterns in file order
+ * @returns {boolean} - Whether the file is ignored
+ */
+function isIgnored(filename, patterns) {
+  return matchesLast(filename, patterns, false);
+}
+
+module.exports = {
+  splitPatterns,
+  expandBraces,
+  compileGlob,
+  matchesGlob,
+  matchesGlobList,
+  isIgnored
+};
@@ -0,0 +1,118 @@
+/**
+ * Repository files that keep files out of the documentation:
+ * .doxaiignore (gitignore syntax) and the linguist / doxai attributes of .gitattributes.
+ */
+
+const { isIgnored, matchesGlob } = require('./glob-matcher');
+
+const IGNORE_FILE = '.doxaiignore';
+const ATTRIBUTES_FILE = '.gitattributes';
+
+// Attributes that exclude a file when set, with the reason reported for it
+const EXCLUDING_ATTRIBUTES = {
+  'linguist-generated': 'Generated (linguist-generated)',
+  'linguist-vendored': 'Vendored (linguist-vendored)'
+};
+
+/**
+ * Read the patterns of an ignore file
+ * @param {string} content - .doxaiignore content
+ * @returns {Array} - Patterns in file order, without comments and blank lines
+ */
+function parseIgnoreFile(content) {
+  return (content || '').split('\n')
+  .map(line => line.replace(/\r$/, ''))
+  .filter(line => line.trim() && !line.startsWith('#'))
+  // Trailing spaces are ignored unless escaped; "\#" starts a pattern with a literal "#"
+  .map(line => line.replace(/(?<!\\)\s+$/, '').replace(/^\\#/, '#'));
+}
+
+/**
+ * Read the attribute lines of a .gitattributes file
+ * @param {string} content - .gitattributes content
+ * @returns {Array} - Rules ({pattern, attributes}) in file order; values are true, false or a string
+ */
+function parseGitAttributes(content) {
+  const rules = [];
+
+  for (const line of (content || '').split('\n')) {
+    const [pattern, ...tokens] = line.trim().split(/\s+/);
+
+    // Negative patterns are not allowed in .gitattributes
+    if (!pattern || pattern.startsWith('#') || pattern.startsWith('!') || tokens.length === 0) {
+      continue;
+    }
+
+    const attributes = {};
+    for (const token of tokens) {
+      if (token.startsWith('-')) {
+        attributes[token.substring(1)] = false;
+      } else if (token.startsWith('!')) {
+        // "!attr" returns the attribute to unspecified
+        attributes[token.substring(1)] = undefined;
+      } else if (token.includes('=')) {
+        const [name, value] = token.split(/=(.*)/);
+        attributes[name] = value === 'true' ? true : value === 'false' ? false : value;
+      } else {
+        attributes[token] = true;
+      }
+    }
+    rules.push({ pattern, attributes });
+  }
+
+  return rules;
+}
+
+/**
+ * Resolve the attributes of a file; later lines override earlier ones attribute by attribute
+ * @param {string} filename - Repository path of a file
+ * @param {Array} rules - Rules from parseGitAttributes
+ * @returns {object} - Attribute values by name
+ */
+function getAttributes(filename, rules) {
+  const attributes = {};
+
+  for (const rule of rules) {
+    if (matchesGlob(filename, rule.pattern)) {
+      Object.assign(attributes, rule.attributes);
+    }
+  }
+
+  return attributes;
+}
+
+/**
+ * Get the reason a file is excluded by .doxaiignore or .gitattributes
+ * @param {string} filename - Repository path of a file
+ * @param {{ignorePatterns: Array, attributeRules: Array}} rules - Parsed repository rules
+ * @returns {string|null} - Exclusion reason or null if the file is not excluded
+ */
+function getIgnoreReason(filename, { ignorePatterns = [], attributeRules = [] } = {}) {
+  if (isIgnored(filename, ignorePatterns)) {
+    return `Ignored by ${IGNORE_FILE}`;
+  }
+
+  const attributes = getAttributes(filename, attributeRules);
+  if (attributes.doxai === false) {
+    return `Excluded by ${ATTRIBUTES_FILE} (-doxai)`;
+  }
+
+  // "doxai" set explicitly documents a file even if it is generated or vendored
+  if (attributes.doxai !== true) {
+    const excluding = Object.keys(EXCLUDING_ATTRIBUTES).find(name => attributes[name] === true);
+    if (excluding) {
+      return EXCLUDING_ATTRIBUTES[excluding];
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  IGNORE_FILE,
+  ATTRIBUTES_FILE,
+  parseIgnoreFile,
+  parseGitAttributes,
+  getAttributes,
+  getIgnoreReason
+};
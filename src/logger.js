@@ -1,26 +1,48 @@
 const core = require('@actions/core');
+const { getLogFields } = require('./run-report');
+
+// Supported log line formats (log-format input)
+const LOG_FORMATS = ['text', 'json'];
+
+// Format shared by all loggers, set once the configuration is known
+let logFormat = 'text';
 
 class Logger {
   constructor(context = '') {
     this.context = context;
   }
 
+  /**
+   * Set the log line format of all loggers
+   * @param {string} format - One of LOG_FORMATS
+   */
+  static setFormat(format) {
+    if (!LOG_FORMATS.includes(format)) {
+      throw new Error(`Unsupported log format: ${format}. Supported formats: ${LOG_FORMATS.join(', ')}`);
+    }
+    logFormat = format;
+  }
+
   info(message, data = null) {
-    const logMessage = this.formatMessage('INFO', message, data);
-    console.log(logMessage);
+    console.log(this.createLine('INFO', message, data));
   }
 
   warn(message, data = null) {
-    const logMessage = this.formatMessage('WARN', message, data);
-    console.warn(logMessage);
-    core.warning(logMessage);
+    console.warn(this.createLine('WARN', message, data));
+    core.warning(this.formatMessage('WARN', message, data));
   }
 
   error(message, error = null) {
     const logMessage = this.formatMessage('ERROR', message, error);
-    console.error(logMessage);
     core.error(logMessage);
 
+    // JSON lines carry the stack in the entry itself
+    if (logFormat === 'json') {
+      console.error(this.formatJson('ERROR', message, error));
+      return;
+    }
+
+    console.error(logMessage);
     if (error && error.stack) {
       console.error(error.stack);
     }
@@ -28,12 +50,24 @@ class Logger {
 
   debug(message, data = null) {
     if (process.env.RUNNER_DEBUG === '1') {
-      const logMessage = this.formatMessage('DEBUG', message, data);
-      console.log(logMessage);
-      core.debug(logMessage);
+      console.log(this.createLine('DEBUG', message, data));
+      core.debug(this.formatMessage('DEBUG', message, data));
     }
   }
 
+  /**
+   * Format a console line in the configured log format
+   * @param {string} level - Log level
+   * @param {string} message - Log message
+   * @param {*} data - Additional data
+   * @returns {string} - Log line
+   */
+  createLine(level, message, data) {
+    return logFormat === 'json'
+        ? this.formatJson(level, message, data)
+        : this.formatMessage(level, message, data);
+  }
+
   formatMessage(level, message, data) {
     const timestamp = new Date().toISOString();
     const contextStr = this.context ? `[${this.context}]` : '';
@@ -52,10 +86,46 @@ class Logger {
     return logMessage;
   }
 
+  /**
+   * Format a log line as a single JSON object.
+   * Run id, phase and file come from the run report; fields of a data object
+   * (durationMs, inputTokens, ...) are added next to them.
+   * @param {string} level - Log level
+   * @param {string} message - Log message
+   * @param {*} data - Additional data, an Error or an object of fields
+   * @returns {string} - JSON line
+   */
+  formatJson(level, message, data) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level: level.toLowerCase(),
+      ...getLogFields(),
+      context: this.context || undefined,
+      message
+    };
+
+    if (data instanceof Error) {
+      entry.error = data.message;
+      entry.stack = data.stack;
+    } else if (data && typeof data === 'object' && !Array.isArray(data)) {
+      for (const [key, value] of Object.entries(data)) {
+        if (entry[key] === undefined) {
+          entry[key] = value;
+        }
+      }
+    } else if (data !== null && data !== undefined) {
+      entry.data = data;
+    }
+
+    return JSON.stringify(entry);
+  }
+
   createChild(childContext) {
     const newContext = this.context ? `${this.context}:${childContext}` : childContext;
     return new Logger(newContext);
   }
 }
 
+Logger.LOG_FORMATS = LOG_FORMATS;
+
 module.exports = Logger;
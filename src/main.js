@@ -8,6 +8,27 @@ const CommandParser = require('./command-parser');
 const FileFilter = require('./file-filter');
 const Logger = require('./logger');
 const config = require('./config');
+const { REPO_CONFIG_FILE } = require('./repo-config');
+const { getTouchedSymbols } = require('./diff-parser');
+const { findAffectedSections, countSections, getSectionsText, spliceSections } = require('./doc-sections');
+const { TEMPLATE_VERSION, readDocMetadata, writeDocMetadata, stripDocMetadata, renameDocSource, isDocStale } = require('./doc-metadata');
+const { rateLimiter } = require('./rate-limiter');
+const { INDEX_PAGE_NAMES, extractSummary, parseIndexEntries, buildIndexPages } = require('./doc-index');
+const { DependencyContext } = require('./dependency-context');
+const { getChunkTokenLimit, splitIntoChunks } = require('./file-chunker');
+const { repairDocumentation, validateDocumentation } = require('./doc-validator');
+const { RunReport, setPhase } = require('./run-report');
+const { IGNORE_FILE, ATTRIBUTES_FILE } = require('./ignore-rules');
+const { resolveDocPath, getDocRoots, findDocPathCollisions, formatDocPathCollisions, isDocPath } = require('./doc-path');
+
+// Supported documentation output formats (also the doc file extensions)
+const DOC_FORMATS = ['adoc', 'md'];
+
+// Hidden marker identifying the preview comment so re-runs edit it in place
+const PREVIEW_COMMENT_MARKER = '<!-- doxai-preview -->';
+
+// GitHub rejects comment bodies longer than this
+const MAX_COMMENT_LENGTH = 65536;
 
 /**
  * Documentation Generator Action
@@ -19,12 +40,18 @@ class DocumentationGenerator {
     this.fileFilter = new FileFilter();
     this.githubClient = null;
     this.aiClient = null;
+    this.dependencyContext = null;
+    this.report = new RunReport();
   }
 
   /**
    * Main entry point
    */
   async run() {
+    Logger.setFormat(config.logFormat);
+    let command = null;
+    let failure = null;
+
     try {
       this.logger.info('Starting PR Documentation Generator');
 
@@ -35,8 +62,10 @@ class DocumentationGenerator {
         return;
       }
 
-      // Parse command
-      const command = this.parseCommand(validation.payload);
+      // Parse command, merged PR events and sweeps use the configured defaults
+      command = validation.trigger === 'comment'
+          ? this.parseCommand(validation.payload)
+          : this.createDefaultCommand();
       if (!command) {
         return;
       }
@@ -44,17 +73,54 @@ class DocumentationGenerator {
       // Initialize clients
       await this.initializeClients();
 
-      // Process PR
-      await this.processPR(validation.payload, command);
+      if (validation.trigger === 'sweep') {
+        await this.processSweep(command);
+      } else {
+        await this.processPR(validation.payload, command);
+      }
 
       this.logger.info('Documentation Generator completed successfully');
 
     } catch (error) {
+      failure = error;
       this.logger.error('Documentation generation failed', error);
       core.setFailed(`Documentation generation failed: ${error.message}`);
 
       // Try to leave error comment
       await this.postErrorComment(error.message);
+    } finally {
+      // Runs that never got to a command (other events, plain comments) leave no report
+      if (command) {
+        this.writeReport(command, failure);
+      }
+    }
+  }
+
+  /**
+   * Write the run report and expose its path and file counts as action outputs.
+   * A report that cannot be written is logged and never fails the run.
+   * @param {object} command - Command details
+   * @param {Error|null} error - Error that ended the run
+   */
+  writeReport(command, error = null) {
+    try {
+      const usage = this.aiClient ? { ...this.aiClient.usage } : null;
+      const { path: reportPath, report } = this.report.write(config.reportPath, {
+        command: command.command,
+        provider: config.aiProvider,
+        model: config.aiModel,
+        usage,
+        estimatedCost: usage ? config.estimateCost(usage) : null,
+        error: error ? error.message : undefined
+      });
+
+      core.setOutput('report-path', reportPath);
+      for (const [status, count] of Object.entries(report.totals)) {
+        core.setOutput(`${status}-count`, count);
+      }
+      this.logger.info(`Run report written to ${reportPath}`, report.totals);
+    } catch (reportError) {
+      this.logger.warn(`Failed to write the run report: ${reportError.message}`);
     }
   }
 
@@ -66,10 +132,22 @@ class DocumentationGenerator {
     const eventName = process.env.GITHUB_EVENT_NAME;
     const payload = github.context.payload;
 
+    if (eventName === 'pull_request') {
+      return this.validateMergeEvent(payload);
+    }
+
+    if (eventName === 'schedule' || eventName === 'workflow_dispatch') {
+      return {
+        isValid: true,
+        trigger: 'sweep',
+        payload
+      };
+    }
+
     if (eventName !== 'issue_comment') {
       return {
         isValid: false,
-        message: 'This action only runs on issue_comment events'
+        message: 'This action only runs on issue_comment, merged pull_request, schedule and workflow_dispatch events'
       };
     }
 
@@ -82,10 +160,67 @@ class DocumentationGenerator {
 
     return {
       isValid: true,
+      trigger: 'comment',
+      payload
+    };
+  }
+
+  /**
+   * Validate a pull_request event for automatic documentation on merge
+   * @param {object} payload - GitHub event payload
+   * @returns {object} - Validation result
+   */
+  validateMergeEvent(payload) {
+    if (!config.runOnMerge) {
+      return {
+        isValid: false,
+        message: 'Automatic documentation on merge is disabled. Set the run-on-merge input to true to enable it'
+      };
+    }
+
+    if (payload.action !== 'closed' || !payload.pull_request?.merged) {
+      return {
+        isValid: false,
+        message: 'Pull request was not closed as merged, nothing to document'
+      };
+    }
+
+    return {
+      isValid: true,
+      trigger: 'merge',
       payload
     };
   }
 
+  /**
+   * Get the PR number and the user to mention for the triggering event
+   * @param {object} payload - GitHub event payload
+   * @returns {{prNumber: number, username: string}|null} - Trigger details or null if unavailable
+   */
+  getTriggerDetails(payload) {
+    if (payload?.pull_request) {
+      const pr = payload.pull_request;
+      return { prNumber: pr.number, username: pr.merged_by?.login || pr.user?.login };
+    }
+
+    if (payload?.issue?.number && payload?.comment?.user?.login) {
+      return { prNumber: payload.issue.number, username: payload.comment.user.login };
+    }
+
+    return null;
+  }
+
+  /**
+   * Create the command used when no comment triggered the run
+   * @returns {object} - Parsed command with configured default options
+   */
+  createDefaultCommand() {
+    const command = this.commandParser.parse('!doxai', config.getCommandDefaults());
+    this.logger.info(`Using default command: ${command.rawCommand}`);
+    this.logger.debug('Default command', command);
+    return command;
+  }
+
   /**
    * Parse and validate command
    * @param {object} payload - GitHub event payload
@@ -93,7 +228,7 @@ class DocumentationGenerator {
    */
   parseCommand(payload) {
     const commentBody = payload.comment.body;
-    const parsedCommand = this.commandParser.parse(commentBody);
+    const parsedCommand = this.commandParser.parse(commentBody, config.getCommandDefaults());
 
     if (!parsedCommand) {
       this.logger.debug('No valid command found in comment');
@@ -109,7 +244,8 @@ class DocumentationGenerator {
       return null;
     }
 
-    this.logger.info('Command detected', parsedCommand);
+    this.logger.info(`Command detected: ${parsedCommand.rawCommand}`);
+    this.logger.debug('Parsed command', parsedCommand);
     return parsedCommand;
   }
 
@@ -133,44 +269,606 @@ class DocumentationGenerator {
    * @param {object} command - Parsed command
    */
   async processPR(payload, command) {
-    const prNumber = payload.issue.number;
-    const username = payload.comment.user.login;
+    const { prNumber, username } = this.getTriggerDetails(payload);
 
     // Get PR details
     const prDetails = await this.githubClient.getPRDetails(prNumber);
 
-    // Check if PR is merged
-    if (!prDetails.merged) {
+    // Previews run on open PRs, everything else needs a merged PR
+    const isPreview = command.subcommand === 'preview';
+    if (!prDetails.merged && !isPreview) {
       await this.githubClient.createComment(
           prNumber,
           `⚠️ @${username} Documentation generation is only available for merged PRs. ` +
-          `Please merge PR #${prNumber} first.`
+          `Please merge PR #${prNumber} first, or use \`!${command.command} preview\` to see the generated docs now.`
       );
       return;
     }
 
+    // Merge repository configuration from the base branch
+    command = await this.applyRepositoryConfig(prDetails.base, command);
+    await this.loadFilterRules(prDetails.base);
+
     // Get and filter changed files
     const changedFiles = await this.githubClient.getChangedFiles(prNumber);
     const filteredFiles = this.fileFilter.filterByScope(changedFiles, command.options.scope);
 
+    // Show filter statistics
+    const filterStats = this.fileFilter.getFilterStats(changedFiles, filteredFiles);
+    this.logger.info('File filter statistics', filterStats);
+
     if (filteredFiles.length === 0) {
+      const reasons = Object.entries(filterStats.byReason).map(([reason, count]) => `- ${reason}: ${count}`).join('\n');
       await this.githubClient.createComment(
           prNumber,
           `ℹ️ @${username} No files to document based on the specified scope.\n` +
           `Total files in PR: ${changedFiles.length}\n` +
-          `Scope: \`${command.options.scope}\``
+          `Scope: \`${command.options.scope}\`\n\n` +
+          `Excluded files:\n${reasons}`
       );
       return;
     }
 
-    // Show filter statistics
-    const filterStats = this.fileFilter.getFilterStats(changedFiles, filteredFiles);
-    this.logger.info('File filter statistics', filterStats);
+    // Two sources must never write the same doc, including files the PR does not touch
+    const baseTree = await this.githubClient.getRepositoryTree(prDetails.base);
+    this.checkDocPathCollisions(filteredFiles, baseTree, command);
+
+    // Show generated docs in a comment instead of committing them
+    if (isPreview) {
+      await this.processPreview(prDetails, filteredFiles, command, username);
+      return;
+    }
+
+    // Only report the planned changes for dry runs
+    if (command.options['dry-run']) {
+      await this.processDryRun(prDetails, filteredFiles, command, username);
+      return;
+    }
 
     // Process documentation
     await this.processDocumentation(prDetails, filteredFiles, command, username);
   }
 
+  /**
+   * Document every file of the default branch whose documentation is missing or stale.
+   * Chunks are committed as they finish, so a run that hits the time limit or token budget
+   * is resumed by the next sweep (committed docs carry the source SHA and are skipped).
+   * @param {object} command - Command with configured default options
+   */
+  async processSweep(command) {
+    const startedAt = Date.now();
+    const defaultBranch = await this.githubClient.getDefaultBranch();
+
+    // Merge repository configuration from the default branch
+    command = await this.applyRepositoryConfig(defaultBranch, command);
+    await this.loadFilterRules(defaultBranch);
+
+    const sweepDetails = this.createSweepDetails(defaultBranch);
+    const docsBranch = `docs/${command.command}-sweep`;
+    const existingPR = await this.githubClient.findOpenPRForBranch(docsBranch);
+    const branchExists = existingPR !== null || await this.githubClient.branchExists(docsBranch);
+
+    // Walk the whole tree; generated docs are never sources themselves
+    const tree = await this.githubClient.getRepositoryTree(defaultBranch);
+    const files = tree
+        .filter(entry => !entry.path.startsWith(`${config.outputDir}/`))
+        .map(entry => ({ filename: entry.path, status: 'added', sha: entry.sha }));
+    const candidates = this.fileFilter.filterByScope(files, command.options.scope);
+    this.checkDocPathCollisions(candidates, tree, command);
+
+    // Docs found on neither branch are known to be missing without fetching them
+    const docsTree = branchExists ? await this.githubClient.getRepositoryTree(docsBranch) : [];
+    const knownDocs = new Set([...tree, ...docsTree].map(entry => entry.path));
+
+    rateLimiter.setConcurrency(config.concurrency);
+    const outdated = await rateLimiter.map(candidates, file =>
+        this.isSweepDocOutdated(file, knownDocs, docsBranch, sweepDetails, command)
+    );
+    const pending = candidates.filter((file, index) => outdated[index]);
+
+    this.logger.info(`Sweep found ${pending.length} of ${candidates.length} files with missing or stale documentation`);
+
+    if (pending.length === 0) {
+      this.logger.info('All documentation is up to date');
+      return;
+    }
+
+    if (!branchExists) {
+      await this.githubClient.createBranch(docsBranch, defaultBranch);
+    }
+
+    this.dependencyContext = this.createDependencyContext(defaultBranch, [docsBranch, defaultBranch], command);
+
+    const results = {
+      generated: [],
+      updated: [],
+      deleted: [],
+      skipped: [],
+      failed: []
+    };
+
+    const chunkCount = Math.ceil(pending.length / config.sweepChunkSize);
+    const timeLimitMs = config.sweepTimeLimit * 60000;
+    let processedCount = 0;
+
+    for (let index = 0; index < chunkCount; index++) {
+      if (Date.now() - startedAt >= timeLimitMs) {
+        this.logger.warn(`Sweep time limit of ${config.sweepTimeLimit} minutes reached, stopping before chunk ${index + 1}/${chunkCount}`);
+        break;
+      }
+      if (this.isTokenBudgetExhausted()) {
+        this.logger.warn(`Token budget of ${config.maxTokensPerRun} exhausted, stopping before chunk ${index + 1}/${chunkCount}`);
+        break;
+      }
+
+      const chunk = pending.slice(index * config.sweepChunkSize, (index + 1) * config.sweepChunkSize);
+      this.logger.info(`Processing sweep chunk ${index + 1}/${chunkCount} (${chunk.length} files)`);
+
+      setPhase('process');
+      const outcomes = await rateLimiter.map(chunk, file =>
+          this.processTrackedFile(file, sweepDetails, docsBranch, command)
+      );
+
+      setPhase('commit');
+      const chunkResults = { generated: [], updated: [], deleted: [], skipped: [], failed: [] };
+      const { filesToCommit, filesToDelete } = this.collectOutcomes(outcomes, chunkResults, command);
+      await this.addIndexChanges(docsBranch, filesToCommit, filesToDelete, command);
+
+      await this.commitChanges(
+          docsBranch,
+          filesToCommit,
+          filesToDelete,
+          this.createCommitMessage(`sweep chunk ${index + 1}/${chunkCount}`, chunkResults, command)
+      );
+
+      for (const key of Object.keys(chunkResults)) {
+        results[key].push(...chunkResults[key]);
+      }
+      processedCount += chunk.length;
+    }
+
+    results.remaining = pending.length - processedCount;
+    results.usage = { ...this.aiClient.usage };
+    this.logger.info('Token usage', results.usage);
+
+    const totalProcessed = results.generated.length + results.updated.length;
+
+    setPhase('publish');
+    if (existingPR) {
+      await this.postUpdateComment(existingPR.number, results, command, sweepDetails.author);
+    } else if (totalProcessed > 0) {
+      const title = `docs: Documentation sweep for ${command.command}`;
+      const body = this.generateSweepPRBody(sweepDetails, results, command);
+      const pr = await this.githubClient.createPR(title, body, docsBranch, defaultBranch);
+      this.logger.info(`Created documentation sweep PR: ${pr.html_url}`);
+    } else {
+      this.logger.warn('Sweep did not produce any documentation, no PR created');
+    }
+  }
+
+  /**
+   * Create the details used in place of a source PR for a sweep
+   * @param {string} defaultBranch - Default branch being swept
+   * @returns {object} - PR-like details for prompts and doc lookups
+   */
+  createSweepDetails(defaultBranch) {
+    const now = new Date().toISOString();
+    return {
+      number: 'sweep',
+      title: 'Documentation sweep',
+      author: github.context.actor,
+      createdAt: now,
+      updatedAt: now,
+      mergedBy: null,
+      base: defaultBranch,
+      head: defaultBranch
+    };
+  }
+
+  /**
+   * Check whether a file needs documentation in a sweep
+   * @param {object} file - Tree file ({filename, sha})
+   * @param {Set} knownDocs - Paths present on the default or sweep branch
+   * @param {string} docsBranch - Sweep documentation branch
+   * @param {object} sweepDetails - Sweep details
+   * @param {object} command - Command details
+   * @returns {Promise<boolean>} - Whether the documentation is missing or stale
+   */
+  async isSweepDocOutdated(file, knownDocs, docsBranch, sweepDetails, command) {
+    const format = command.options.format;
+    const docPath = this.getDocPath(file.filename, command.command, format);
+
+    if (!knownDocs.has(docPath)) {
+      return true;
+    }
+
+    try {
+      const { hasChanged } = await this.checkExistingDoc(
+          file.filename,
+          docPath,
+          docsBranch,
+          sweepDetails,
+          file.sha,
+          format
+      );
+      return hasChanged;
+    } catch (error) {
+      this.logger.warn(`Could not check documentation of ${file.filename}, treating it as stale: ${error.message}`);
+      return true;
+    }
+  }
+
+  /**
+   * Generate the body of the documentation sweep PR
+   * @param {object} sweepDetails - Sweep details
+   * @param {object} results - Processing results
+   * @param {object} command - Command details
+   * @returns {string} - PR body markdown
+   */
+  generateSweepPRBody(sweepDetails, results, command) {
+    let body = `# ${command.command} Documentation Sweep\n\n`;
+    body += `This PR adds missing and refreshes stale documentation across \`${sweepDetails.base}\`.\n\n`;
+
+    if (results.remaining > 0) {
+      body += `⏳ ${results.remaining} files are left for the next sweep run, which continues on this branch.\n\n`;
+    }
+
+    body += this.formatResultSections(results);
+
+    body += `---\n`;
+    body += `**Branch:** ${sweepDetails.base}\n`;
+    body += `**Scope:** \`${command.options.scope}\`\n`;
+    body += `**Language:** ${command.options.lang}\n`;
+    body += `**Format:** ${command.options.format}\n\n`;
+    body += `*This documentation was automatically generated by [doxai](https://github.com/yybmion/Doxai). Please review and modify as needed.*`;
+
+    return body;
+  }
+
+  /**
+   * Load .doxai.yml from the given branch and re-resolve command defaults
+   * @param {string} ref - Branch to read the configuration from
+   * @param {object} command - Parsed command
+   * @returns {Promise<object>} - Command with configuration defaults applied
+   */
+  async applyRepositoryConfig(ref, command) {
+    const previousProvider = config.aiProvider;
+    const previousModel = config.aiModel;
+
+    const repoConfig = await config.loadRepositoryConfig(this.githubClient, ref);
+    if (!repoConfig) {
+      this.logger.debug(`No ${REPO_CONFIG_FILE} found on ${ref}, using defaults`);
+      return command;
+    }
+
+    this.logger.info(`Loaded ${REPO_CONFIG_FILE} from ${ref} (${Object.keys(repoConfig).join(', ') || 'empty'})`);
+    this.logger.debug(`${REPO_CONFIG_FILE} contents`, repoConfig);
+
+    if (config.aiProvider !== previousProvider || config.aiModel !== previousModel) {
+      this.aiClient = new AIClient();
+    }
+
+    // Options not given explicitly in the comment now fall back to the repository defaults
+    const resolvedCommand = this.commandParser.parse(command.rawCommand, config.getCommandDefaults());
+    if (!resolvedCommand.valid) {
+      throw new Error(
+          `Invalid defaults in ${REPO_CONFIG_FILE}:\n${resolvedCommand.errors.map(e => `- ${e}`).join('\n')}`
+      );
+    }
+
+    return resolvedCommand;
+  }
+
+  /**
+   * Read .doxaiignore and .gitattributes from a branch into the file filter
+   * @param {string} ref - Branch the rules are read from
+   */
+  async loadFilterRules(ref) {
+    const readOptional = async (filename) => {
+      try {
+        return await this.githubClient.getFileContent(filename, ref);
+      } catch (error) {
+        if (error.message.includes('not found')) {
+          return null;
+        }
+        throw error;
+      }
+    };
+
+    const [ignore, attributes] = await Promise.all([readOptional(IGNORE_FILE), readOptional(ATTRIBUTES_FILE)]);
+    this.fileFilter.setRepositoryRules({ ignore, attributes });
+
+    const loaded = [ignore !== null && IGNORE_FILE, attributes !== null && ATTRIBUTES_FILE].filter(Boolean);
+    if (loaded.length > 0) {
+      this.logger.info(`Loaded file rules from ${loaded.join(' and ')} on ${ref}`);
+    }
+  }
+
+  /**
+   * Plan documentation changes and comment them without calling the AI or writing to the repository
+   * @param {object} prDetails - PR details
+   * @param {Array} files - Files to document
+   * @param {object} command - Command details
+   * @param {string} username - User who triggered the action
+   */
+  async processDryRun(prDetails, files, command, username) {
+    // The docs branch is only read; it may not exist yet
+    const docsBranch = `docs/${command.command}-pr-${prDetails.number}`;
+
+    rateLimiter.setConcurrency(config.concurrency);
+    const plan = await rateLimiter.map(files, file =>
+        this.planChangedFile(file, prDetails, docsBranch, command)
+    );
+
+    await this.postDryRunComment(prDetails.number, plan, command, username);
+  }
+
+  /**
+   * Determine what a run would do for one changed file
+   * @param {object} file - Changed file
+   * @param {object} prDetails - PR details
+   * @param {string} docsBranch - Documentation branch
+   * @param {object} command - Command details
+   * @returns {Promise<object>} - Planned action ({source, action, docs, estimatedTokens, reason}), renamed files with a doc to move carry a "Moved from" reason
+   */
+  async planChangedFile(file, prDetails, docsBranch, command) {
+    const format = command.options.format;
+
+    try {
+      if (file.status === 'removed') {
+        const docs = [];
+
+        for (const docFormat of DOC_FORMATS) {
+          const docPath = this.getDocPath(file.filename, command.command, docFormat);
+          if (await this.checkDocExists(docPath, docsBranch) || await this.checkDocExists(docPath, prDetails.base)) {
+            docs.push(docPath);
+          }
+        }
+
+        return docs.length > 0
+            ? { source: file.filename, action: 'delete', docs, estimatedTokens: 0 }
+            : { source: file.filename, action: 'skip', docs, estimatedTokens: 0, reason: 'No documentation to delete' };
+      }
+
+      const { content, sha: sourceSha } = await this.githubClient.getFileInfo(file.filename, prDetails.head);
+      const docPath = this.getDocPath(file.filename, command.command, format);
+      let { exists, content: existingDoc, hasChanged } = await this.checkExistingDoc(
+          file.filename,
+          docPath,
+          docsBranch,
+          prDetails,
+          sourceSha,
+          format
+      );
+
+      const previousDoc = await this.findPreviousDoc(file, docPath, docsBranch, prDetails, sourceSha, command);
+      if (previousDoc && !exists) {
+        ({ content: existingDoc, hasChanged } = previousDoc);
+        exists = true;
+      }
+      const movedReason = previousDoc ? `Moved from ${previousDoc.path}` : undefined;
+
+      if (exists && !hasChanged) {
+        return previousDoc
+            ? { source: file.filename, action: 'move', docs: [docPath], estimatedTokens: 0, reason: movedReason }
+            : { source: file.filename, action: 'skip', docs: [docPath], estimatedTokens: 0, reason: 'Source unchanged' };
+      }
+
+      const { getSystemPrompt, createDocsPrompt, createUpdateDocsPrompt } = require('./docs-prompt');
+      const language = command.options.lang;
+      const userPrompt = exists
+          ? createUpdateDocsPrompt(file.filename, content, existingDoc, prDetails, language, format)
+          : createDocsPrompt(file.filename, content, prDetails, language, format);
+
+      return {
+        source: file.filename,
+        action: exists ? 'update' : 'generate',
+        docs: [docPath],
+        estimatedTokens: AIClient.estimateTokens(getSystemPrompt(file.filename, language, format) + userPrompt),
+        reason: movedReason
+      };
+    } catch (error) {
+      this.logger.error(`Failed to plan file: ${file.filename}`, error);
+      return { source: file.filename, action: 'error', docs: [], estimatedTokens: 0, reason: error.message };
+    }
+  }
+
+  /**
+   * Post the dry run plan on the source PR
+   * @param {number} prNumber - Source PR number
+   * @param {Array} plan - Planned actions from planChangedFile
+   * @param {object} command - Command details
+   * @param {string} username - User who triggered the action
+   */
+  async postDryRunComment(prNumber, plan, command, username) {
+    const labels = {
+      generate: '🆕 Generate',
+      update: '📝 Update',
+      move: '🚚 Move',
+      delete: '🗑️ Delete',
+      skip: '⏭️ Skip',
+      error: '❌ Error'
+    };
+    const count = (action) => plan.filter(item => item.action === action).length;
+    const totalTokens = plan.reduce((sum, item) => sum + item.estimatedTokens, 0);
+
+    let comment = `🔍 @${username} Dry run for PR #${prNumber} - no AI calls, branches, commits or PRs were made.\n\n`;
+    comment += `**Scope:** \`${command.options.scope}\` | **Language:** ${command.options.lang} | **Format:** ${command.options.format}\n\n`;
+
+    comment += '| Action | Source | Documentation | Est. input tokens |\n';
+    comment += '|--------|--------|---------------|-------------------|\n';
+    for (const item of plan) {
+      const docs = item.docs.length > 0 ? item.docs.map(doc => `\`${doc}\``).join('<br>') : '-';
+      const reason = item.reason ? ` (${item.reason})` : '';
+      const tokens = item.estimatedTokens > 0 ? `~${item.estimatedTokens.toLocaleString('en-US')}` : '-';
+      comment += `| ${labels[item.action]}${reason} | \`${item.source}\` | ${docs} | ${tokens} |\n`;
+    }
+
+    comment += `\n📊 **Summary:** ${count('generate')} to generate, ${count('update')} to update, ` +
+        `${count('move')} to move, ${count('delete')} to delete, ${count('skip')} to skip`;
+    if (count('error') > 0) {
+      comment += `, ${count('error')} failed to check`;
+    }
+    comment += `\n\n🔢 **Estimated input tokens:** ~${totalTokens.toLocaleString('en-US')}\n\n`;
+
+    comment += `Run the command without \`--dry-run\` to apply these changes.\n\n`;
+    comment += `---\n`;
+    comment += `*Generated by [doxai](https://github.com/yybmion/Doxai)*`;
+
+    await this.githubClient.createComment(prNumber, comment);
+  }
+
+  /**
+   * Generate docs from the PR head and show them in a single PR comment, without branches or commits
+   * @param {object} prDetails - PR details
+   * @param {Array} files - Files to document
+   * @param {object} command - Command details
+   * @param {string} username - User who triggered the action
+   */
+  async processPreview(prDetails, files, command, username) {
+    this.dependencyContext = this.createDependencyContext(prDetails.headSha || prDetails.head, [prDetails.base], command);
+
+    rateLimiter.setConcurrency(config.concurrency);
+    this.logger.info(`Previewing ${files.length} files with concurrency ${config.concurrency}`);
+
+    const previews = await rateLimiter.map(files, file =>
+        this.previewChangedFile(file, prDetails, command)
+    );
+
+    await this.postPreviewComment(prDetails, previews, command, username);
+  }
+
+  /**
+   * Generate the preview of one changed file
+   * @param {object} file - Changed file
+   * @param {object} prDetails - PR details
+   * @param {object} command - Command details
+   * @returns {Promise<object>} - Preview ({source, docPath} with content and isNew, reason or error)
+   */
+  async previewChangedFile(file, prDetails, command) {
+    const format = command.options.format;
+    const docPath = this.getDocPath(file.filename, command.command, format);
+
+    try {
+      if (file.status === 'removed') {
+        return { source: file.filename, docPath, reason: 'Source removed, its documentation is deleted when the merged PR is documented' };
+      }
+
+      if (this.isTokenBudgetExhausted()) {
+        return { source: file.filename, docPath, reason: 'Budget exhausted' };
+      }
+
+      // Read from the head commit so previews also work for PRs from forks
+      const content = await this.githubClient.getFileContent(file.filename, prDetails.headSha || prDetails.head);
+
+      let existingDoc = null;
+      try {
+        existingDoc = await this.githubClient.getFileContent(docPath, prDetails.base);
+      } catch (error) {
+        if (!error.message.includes('not found')) {
+          throw error;
+        }
+      }
+
+      const docContent = await this.generateDocumentation(
+          file.filename,
+          content,
+          existingDoc,
+          prDetails,
+          command.options.lang,
+          format,
+          file.patch
+      );
+
+      return { source: file.filename, docPath, content: stripDocMetadata(docContent, format), isNew: !existingDoc };
+    } catch (error) {
+      this.logger.error(`Failed to preview file: ${file.filename}`, error);
+      return { source: file.filename, docPath, error: error.message };
+    }
+  }
+
+  /**
+   * Post the preview comment, editing the previous preview comment if there is one
+   * @param {object} prDetails - PR details
+   * @param {Array} previews - Previews from previewChangedFile
+   * @param {object} command - Command details
+   * @param {string} username - User who triggered the action
+   */
+  async postPreviewComment(prDetails, previews, command, username) {
+    let header = `${PREVIEW_COMMENT_MARKER}\n`;
+    header += `👀 @${username} Documentation preview for PR #${prDetails.number} ` +
+        `at ${(prDetails.headSha || prDetails.head).substring(0, 7)} - nothing was committed.\n\n`;
+    header += `**Scope:** \`${command.options.scope}\` | **Language:** ${command.options.lang} | **Format:** ${command.options.format}\n\n`;
+
+    let footer = '';
+    const usage = { ...this.aiClient.usage };
+    if (usage.requests > 0) {
+      footer += `🔢 **Token usage:**\n${this.formatTokenUsage(usage)}\n`;
+    }
+    footer += `Re-run \`${command.rawCommand}\` to refresh this preview. Docs are committed once the PR is merged and \`!${command.command}\` is run.\n\n`;
+    footer += `---\n`;
+    footer += `*Generated by [doxai](https://github.com/yybmion/Doxai)*`;
+
+    // Keep room for the omission note so the body stays under GitHub's limit
+    const budget = MAX_COMMENT_LENGTH - header.length - footer.length - 200;
+    const sections = [];
+    let used = 0;
+    let omitted = 0;
+
+    for (const preview of previews) {
+      const section = this.formatPreviewSection(preview, command.options.format);
+      if (used + section.length > budget) {
+        omitted++;
+        continue;
+      }
+      sections.push(section);
+      used += section.length;
+    }
+
+    let body = header + sections.join('\n');
+    if (omitted > 0) {
+      body += `\n⚠️ ${omitted} more files did not fit in a single comment. Narrow \`--scope\` to preview them.\n`;
+    }
+    body += '\n' + footer;
+
+    const existing = await this.githubClient.findComment(prDetails.number, PREVIEW_COMMENT_MARKER);
+    if (existing) {
+      await this.githubClient.updateComment(existing.id, body);
+    } else {
+      await this.githubClient.createComment(prDetails.number, body);
+    }
+  }
+
+  /**
+   * Format one file of the preview comment as a collapsible section
+   * @param {object} preview - Preview from previewChangedFile
+   * @param {string} format - Output format (adoc/md)
+   * @returns {string} - HTML details block
+   */
+  formatPreviewSection(preview, format) {
+    const summary = `<code>${preview.source}</code> → <code>${preview.docPath}</code>`;
+
+    if (preview.error) {
+      return `<details>\n<summary>❌ ${summary}</summary>\n\n${preview.error}\n\n</details>\n`;
+    }
+
+    if (preview.content === undefined) {
+      return `<details>\n<summary>⏭️ ${summary}</summary>\n\n${preview.reason}\n\n</details>\n`;
+    }
+
+    const label = preview.isNew ? '🆕' : '📝';
+
+    // Markdown renders in place; AsciiDoc is shown as source with a fence longer than any inside it
+    let content = preview.content.trim();
+    if (format !== 'md') {
+      const longestRun = Math.max(0, ...(content.match(/`+/g) || []).map(run => run.length));
+      const fence = '`'.repeat(Math.max(3, longestRun + 1));
+      content = `${fence}asciidoc\n${content}\n${fence}`;
+    }
+
+    return `<details>\n<summary>${label} ${summary}</summary>\n\n${content}\n\n</details>\n`;
+  }
+
   /**
    * Process documentation generation
    * @param {object} prDetails - PR details
@@ -181,10 +879,8 @@ class DocumentationGenerator {
   async processDocumentation(prDetails, files, command, username) {
     const prNumber = prDetails.number;
 
-    this.logger.info(`=== Process Documentation Debug ===`);
-    this.logger.info(`Command object:`, JSON.stringify(command, null, 2));
-    this.logger.info(`Language from command: ${command.options.lang}`);
-    this.logger.info(`=== End Process Documentation Debug ===`);
+    this.logger.debug('Command object', command);
+    this.logger.info(`Documenting ${files.length} files with options: lang=${command.options.lang}, format=${command.options.format}`);
 
     // Setup documentation branch - always use the same branch name for a PR
     const docsBranchName = `docs/${command.command}-pr-${prNumber}`;
@@ -219,88 +915,336 @@ class DocumentationGenerator {
         `🔄 @${username} Starting documentation generation for ${files.length} files...`
     );
 
-    // Process all files and collect changes
+    this.dependencyContext = this.createDependencyContext(prDetails.headSha || prDetails.head, [docsBranch, prDetails.base], command);
+
+    // Process files with a bounded worker pool; outcomes keep input order so the commit is deterministic
+    rateLimiter.setConcurrency(config.concurrency);
+    this.logger.info(`Processing ${files.length} files with concurrency ${config.concurrency}`);
+
+    setPhase('process');
+    const outcomes = await rateLimiter.map(files, file =>
+        this.processTrackedFile(file, prDetails, docsBranch, command)
+    );
+
+    setPhase('commit');
+    const { filesToCommit, filesToDelete } = this.collectOutcomes(outcomes, results, command);
+
+    results.usage = { ...this.aiClient.usage };
+    this.logger.info('Token usage', results.usage);
+
+    // Index pages go into the same commit as the docs they list
+    await this.addIndexChanges(docsBranch, filesToCommit, filesToDelete, command);
+
+    // Commit all changes at once
+    await this.commitChanges(
+        docsBranch,
+        filesToCommit,
+        filesToDelete,
+        this.createCommitMessage(`PR #${prDetails.number}`, results, command)
+    );
+
+    // Create or update PR
+    setPhase('publish');
+    await this.createOrUpdateDocsPR(prDetails, docsBranch, existingPR, results, command, username);
+  }
+
+  /**
+   * Sort file outcomes into the results and collect the changes to commit
+   * @param {Array} outcomes - Outcomes of processChangedFile in input order
+   * @param {object} results - Processing results to append to
+   * @param {object} command - Command details
+   * @returns {{filesToCommit: Array, filesToDelete: Array}} - Changes for a single batch commit
+   */
+  collectOutcomes(outcomes, results, command) {
     const filesToCommit = [];
     const filesToDelete = [];
 
-    for (const file of files) {
+    for (const outcome of outcomes) {
+      if (outcome.error) {
+        results.failed.push({ filename: outcome.source, error: outcome.error });
+        this.report.setStatus(outcome.source, 'failed', { error: outcome.error });
+      } else if (outcome.deleted) {
+        filesToDelete.push(...outcome.deleted);
+        results.deleted.push(...outcome.deleted);
+        this.report.setStatus(outcome.source, 'deleted', { docs: outcome.deleted });
+      } else if (outcome.processedFile) {
+        const { path: docPath, isNew, previousPath } = outcome.processedFile;
+        filesToCommit.push(outcome.processedFile);
+
+        // Moved docs leave their previous path in the same commit
+        if (previousPath) {
+          filesToDelete.push(previousPath);
+        }
+
+        const status = isNew ? 'generated' : 'updated';
+        results[status].push(docPath);
+        this.report.setStatus(outcome.source, status, {
+          docs: [docPath],
+          reason: previousPath ? `Moved from ${previousPath}` : undefined
+        });
+      } else {
+        const skipped = {
+          source: outcome.source,
+          doc: this.getDocPath(outcome.source, command.command, command.options.format),
+          reason: outcome.reason || 'Source unchanged'
+        };
+        results.skipped.push(skipped);
+        this.report.setStatus(outcome.source, 'skipped', { docs: [skipped.doc], reason: skipped.reason });
+      }
+    }
+
+    return { filesToCommit, filesToDelete };
+  }
+
+  /**
+   * Add index page updates for pending doc changes to the same batch. Every directory the layout
+   * keeps docs under gets its own index; docs kept next to the sources are not indexed.
+   * Index failures are logged and never block committing the docs themselves.
+   * @param {string} docsBranch - Documentation branch
+   * @param {Array} filesToCommit - Array of {path, content} objects to add/update, extended in place
+   * @param {Array} filesToDelete - Array of file paths to delete, extended in place
+   * @param {object} command - Command details
+   */
+  async addIndexChanges(docsBranch, filesToCommit, filesToDelete, command) {
+    const roots = getDocRoots(this.getDocLayout(command.command));
+    if (roots.length === 0) {
+      this.logger.debug('Docs are kept next to the sources, no documentation index is built');
+      return;
+    }
+
+    for (const root of roots) {
+      for (const format of DOC_FORMATS) {
+        const isRootDoc = (docPath) => docPath.startsWith(`${root}/`) && docPath.endsWith(`.${format}`);
+        const changed = filesToCommit.filter(file => isRootDoc(file.path));
+        const removed = filesToDelete.filter(isRootDoc);
+
+        if (changed.length === 0 && removed.length === 0) {
+          continue;
+        }
+
+        // Indexes of other formats are only kept up to date once they exist
+        const createIfMissing = format === command.options.format;
+
+        try {
+          const index = await this.buildIndexChanges(docsBranch, root, format, changed, removed, command.command, createIfMissing);
+          filesToCommit.push(...index.files);
+          filesToDelete.push(...index.deletions);
+        } catch (error) {
+          this.logger.warn(`Failed to update the ${format} documentation index of ${root}: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Build the index pages of one format after applying doc changes
+   * @param {string} docsBranch - Documentation branch
+   * @param {string} projectDir - Directory the docs are kept under, see getDocRoots
+   * @param {string} format - Document format (adoc/md)
+   * @param {Array} changed - Added or updated docs as {path, content}
+   * @param {Array} removed - Deleted doc paths
+   * @param {string} project - Project name
+   * @param {boolean} createIfMissing - Whether to create the index if the project has none yet
+   * @returns {Promise<{files: Array, deletions: Array}>} - Index pages to write and to delete
+   */
+  async buildIndexChanges(docsBranch, projectDir, format, changed, removed, project, createIfMissing) {
+    const relative = (docPath) => docPath.substring(projectDir.length + 1);
+
+    // The root index lists every doc with its summary
+    let entries = null;
+    for (const name of INDEX_PAGE_NAMES) {
       try {
-        if (file.status === 'removed') {
-          const docPath = this.getDocPath(file.filename, command.command);
-
-          const docExists = await this.checkDocExists(docPath, docsBranch);
-
-          if (docExists) {
-            filesToDelete.push(docPath);
-            results.deleted.push(docPath);
-            this.logger.info(`Marking for deletion: ${docPath}`);
-          } else {
-            this.logger.debug(`Doc file doesn't exist for removed file: ${file.filename}`);
-          }
-          continue;
+        entries = parseIndexEntries(await this.githubClient.getFileContent(`${projectDir}/${name}.${format}`, docsBranch), format);
+      } catch (error) {
+        if (!error.message.includes('not found')) {
+          throw error;
         }
+      }
+      if (entries) {
+        break;
+      }
+    }
 
-        const processedFile = await this.processFileForBatch(file, prDetails, docsBranch, command);
+    const hadIndex = entries !== null;
+    if (!hadIndex && !createIfMissing) {
+      return { files: [], deletions: [] };
+    }
 
-        if (processedFile) {
-          filesToCommit.push(processedFile);
+    if (!hadIndex) {
+      // First index for this project, start from the docs already on the branch
+      const tree = await this.githubClient.getRepositoryTree(docsBranch);
+      entries = new Map(tree
+          .map(entry => entry.path)
+          .filter(docPath => docPath.startsWith(`${projectDir}/`) && docPath.endsWith(`.${format}`))
+          .filter(docPath => isDocPath(docPath, this.getDocLayout(project)))
+          .map(docPath => [relative(docPath), null]));
+    }
 
-          if (processedFile.isNew) {
-            results.generated.push(processedFile.path);
-          } else {
-            results.updated.push(processedFile.path);
-          }
-        } else {
-          results.skipped.push({
-            source: file.filename,
-            doc: this.getDocPath(file.filename, command.command),
-            reason: 'Source unchanged'
-          });
-        }
+    const previousEntries = new Map(entries);
+    for (const docPath of removed) {
+      entries.delete(relative(docPath));
+    }
+    for (const file of changed) {
+      entries.set(relative(file.path), extractSummary(file.content, format));
+    }
+
+    // Docs listed before the index existed need their summary read once
+    const missing = [...entries.keys()].filter(file => entries.get(file) === null);
+    const summaries = await rateLimiter.map(missing, async (file) => {
+      try {
+        return extractSummary(await this.githubClient.getFileContent(`${projectDir}/${file}`, docsBranch), format);
       } catch (error) {
-        this.logger.error(`Failed to process file: ${file.filename}`, error);
-        results.failed.push({
-          filename: file.filename,
-          error: error.message
-        });
+        this.logger.warn(`Could not read ${file} for the documentation index: ${error.message}`);
+        return '';
       }
-    }
+    });
+    missing.forEach((file, index) => entries.set(file, summaries[index]));
+
+    const files = buildIndexPages(entries, format, project)
+    .map(page => ({ path: `${projectDir}/${page.path}`, content: page.content }));
+
+    // Pages of directories that no longer hold any docs
+    const pagePaths = new Set(files.map(file => file.path));
+    const deletions = hadIndex
+        ? buildIndexPages(previousEntries, format, project)
+        .map(page => `${projectDir}/${page.path}`)
+        .filter(pagePath => !pagePaths.has(pagePath) && !entries.has(relative(pagePath)))
+        : [];
+
+    this.logger.info(`Documentation index (${format}): ${files.length} pages written, ${deletions.length} removed`);
+    return { files, deletions };
+  }
 
-    // Commit all changes at once
-    if (filesToCommit.length > 0 || filesToDelete.length > 0) {
-      const commitMessage = this.createCommitMessage(prDetails.number, results, command);
+  /**
+   * Commit documentation changes in a single commit, falling back to one commit per file
+   * @param {string} docsBranch - Documentation branch
+   * @param {Array} filesToCommit - Array of {path, content} objects to add/update
+   * @param {Array} filesToDelete - Array of file paths to delete
+   * @param {string} commitMessage - Commit message
+   */
+  async commitChanges(docsBranch, filesToCommit, filesToDelete, commitMessage) {
+    if (filesToCommit.length === 0 && filesToDelete.length === 0) {
+      return;
+    }
 
-      try {
-        await this.githubClient.commitMultipleChanges(
+    try {
+      await this.githubClient.commitMultipleChanges(
+          docsBranch,
+          filesToCommit,
+          filesToDelete,
+          commitMessage
+      );
+      this.logger.info(`Committed ${filesToCommit.length} files and deleted ${filesToDelete.length} files in a single commit`);
+    } catch (error) {
+      this.logger.error('Failed to commit changes as batch, falling back to individual operations', error);
+      // Fallback to individual operations
+      for (const file of filesToCommit) {
+        await this.githubClient.commitFile(
             docsBranch,
-            filesToCommit,
-            filesToDelete,
+            file.path,
+            file.content,
             commitMessage
         );
-        this.logger.info(`Committed ${filesToCommit.length} files and deleted ${filesToDelete.length} files in a single commit`);
-      } catch (error) {
-        this.logger.error('Failed to commit changes as batch, falling back to individual operations', error);
-        // Fallback to individual operations
-        for (const file of filesToCommit) {
-          await this.githubClient.commitFile(
-              docsBranch,
-              file.path,
-              file.content,
-              commitMessage
-          );
+      }
+      for (const filePath of filesToDelete) {
+        await this.githubClient.deleteFile(
+            docsBranch,
+            filePath,
+            commitMessage
+        );
+      }
+    }
+  }
+
+  /**
+   * Process one changed file of the PR without committing
+   * @param {object} file - Changed file
+   * @param {object} prDetails - PR details
+   * @param {string} docsBranch - Documentation branch
+   * @param {object} command - Command details
+   * @returns {Promise<object>} - Outcome with source and one of deleted, processedFile or error (none when skipped)
+   */
+  async processChangedFile(file, prDetails, docsBranch, command) {
+    try {
+      if (file.status === 'removed') {
+        // Remove docs in every format so switching --format never leaves orphans behind
+        const deleted = [];
+
+        for (const format of DOC_FORMATS) {
+          const docPath = this.getDocPath(file.filename, command.command, format);
+          if (await this.checkDocExists(docPath, docsBranch)) {
+            deleted.push(docPath);
+            this.logger.info(`Marking for deletion: ${docPath}`);
+          }
         }
-        for (const filePath of filesToDelete) {
-          await this.githubClient.deleteFile(
-              docsBranch,
-              filePath,
-              commitMessage
-          );
+
+        if (deleted.length === 0) {
+          this.logger.debug(`Doc file doesn't exist for removed file: ${file.filename}`);
         }
+        return { source: file.filename, deleted };
+      }
+
+      // Checked when the worker picks the file up, so files already in flight may overshoot the budget
+      if (this.isTokenBudgetExhausted()) {
+        this.logger.warn(`Skipping ${file.filename} - token budget of ${config.maxTokensPerRun} exhausted`);
+        return { source: file.filename, reason: 'Budget exhausted' };
       }
+
+      const processedFile = await this.processFileForBatch(file, prDetails, docsBranch, command);
+      return { source: file.filename, processedFile };
+    } catch (error) {
+      this.logger.error(`Failed to process file: ${file.filename}`, error);
+      return { source: file.filename, error: error.message };
     }
+  }
 
-    // Create or update PR
-    await this.createOrUpdateDocsPR(prDetails, docsBranch, existingPR, results, command, username);
+  /**
+   * Process a changed file within its run report scope and log its duration and token usage
+   * @param {object} file - Changed file
+   * @param {object} prDetails - PR details
+   * @param {string} docsBranch - Documentation branch
+   * @param {object} command - Command details
+   * @returns {Promise<object>} - Outcome of processChangedFile
+   */
+  async processTrackedFile(file, prDetails, docsBranch, command) {
+    const outcome = await this.report.trackFile(file.filename, () =>
+        this.processChangedFile(file, prDetails, docsBranch, command)
+    );
+
+    const { durationMs, inputTokens, outputTokens } = this.report.getFile(file.filename);
+    this.logger.info(`Finished ${file.filename}`, { file: file.filename, durationMs, inputTokens, outputTokens });
+
+    return outcome;
+  }
+
+  /**
+   * Check whether the per-run token budget has been used up
+   * @returns {boolean} - Whether further AI requests must be skipped
+   */
+  isTokenBudgetExhausted() {
+    return config.maxTokensPerRun > 0 && this.aiClient.getTotalTokens() >= config.maxTokensPerRun;
+  }
+
+  /**
+   * Format token usage and estimated cost for comments and PR bodies
+   * @param {object} usage - Token usage ({inputTokens, outputTokens, requests})
+   * @returns {string} - Markdown list lines
+   */
+  formatTokenUsage(usage) {
+    const format = (value) => value.toLocaleString('en-US');
+    const cost = config.estimateCost(usage);
+
+    let text = `- Tokens: ${format(usage.inputTokens)} input / ${format(usage.outputTokens)} output ` +
+        `(${usage.requests} requests)\n`;
+    text += cost === null
+        ? `- Estimated cost: unknown (no pricing for ${config.aiModel})\n`
+        : `- Estimated cost: $${cost.toFixed(4)} (${config.aiModel})\n`;
+
+    if (config.maxTokensPerRun > 0) {
+      text += `- Budget: ${format(usage.inputTokens + usage.outputTokens)} / ${format(config.maxTokensPerRun)} tokens\n`;
+    }
+
+    return text;
   }
 
   /**
@@ -314,23 +1258,44 @@ class DocumentationGenerator {
   async processFileForBatch(file, prDetails, docsBranch, command) {
     this.logger.info(`Processing file: ${file.filename}`);
 
-    // Get file content
-    const content = await this.githubClient.getFileContent(file.filename, prDetails.head);
+    // Get file content and blob SHA
+    const { content, sha: sourceSha } = await this.githubClient.getFileInfo(file.filename, prDetails.head);
 
     // Generate documentation path
-    const docPath = this.getDocPath(file.filename, command.command);
+    const format = command.options.format;
+    const docPath = this.getDocPath(file.filename, command.command, format);
 
     // Check for existing documentation
-    const { exists, content: existingDoc, hasChanged } = await this.checkExistingDoc(
+    let { exists, content: existingDoc, hasChanged } = await this.checkExistingDoc(
         file.filename,
         docPath,
         docsBranch,
-        prDetails
+        prDetails,
+        sourceSha,
+        format
     );
 
+    // A renamed source takes the doc of its previous path along, deleted in the same commit
+    const previousDoc = await this.findPreviousDoc(file, docPath, docsBranch, prDetails, sourceSha, command);
+    if (previousDoc && !exists) {
+      this.logger.info(`Moving ${previousDoc.path} to ${docPath}`);
+      ({ content: existingDoc, hasChanged } = previousDoc);
+      exists = true;
+    }
+
     if (exists && !hasChanged) {
-      this.logger.info(`Skipping ${file.filename} - no changes since last documentation`);
-      return null;
+      if (!previousDoc) {
+        this.logger.info(`Skipping ${file.filename} - no changes since last documentation`);
+        return null;
+      }
+
+      this.logger.info(`Moving documentation of ${file.filename} without regenerating it - source unchanged`);
+      return {
+        path: docPath,
+        content: writeDocMetadata(existingDoc, format, { sourceSha, templateVersion: TEMPLATE_VERSION }),
+        isNew: false,
+        previousPath: previousDoc.path
+      };
     }
 
     // Generate documentation
@@ -339,13 +1304,57 @@ class DocumentationGenerator {
         content,
         existingDoc,
         prDetails,
-        command.options.lang
+        command.options.lang,
+        format,
+        file.patch
     );
 
     return {
       path: docPath,
-      content: docContent,
-      isNew: !exists
+      content: writeDocMetadata(docContent, format, { sourceSha, templateVersion: TEMPLATE_VERSION }),
+      isNew: !exists,
+      previousPath: previousDoc ? previousDoc.path : undefined
+    };
+  }
+
+  /**
+   * Find the doc a renamed file has at the doc path of its previous name
+   * @param {object} file - Changed file ({filename, status, previous_filename})
+   * @param {string} docPath - Documentation path of the new name
+   * @param {string} docsBranch - Documentation branch
+   * @param {object} prDetails - PR details
+   * @param {string} sourceSha - Blob SHA of the source at the PR head
+   * @param {object} command - Command details
+   * @returns {Promise<object|null>} - Doc ({path, content, hasChanged}) referring to the new name, or null if there is none to move
+   */
+  async findPreviousDoc(file, docPath, docsBranch, prDetails, sourceSha, command) {
+    if (file.status !== 'renamed' || !file.previous_filename) {
+      return null;
+    }
+
+    const format = command.options.format;
+    const previousPath = this.getDocPath(file.previous_filename, command.command, format);
+    if (previousPath === docPath) {
+      return null;
+    }
+
+    // The previous name no longer exists at the head, so staleness is checked against the new one
+    const { exists, content, hasChanged } = await this.checkExistingDoc(
+        file.filename,
+        previousPath,
+        docsBranch,
+        prDetails,
+        sourceSha,
+        format
+    );
+    if (!exists) {
+      return null;
+    }
+
+    return {
+      path: previousPath,
+      content: renameDocSource(content, file.previous_filename, file.filename, format),
+      hasChanged
     };
   }
 
@@ -353,11 +1362,52 @@ class DocumentationGenerator {
    * Get documentation file path with folder structure
    * @param {string} sourceFile - Source file path
    * @param {string} project - Project name
+   * @param {string} format - Output format (adoc/md)
    * @returns {string} - Documentation file path
    */
-  getDocPath(sourceFile, project) {
-    const pathWithoutExt = sourceFile.replace(/\.[^/.]+$/, '');
-    return `docs/${project}/${pathWithoutExt}.adoc`;
+  getDocPath(sourceFile, project, format = 'adoc') {
+    return resolveDocPath(sourceFile, { ...this.getDocLayout(project), format });
+  }
+
+  /**
+   * Get the documentation layout configured in .doxai.yml
+   * @param {string} project - Project name
+   * @returns {object} - Layout options for doc-path ({template, mappings, outDir, project})
+   */
+  getDocLayout(project) {
+    return {
+      template: config.docPathTemplate,
+      mappings: config.docPathMappings,
+      outDir: config.outputDir,
+      project
+    };
+  }
+
+  /**
+   * Fail when files to document would share a documentation path with each other or with
+   * another documentable file of the repository, or when a doc path is a source file.
+   * Removed files count too, deleting their docs must not delete the docs of another file.
+   * @param {Array} files - Files to document
+   * @param {Array} tree - Repository files ({path}) whose docs must be kept
+   * @param {object} command - Command details
+   */
+  checkDocPathCollisions(files, tree, command) {
+    const targets = new Set(files.map(file => file.filename));
+    const sources = new Set([
+      ...tree.map(entry => entry.path).filter(filename => this.fileFilter.shouldDocumentFile(filename)),
+      ...targets
+    ]);
+
+    const collisions = findDocPathCollisions(
+        [...sources].map(source => ({ source, doc: this.getDocPath(source, command.command, command.options.format) }))
+    ).filter(collision => collision.sources.some(source => targets.has(source)));
+
+    if (collisions.length > 0) {
+      throw new Error(
+          `Documentation path collision:\n${formatDocPathCollisions(collisions)}\n` +
+          `Include {ext} in output.path or add an output.mappings entry in ${REPO_CONFIG_FILE}`
+      );
+    }
   }
 
   /**
@@ -380,12 +1430,12 @@ class DocumentationGenerator {
 
   /**
    * Create commit message for batch commit
-   * @param {number} prNumber - PR number
+   * @param {string} subject - What the documentation was updated for (e.g. PR #12)
    * @param {object} results - Processing results
    * @param {object} command - Command details
    * @returns {string} - Commit message
    */
-  createCommitMessage(prNumber, results, command) {
+  createCommitMessage(subject, results, command) {
     const parts = [];
 
     if (results.generated.length > 0) {
@@ -401,7 +1451,7 @@ class DocumentationGenerator {
     const summary = parts.length > 0 ? ` (${parts.join(', ')})` : '';
     const scope = command.options.scope !== 'all' ? ` [${command.options.scope}]` : '';
 
-    return `docs: Update documentation for PR #${prNumber}${summary}${scope}`;
+    return `docs: Update documentation for ${subject}${summary}${scope}`;
   }
 
   /**
@@ -410,29 +1460,96 @@ class DocumentationGenerator {
    * @param {string} docFile - Documentation file path
    * @param {string} docsBranch - Documentation branch
    * @param {object} prDetails - PR details
+   * @param {string} sourceSha - Blob SHA of the current source file
+   * @param {string} format - Output format (adoc/md)
    * @returns {object} - Existing doc info
    */
-  async checkExistingDoc(sourceFile, docFile, docsBranch, prDetails) {
-    try {
-      // Try to get from docs branch first
-      const content = await this.githubClient.getFileContent(docFile, docsBranch);
-      const hasChanged = await this.githubClient.hasSourceFileChanged(
-          sourceFile,
-          docFile,
-          docsBranch,
-          prDetails.head
-      );
+  async checkExistingDoc(sourceFile, docFile, docsBranch, prDetails, sourceSha, format = 'adoc') {
+    for (const ref of [docsBranch, prDetails.base]) {
+      let content;
+      try {
+        content = await this.githubClient.getFileContent(docFile, ref);
+      } catch (error) {
+        // Other failures must not make a documented file look undocumented and get regenerated
+        if (error.message.includes('not found')) {
+          continue;
+        }
+        throw error;
+      }
+
+      const metadata = readDocMetadata(content, format);
+      let hasChanged;
+
+      if (metadata.sourceSha) {
+        hasChanged = isDocStale(metadata, sourceSha);
+        this.logger.debug(`Doc metadata for ${docFile} on ${ref}`, {
+          docSourceSha: metadata.sourceSha,
+          sourceSha,
+          docTemplateVersion: metadata.templateVersion,
+          templateVersion: TEMPLATE_VERSION
+        });
+      } else if (ref === docsBranch) {
+        // Documents generated before metadata headers existed
+        hasChanged = await this.githubClient.hasSourceFileChanged(
+            sourceFile,
+            docFile,
+            docsBranch,
+            prDetails.head
+        );
+      } else {
+        hasChanged = true;
+      }
 
       return { exists: true, content, hasChanged };
+    }
+
+    return { exists: false, content: null, hasChanged: true };
+  }
+
+  /**
+   * Create the dependency context reading related modules through the GitHub API
+   * @param {string} sourceRef - Branch or commit to read imported sources from
+   * @param {Array} docRefs - Branches to look for existing docs on, in order
+   * @param {object} command - Command details
+   * @returns {DependencyContext} - Dependency context
+   */
+  createDependencyContext(sourceRef, docRefs, command) {
+    const format = command.options.format;
+
+    return new DependencyContext({
+      listFiles: async () => (await this.githubClient.getRepositoryTree(sourceRef)).map(entry => entry.path),
+      readFile: (filePath) => this.githubClient.getFileContent(filePath, sourceRef),
+      readDoc: async (filePath) => {
+        const docPath = this.getDocPath(filePath, command.command, format);
+        for (const ref of docRefs) {
+          try {
+            return await this.githubClient.getFileContent(docPath, ref);
+          } catch (error) {
+            // Not documented on this branch
+          }
+        }
+        return null;
+      },
+      docFormat: format
+    });
+  }
+
+  /**
+   * Get the related modules of a file, never failing documentation generation
+   * @param {string} filename - Source file name
+   * @param {string} content - File content
+   * @returns {Promise<Array>} - Related modules ({path, summary, signatures})
+   */
+  async getRelatedModules(filename, content) {
+    if (!this.dependencyContext) {
+      return [];
+    }
 
+    try {
+      return await this.dependencyContext.getRelatedModules(filename, content);
     } catch (error) {
-      // Try base branch
-      try {
-        const content = await this.githubClient.getFileContent(docFile, prDetails.base);
-        return { exists: true, content, hasChanged: true };
-      } catch (baseError) {
-        return { exists: false, content: null, hasChanged: true };
-      }
+      this.logger.warn(`Could not collect related modules for ${filename}: ${error.message}`);
+      return [];
     }
   }
 
@@ -443,36 +1560,77 @@ class DocumentationGenerator {
    * @param {string} existingDoc - Existing documentation if any
    * @param {object} prDetails - PR details
    * @param {string} language - Documentation language (ko/en)
+   * @param {string} format - Output format (adoc/md)
+   * @param {string} patch - Unified diff of the file in the PR, if available
    * @returns {Promise<string>} - Generated documentation
    */
-  async generateDocumentation(filename, content, existingDoc, prDetails, language) {
+  async generateDocumentation(filename, content, existingDoc, prDetails, language, format = 'adoc', patch = null) {
     this.logger.info(`=== Documentation Generation Debug ===`);
     this.logger.info(`Filename: ${filename}`);
     this.logger.info(`Language: ${language}`);
+    this.logger.info(`Format: ${format}`);
     this.logger.info(`Has existing doc: ${!!existingDoc}`);
 
     // Use new template system with language group detection
-    const { getSystemPrompt, createDocsPrompt, createUpdateDocsPrompt, getLanguageGroup } = require('./docs-prompt');
+    const { getSystemPrompt, createDocsPrompt, createUpdateDocsPrompt, getLanguageGroup, appendRelatedModules } = require('./docs-prompt');
 
     // Detect language group based on file extension
     const languageGroup = getLanguageGroup(filename);
     this.logger.info(`Language group: ${languageGroup}`);
 
     // Get specialized system prompt for this file type and documentation language
-    const systemPrompt = getSystemPrompt(filename, language);
+    const systemPrompt = getSystemPrompt(filename, language, format);
     this.logger.info(`System prompt language: ${language}`);
     this.logger.debug(`System prompt preview: ${systemPrompt.substring(0, 200)}...`);
 
+    // Signatures of imported repository modules so the model does not have to guess what they do
+    const relatedModules = await this.getRelatedModules(filename, content);
+
+    setPhase('generate');
+
+    // Files too large for the model's context window are documented in chunks and merged.
+    // Without a known window, chunking at a guessed size would split nearly every file.
+    // Update prompts embed the existing doc and the diff as well, so they count towards the limit
+    const chunkLimit = getChunkTokenLimit(config.getContextWindow(), AIClient.MAX_OUTPUT_TOKENS);
+    const promptTokens = AIClient.estimateTokens(
+        [content, existingDoc, patch, appendRelatedModules('', relatedModules, language)].filter(Boolean).join('\n')
+    );
+    const exceedsChunkLimit = promptTokens > chunkLimit;
+    if (exceedsChunkLimit && !config.isContextWindowKnown()) {
+      this.logger.warn(
+          `Context window of ${config.aiModel} is unknown, sending ${filename} whole. ` +
+          'Set the ai-context-window input to document large files in chunks'
+      );
+    } else if (exceedsChunkLimit) {
+      const chunkedDoc = await this.generateChunkedDocumentation(
+          filename, content, existingDoc, prDetails, language, format, systemPrompt, relatedModules, chunkLimit
+      );
+      this.logger.info(`=== End Documentation Generation Debug ===`);
+      return this.ensureValidDocumentation(filename, chunkedDoc, language, format, systemPrompt);
+    }
+
+    // Rewrite only the sections touched by the diff when possible
+    if (existingDoc && patch) {
+      const incrementalDoc = await this.generateIncrementalUpdate(
+          filename, content, existingDoc, prDetails, language, format, patch, systemPrompt, relatedModules
+      );
+      if (incrementalDoc) {
+        this.logger.info(`=== End Documentation Generation Debug ===`);
+        return this.ensureValidDocumentation(filename, incrementalDoc, language, format, systemPrompt);
+      }
+    }
+
     let userPrompt;
     if (existingDoc) {
       // Update existing documentation
-      userPrompt = createUpdateDocsPrompt(filename, content, existingDoc, prDetails, language);
+      userPrompt = createUpdateDocsPrompt(filename, content, existingDoc, prDetails, language, format);
       this.logger.info('Using update prompt template');
     } else {
       // Create new documentation
-      userPrompt = createDocsPrompt(filename, content, prDetails, language);
+      userPrompt = createDocsPrompt(filename, content, prDetails, language, format);
       this.logger.info('Using create prompt template');
     }
+    userPrompt = appendRelatedModules(userPrompt, relatedModules, language);
 
     this.logger.debug(`User prompt preview: ${userPrompt.substring(0, 300)}...`);
     this.logger.info(`Sending AI request with language: ${language}, group: ${languageGroup}`);
@@ -483,7 +1641,193 @@ class DocumentationGenerator {
     this.logger.info(`AI response preview: ${result.substring(0, 200)}...`);
     this.logger.info(`=== End Documentation Generation Debug ===`);
 
-    return result;
+    return this.ensureValidDocumentation(filename, result, language, format, systemPrompt);
+  }
+
+  /**
+   * Strip wrapping fences and chatter from generated documentation and check it against the template.
+   * A document that still violates the template is requested once more with the violations listed.
+   * @param {string} filename - Source file name
+   * @param {string} doc - Generated documentation
+   * @param {string} language - Documentation language (ko/en)
+   * @param {string} format - Output format (adoc/md)
+   * @param {string} systemPrompt - System prompt for the file type
+   * @returns {Promise<string>} - Valid documentation
+   */
+  async ensureValidDocumentation(filename, doc, language, format, systemPrompt) {
+    const { getRequiredSections, createFixDocsPrompt } = require('./docs-prompt');
+
+    setPhase('validate');
+    const options = { filename: path.basename(filename), requiredSections: getRequiredSections(filename, language, format) };
+    const check = (text) => {
+      const { content, repairs } = repairDocumentation(text, format);
+      if (repairs.length > 0) {
+        this.logger.info(`Repaired AI output for ${filename}: ${repairs.join(', ')}`);
+      }
+      return { content, violations: validateDocumentation(content, format, options) };
+    };
+
+    const first = check(doc);
+    if (first.violations.length === 0) {
+      return first.content;
+    }
+
+    this.logger.warn(`Documentation for ${filename} violates the template, requesting a fix: ${first.violations.join('; ')}`);
+    const retry = check(await this.aiClient.sendPrompt(
+        systemPrompt, createFixDocsPrompt(filename, first.content, first.violations, language, format)
+    ));
+
+    if (retry.violations.length > 0) {
+      throw new Error(`Generated documentation does not follow the template: ${retry.violations.join('; ')}`);
+    }
+
+    return retry.content;
+  }
+
+  /**
+   * Document a file that does not fit into one prompt chunk by chunk, then merge the results
+   * @param {string} filename - Source file name
+   * @param {string} content - File content
+   * @param {string|null} existingDoc - Existing documentation
+   * @param {object} prDetails - PR details
+   * @param {string} language - Documentation language (ko/en)
+   * @param {string} format - Output format (adoc/md)
+   * @param {string} systemPrompt - System prompt for the file type
+   * @param {Array} relatedModules - Imported repository modules ({path, summary, signatures})
+   * @param {number} chunkLimit - Maximum estimated tokens of source or documentation per prompt
+   * @returns {Promise<string>} - Merged documentation
+   */
+  async generateChunkedDocumentation(filename, content, existingDoc, prDetails, language, format, systemPrompt, relatedModules, chunkLimit) {
+    const { createChunkDocsPrompt, appendRelatedModules } = require('./docs-prompt');
+
+    const chunks = splitIntoChunks(content, chunkLimit, AIClient.estimateTokens);
+    this.logger.info(`File exceeds ${chunkLimit} tokens, documenting ${chunks.length} chunks: ` +
+        chunks.map(chunk => `${chunk.startLine}-${chunk.endLine}`).join(', '));
+
+    const partialDocs = [];
+    for (const [i, chunk] of chunks.entries()) {
+      const userPrompt = appendRelatedModules(
+          createChunkDocsPrompt(filename, chunk, i + 1, chunks.length, prDetails, language, format), relatedModules, language
+      );
+      partialDocs.push(await this.aiClient.sendPrompt(systemPrompt, userPrompt));
+    }
+
+    return this.mergePartialDocs(filename, partialDocs, existingDoc, language, format, systemPrompt, chunkLimit);
+  }
+
+  /**
+   * Merge the documentation of consecutive chunks into one document.
+   * Parts that do not fit into one prompt are merged in groups first, level by level.
+   * @param {string} filename - Source file name
+   * @param {Array} partialDocs - Documentation of each chunk, in file order
+   * @param {string|null} existingDoc - Existing documentation
+   * @param {string} language - Documentation language (ko/en)
+   * @param {string} format - Output format (adoc/md)
+   * @param {string} systemPrompt - System prompt for the file type
+   * @param {number} chunkLimit - Maximum estimated tokens of documentation per prompt
+   * @returns {Promise<string>} - Merged documentation
+   */
+  async mergePartialDocs(filename, partialDocs, existingDoc, language, format, systemPrompt, chunkLimit) {
+    const { createMergeDocsPrompt } = require('./docs-prompt');
+
+    // The existing document only guides the structure, so leave it out when it would crowd out the parts
+    const existing = existingDoc && AIClient.estimateTokens(existingDoc) <= chunkLimit / 2 ? existingDoc : null;
+    if (existingDoc && !existing) {
+      this.logger.info('Existing documentation too large to include in the merge prompt');
+    }
+    const budget = chunkLimit - AIClient.estimateTokens(existing);
+
+    let docs = partialDocs;
+    while (docs.length > 1) {
+      // Every group holds at least two parts so each level shrinks the list
+      const groups = [];
+      let tokens = 0;
+      for (const doc of docs) {
+        const docTokens = AIClient.estimateTokens(doc);
+        const group = groups[groups.length - 1];
+        if (group && (group.length < 2 || tokens + docTokens <= budget)) {
+          group.push(doc);
+          tokens += docTokens;
+        } else {
+          groups.push([doc]);
+          tokens = docTokens;
+        }
+      }
+
+      const final = groups.length === 1;
+      this.logger.info(`Merging ${docs.length} partial documents in ${groups.length} group(s)`);
+
+      const merged = [];
+      for (const group of groups) {
+        merged.push(group.length === 1 ? group[0] : await this.aiClient.sendPrompt(
+            systemPrompt, createMergeDocsPrompt(filename, group, final ? existing : null, language, format, final)
+        ));
+      }
+      docs = merged;
+    }
+
+    return docs[0];
+  }
+
+  /**
+   * Update only the documentation sections affected by a PR diff
+   * @param {string} filename - Source file name
+   * @param {string} content - Current file content
+   * @param {string} existingDoc - Existing documentation
+   * @param {object} prDetails - PR details
+   * @param {string} language - Documentation language (ko/en)
+   * @param {string} format - Output format (adoc/md)
+   * @param {string} patch - Unified diff of the file in the PR
+   * @param {string} systemPrompt - System prompt for the file type
+   * @param {Array} relatedModules - Imported repository modules ({path, summary, signatures})
+   * @returns {Promise<string|null>} - Spliced documentation or null to fall back to a full update
+   */
+  async generateIncrementalUpdate(filename, content, existingDoc, prDetails, language, format, patch, systemPrompt, relatedModules = []) {
+    const { createUpdateDocsPrompt, appendRelatedModules } = require('./docs-prompt');
+
+    const touched = getTouchedSymbols(patch, content);
+    const targets = findAffectedSections(existingDoc, format, touched.symbols);
+    const totalSections = countSections(existingDoc, format);
+
+    this.logger.info(`Touched symbols: ${[...touched.symbols].join(', ') || 'none'}`);
+
+    if (targets.length === 0) {
+      this.logger.info('No documented symbols touched by the diff, using full update');
+      return null;
+    }
+
+    const targetLines = targets.reduce((sum, target) => sum + (target.end - target.start), 0);
+    if (targets.length >= totalSections || targetLines >= existingDoc.split('\n').length / 2) {
+      this.logger.info('Diff touches most of the document, using full update');
+      return null;
+    }
+
+    this.logger.info(`Rewriting ${targets.length} of ${totalSections} sections: ${targets.map(t => t.title).join(', ')}`);
+
+    const userPrompt = appendRelatedModules(createUpdateDocsPrompt(filename, content, existingDoc, prDetails, language, format, {
+      patch,
+      sectionsText: getSectionsText(existingDoc, targets),
+      addedSymbols: [...touched.added],
+      removedSymbols: [...touched.removed]
+    }), relatedModules, language);
+
+    const result = await this.aiClient.sendPrompt(systemPrompt, userPrompt);
+    const spliced = spliceSections(existingDoc, format, targets, result);
+
+    if (spliced.replaced + spliced.removed === 0) {
+      this.logger.warn('AI response did not contain any of the requested sections, using full update');
+      return null;
+    }
+
+    if (spliced.missing.length > 0) {
+      this.logger.warn(`Sections kept unchanged (missing from AI response): ${spliced.missing.join(', ')}`);
+    }
+
+    this.logger.info(
+        `Spliced sections: ${spliced.replaced} replaced, ${spliced.removed} removed, ${spliced.added} added`
+    );
+
+    return spliced.content;
   }
 
   /**
@@ -558,6 +1902,25 @@ class DocumentationGenerator {
   generatePRBody(prDetails, results, command) {
     let body = `# ${command.command} Documentation Generation\n\n`;
     body += `This PR contains automatically generated documentation for PR #${prDetails.number}.\n\n`;
+    body += this.formatResultSections(results);
+
+    body += `---\n`;
+    body += `**Source PR:** #${prDetails.number} - ${prDetails.title}\n`;
+    body += `**Command:** \`${command.rawCommand}\`\n`;
+    body += `**Language:** ${command.options.lang}\n`;
+    body += `**Format:** ${command.options.format}\n\n`;
+    body += `*This documentation was automatically generated by [doxai](https://github.com/yybmion/Doxai). Please review and modify as needed.*`;
+
+    return body;
+  }
+
+  /**
+   * Format processing results as PR body sections
+   * @param {object} results - Processing results
+   * @returns {string} - Markdown sections
+   */
+  formatResultSections(results) {
+    let body = '';
 
     if (results.generated.length > 0) {
       body += `## 📄 Generated Documentation (${results.generated.length})\n`;
@@ -589,11 +1952,11 @@ class DocumentationGenerator {
       body += '\n\n';
     }
 
-    body += `---\n`;
-    body += `**Source PR:** #${prDetails.number} - ${prDetails.title}\n`;
-    body += `**Command:** \`${command.rawCommand}\`\n`;
-    body += `**Language:** ${command.options.lang}\n\n`;
-    body += `*This documentation was automatically generated by [doxai](https://github.com/yybmion/Doxai). Please review and modify as needed.*`;
+    if (results.usage) {
+      body += `## 🔢 Token Usage\n`;
+      body += this.formatTokenUsage(results.usage);
+      body += '\n';
+    }
 
     return body;
   }
@@ -621,7 +1984,11 @@ class DocumentationGenerator {
     }
 
     if (results.skipped.length > 0) {
-      comment += `**Skipped (unchanged):** ${results.skipped.length} files\n`;
+      comment += `**Skipped:** ${results.skipped.length} files\n`;
+    }
+
+    if (results.remaining > 0) {
+      comment += `**Remaining:** ${results.remaining} files (continued by the next sweep)\n`;
     }
 
     if (results.failed.length > 0) {
@@ -657,6 +2024,12 @@ class DocumentationGenerator {
     comment += `- Skipped: ${results.skipped.length}\n`;
     comment += `- Failed: ${results.failed.length}\n\n`;
 
+    if (results.usage) {
+      comment += `🔢 **Token usage:**\n`;
+      comment += this.formatTokenUsage(results.usage);
+      comment += '\n';
+    }
+
     if (prUrl) {
       comment += `📚 **Documentation PR:** ${prUrl} (${existingPR ? 'updated' : 'created'})\n\n`;
     }
@@ -682,11 +2055,11 @@ class DocumentationGenerator {
    */
   async postErrorComment(errorMessage) {
     try {
-      const payload = github.context.payload;
-      if (payload?.issue?.number && payload?.comment?.user?.login && this.githubClient) {
+      const trigger = this.getTriggerDetails(github.context.payload);
+      if (trigger && this.githubClient) {
         await this.githubClient.createComment(
-            payload.issue.number,
-            `❌ @${payload.comment.user.login} Error: ${errorMessage}`
+            trigger.prNumber,
+            `❌ @${trigger.username} Error: ${errorMessage}`
         );
       }
     } catch (error) {
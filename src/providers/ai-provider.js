@@ -0,0 +1,202 @@
+// Context window assumed for models the provider does not list; chunking is skipped for them
+// unless the ai-context-window input is set, see Config.isContextWindowKnown
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Provider-independent finish reasons returned by getFinishReason
+const FINISH_REASONS = {
+  STOP: 'stop',
+  LENGTH: 'length'
+};
+
+// Follow-up instruction for providers that cannot prefill the assistant answer
+const CONTINUE_PROMPT = 'Your previous answer was cut off. Continue exactly where it stopped, ' +
+    'without repeating any text that was already written and without any explanation.';
+
+/**
+ * Base class for AI providers.
+ * A provider knows its endpoint, how to build a request and how to read responses and errors.
+ */
+class AIProvider {
+  /**
+   * @param {object} settings - Provider settings
+   * @param {string} settings.name - Provider name used in the ai-provider input
+   * @param {string} settings.displayName - Human readable provider name for messages
+   * @param {string} settings.endpoint - API endpoint
+   * @param {Array|null} settings.models - Known models, null if any model is accepted
+   * @param {object} settings.pricing - USD per million input/output tokens keyed by model or model family prefix
+   * @param {object} settings.contextWindows - Context window in tokens keyed by model or model family prefix
+   */
+  constructor({ name, displayName, endpoint, models = null, pricing = {}, contextWindows = {} }) {
+    this.name = name;
+    this.displayName = displayName;
+    this.endpoint = endpoint;
+    this.models = models;
+    this.pricing = pricing;
+    this.contextWindows = contextWindows;
+  }
+
+  /**
+   * Check that the provider can be used with the given settings
+   * @param {string} apiKey - API key
+   * @param {string} model - Model name
+   */
+  validate(apiKey, model) {
+    if (!apiKey) {
+      throw new Error(`Required input 'ai-api-key' is missing`);
+    }
+  }
+
+  /**
+   * Check whether a model is known to work with the provider
+   * @param {string} model - Model name
+   * @returns {boolean} - Whether the model is supported
+   */
+  isValidModel(model) {
+    return !this.models || this.models.includes(model);
+  }
+
+  /**
+   * Get the context window of a model
+   * @param {string} model - Model name
+   * @returns {number} - Context window in tokens (input plus output)
+   */
+  getContextWindow(model) {
+    return this.findModelEntry(this.contextWindows, model) || DEFAULT_CONTEXT_WINDOW;
+  }
+
+  /**
+   * Check whether the provider lists the context window of a model
+   * @param {string} model - Model name
+   * @returns {boolean} - Whether getContextWindow returns the real window rather than the default
+   */
+  hasContextWindow(model) {
+    return Boolean(this.findModelEntry(this.contextWindows, model));
+  }
+
+  /**
+   * Get the pricing of a model
+   * @param {string} model - Model name
+   * @returns {object|null} - USD per million input/output tokens or null if unknown
+   */
+  getPricing(model) {
+    return this.findModelEntry(this.pricing, model);
+  }
+
+  /**
+   * Look up a model in a table keyed by model name or by model family prefix
+   * (claude-sonnet-4 matches claude-sonnet-4-20250514); the longest matching key wins
+   * @param {object} table - Values keyed by model name or prefix
+   * @param {string} model - Model name
+   * @returns {*} - Table value or null if no key matches
+   */
+  findModelEntry(table, model) {
+    if (table[model] !== undefined) {
+      return table[model];
+    }
+
+    const prefix = Object.keys(table)
+    .filter(key => (model || '').startsWith(`${key}-`))
+    .sort((a, b) => b.length - a.length)[0];
+
+    return prefix ? table[prefix] : null;
+  }
+
+  /**
+   * Build request headers
+   * @param {string} apiKey - API key
+   * @returns {object} - Request headers
+   */
+  headers(apiKey) {
+    return { 'Content-Type': 'application/json' };
+  }
+
+  /**
+   * Build the full endpoint URL for a model
+   * @param {string} model - Model name
+   * @returns {string} - Endpoint URL
+   */
+  buildEndpointUrl(model) {
+    return this.endpoint;
+  }
+
+  /**
+   * Build the request body
+   * @param {string} model - Model name
+   * @param {string} systemPrompt - System prompt
+   * @param {string} userPrompt - User prompt
+   * @param {object} options - Generation options ({temperature, maxTokens})
+   * @returns {object} - Request data
+   */
+  createRequestData(model, systemPrompt, userPrompt, options) {
+    throw new Error(`${this.displayName} provider does not implement createRequestData`);
+  }
+
+  /**
+   * Get why the model stopped generating
+   * @param {object} data - Response body
+   * @returns {string} - One of FINISH_REASONS, or the provider's own reason for anything else
+   */
+  getFinishReason(data) {
+    return FINISH_REASONS.STOP;
+  }
+
+  /**
+   * Build a request that continues a truncated response
+   * @param {string} model - Model name
+   * @param {string} systemPrompt - System prompt
+   * @param {string} userPrompt - User prompt
+   * @param {string} partialText - Text generated so far
+   * @param {object} options - Generation options ({temperature, maxTokens})
+   * @returns {object|null} - Request data or null if the provider cannot continue a response
+   */
+  createContinuationData(model, systemPrompt, userPrompt, partialText, options) {
+    return null;
+  }
+
+  /**
+   * Join the text of a continuation to the text generated so far
+   * @param {string} partialText - Text generated so far
+   * @param {string} continuationText - Text of the continuation response
+   * @returns {string} - Combined text
+   */
+  appendContinuation(partialText, continuationText) {
+    return partialText + continuationText;
+  }
+
+  /**
+   * Extract the generated text from a response body
+   * @param {object} data - Response body
+   * @returns {string} - Generated text
+   */
+  extractResponseText(data) {
+    throw new Error(`${this.displayName} provider does not implement extractResponseText`);
+  }
+
+  /**
+   * Extract token usage from a response body
+   * @param {object} data - Response body
+   * @returns {{inputTokens: number, outputTokens: number}} - Token usage (zero when not reported)
+   */
+  extractUsage(data) {
+    return { inputTokens: 0, outputTokens: 0 };
+  }
+
+  /**
+   * Extract a readable error message from an error response body
+   * @param {object} data - Response body
+   * @returns {string} - Error message
+   */
+  extractErrorMessage(data) {
+    if (data?.error?.message) return data.error.message;
+    if (data?.message) return data.message;
+    if (data?.detail) return data.detail;
+    if (typeof data === 'string') return data;
+
+    return JSON.stringify(data);
+  }
+}
+
+module.exports = AIProvider;
+module.exports.DEFAULT_CONTEXT_WINDOW = DEFAULT_CONTEXT_WINDOW;
+module.exports.FINISH_REASONS = FINISH_REASONS;
+module.exports.CONTINUE_PROMPT = CONTINUE_PROMPT;
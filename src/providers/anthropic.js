@@ -0,0 +1,104 @@
+const AIProvider = require('./ai-provider');
+const { FINISH_REASONS } = AIProvider;
+
+// Messages API version sent in the anthropic-version header
+const API_VERSION = '2023-06-01';
+
+/**
+ * Anthropic Messages API provider.
+ * Any model ID is accepted unless an allow-list is configured; pricing and context windows
+ * are keyed by model family so dated IDs and aliases (claude-sonnet-4-20250514, claude-sonnet-4-0) resolve.
+ */
+class AnthropicProvider extends AIProvider {
+  /**
+   * @param {object} options - Provider options
+   * @param {Array} options.anthropicAllowedModels - Model IDs that may be used, empty to accept any model
+   */
+  constructor({ anthropicAllowedModels = [] } = {}) {
+    super({
+      name: 'anthropic',
+      displayName: 'Anthropic',
+      endpoint: 'https://api.anthropic.com/v1/messages',
+      models: anthropicAllowedModels.length > 0 ? anthropicAllowedModels : null,
+      pricing: {
+        'claude-opus-4': { input: 15, output: 75 },
+        'claude-sonnet-4': { input: 3, output: 15 },
+        'claude-haiku-4': { input: 1, output: 5 },
+        'claude-3-7-sonnet': { input: 3, output: 15 },
+        'claude-3-5-sonnet': { input: 3, output: 15 },
+        'claude-3-5-haiku': { input: 0.8, output: 4 },
+        'claude-3-opus': { input: 15, output: 75 },
+        'claude-3-haiku': { input: 0.25, output: 1.25 }
+      },
+      contextWindows: {
+        'claude-opus-4': 200000,
+        'claude-sonnet-4': 200000,
+        'claude-haiku-4': 200000,
+        'claude-3': 200000
+      }
+    });
+  }
+
+  validate(apiKey, model) {
+    super.validate(apiKey);
+
+    if (model && !this.isValidModel(model)) {
+      throw new Error(`Model '${model}' is not allowed. Allowed models (anthropic-allowed-models): ${this.models.join(', ')}`);
+    }
+  }
+
+  headers(apiKey) {
+    return {
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey,
+      'anthropic-version': API_VERSION
+    };
+  }
+
+  createRequestData(model, systemPrompt, userPrompt, { temperature, maxTokens }) {
+    return {
+      model,
+      messages: [{ role: 'user', content: userPrompt }],
+      system: systemPrompt,
+      temperature,
+      max_tokens: maxTokens
+    };
+  }
+
+  createContinuationData(model, systemPrompt, userPrompt, partialText, options) {
+    const request = this.createRequestData(model, systemPrompt, userPrompt, options);
+
+    // The partial answer is sent as an assistant prefill, which must not end with whitespace
+    request.messages.push({ role: 'assistant', content: partialText.trimEnd() });
+    return request;
+  }
+
+  appendContinuation(partialText, continuationText) {
+    return partialText.trimEnd() + continuationText;
+  }
+
+  getFinishReason(data) {
+    const reason = data?.stop_reason;
+    if (reason === 'max_tokens') {
+      return FINISH_REASONS.LENGTH;
+    }
+    return !reason || reason === 'end_turn' || reason === 'stop_sequence' ? FINISH_REASONS.STOP : reason;
+  }
+
+  extractResponseText(data) {
+    const textBlocks = (data?.content || []).filter(block => block.type === 'text' && typeof block.text === 'string');
+    if (textBlocks.length === 0) {
+      throw new Error('Invalid response structure from Anthropic');
+    }
+    return textBlocks.map(block => block.text).join('');
+  }
+
+  extractUsage(data) {
+    return {
+      inputTokens: data?.usage?.input_tokens || 0,
+      outputTokens: data?.usage?.output_tokens || 0
+    };
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,83 @@
+const OpenAIProvider = require('./openai');
+
+const DEFAULT_API_VERSION = '2024-10-21';
+
+/**
+ * Azure OpenAI provider. The ai-model input is the deployment name.
+ */
+class AzureOpenAIProvider extends OpenAIProvider {
+  /**
+   * @param {object} options - Provider options
+   * @param {string} options.azureEndpoint - Resource endpoint, e.g. https://my-resource.openai.azure.com
+   * @param {string} options.azureApiVersion - Azure OpenAI REST API version
+   */
+  constructor({ azureEndpoint = '', azureApiVersion = '' } = {}) {
+    super();
+    this.name = 'azure-openai';
+    this.displayName = 'Azure OpenAI';
+    this.endpoint = azureEndpoint.replace(/\/+$/, '');
+    this.apiVersion = azureApiVersion || DEFAULT_API_VERSION;
+    // Deployment names are chosen by the user and the underlying model is unknown
+    this.models = null;
+    this.pricing = {};
+    this.contextWindows = {};
+  }
+
+  validate(apiKey) {
+    super.validate(apiKey);
+
+    if (!this.endpoint) {
+      throw new Error(`AZURE_OPENAI_ENDPOINT is not set. It is required for provider ${this.name}`);
+    }
+    if (!/^https:\/\//.test(this.endpoint)) {
+      throw new Error(`Invalid AZURE_OPENAI_ENDPOINT: ${this.endpoint}. Must start with https://`);
+    }
+  }
+
+  headers(apiKey) {
+    return {
+      'Content-Type': 'application/json',
+      'api-key': apiKey
+    };
+  }
+
+  buildEndpointUrl(deployment) {
+    return `${this.endpoint}/openai/deployments/${encodeURIComponent(deployment)}/chat/completions` +
+        `?api-version=${encodeURIComponent(this.apiVersion)}`;
+  }
+
+  extractResponseText(data) {
+    const choice = data?.choices?.[0];
+    if (choice?.finish_reason === 'content_filter') {
+      throw new Error(
+          `Azure OpenAI content filter blocked the response${this.describeFilterResults(choice.content_filter_results)}`
+      );
+    }
+    return super.extractResponseText(data);
+  }
+
+  extractErrorMessage(data) {
+    const error = data?.error;
+    if (error?.code === 'content_filter' || error?.innererror?.code === 'ResponsibleAIPolicyViolation') {
+      return `Azure OpenAI content filter blocked the prompt` +
+          `${this.describeFilterResults(error.innererror?.content_filter_result)}. ` +
+          'Remove or rephrase the flagged content, or adjust the deployment content filter policy';
+    }
+    return super.extractErrorMessage(data);
+  }
+
+  /**
+   * Summarize the categories flagged by the content filter
+   * @param {object} results - Content filter results keyed by category
+   * @returns {string} - Summary like " (hate: high, violence: medium)" or an empty string
+   */
+  describeFilterResults(results) {
+    const flagged = Object.entries(results || {})
+    .filter(([, result]) => result?.filtered || result?.detected)
+    .map(([category, result]) => (result.severity ? `${category}: ${result.severity}` : category));
+
+    return flagged.length > 0 ? ` (${flagged.join(', ')})` : '';
+  }
+}
+
+module.exports = AzureOpenAIProvider;
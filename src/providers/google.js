@@ -0,0 +1,113 @@
+const AIProvider = require('./ai-provider');
+const { FINISH_REASONS, CONTINUE_PROMPT } = AIProvider;
+
+/**
+ * Google Gemini (Generative Language API) provider
+ */
+class GoogleProvider extends AIProvider {
+  constructor() {
+    super({
+      name: 'google',
+      displayName: 'Google AI',
+      endpoint: 'https://generativelanguage.googleapis.com/v1beta/models',
+      models: ['gemini-2.0-flash', 'gemini-2.0-flash-001', 'gemini-1.5-flash', 'gemini-1.5-pro', 'gemini-1.0-pro'],
+      pricing: {
+        'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+        'gemini-2.0-flash-001': { input: 0.1, output: 0.4 },
+        'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+        'gemini-1.5-pro': { input: 1.25, output: 5 },
+        'gemini-1.0-pro': { input: 0.5, output: 1.5 }
+      },
+      contextWindows: {
+        'gemini-2.0-flash': 1048576,
+        'gemini-2.0-flash-001': 1048576,
+        'gemini-1.5-flash': 1048576,
+        'gemini-1.5-pro': 2097152,
+        'gemini-1.0-pro': 32760
+      }
+    });
+  }
+
+  headers(apiKey) {
+    return {
+      'Content-Type': 'application/json',
+      'x-goog-api-key': apiKey
+    };
+  }
+
+  buildEndpointUrl(model) {
+    return `${this.endpoint}/${model}:generateContent`;
+  }
+
+  createRequestData(model, systemPrompt, userPrompt, { temperature, maxTokens }) {
+    return {
+      contents: [{
+        role: 'user',
+        parts: [{ text: `${systemPrompt}\n\n${userPrompt}` }]
+      }],
+      generationConfig: {
+        temperature,
+        topP: 0.8,
+        topK: 40,
+        maxOutputTokens: maxTokens
+      }
+    };
+  }
+
+  createContinuationData(model, systemPrompt, userPrompt, partialText, options) {
+    const request = this.createRequestData(model, systemPrompt, userPrompt, options);
+
+    request.contents.push(
+        { role: 'model', parts: [{ text: partialText }] },
+        { role: 'user', parts: [{ text: CONTINUE_PROMPT }] }
+    );
+    return request;
+  }
+
+  getFinishReason(data) {
+    const reason = data?.candidates?.[0]?.finishReason;
+    if (reason === 'MAX_TOKENS') {
+      return FINISH_REASONS.LENGTH;
+    }
+    return !reason || reason === 'STOP' ? FINISH_REASONS.STOP : reason;
+  }
+
+  extractResponseText(data) {
+    if (data?.promptFeedback?.blockReason) {
+      throw new Error(`Content blocked by Google AI: ${data.promptFeedback.blockReason}`);
+    }
+
+    if (!data?.candidates?.length) {
+      throw new Error('No response candidates from Google AI');
+    }
+
+    const candidate = data.candidates[0];
+    if (candidate.finishReason === 'SAFETY') {
+      throw new Error('Response blocked by Google AI safety filters');
+    }
+
+    const texts = (candidate.content?.parts || []).map(part => part.text).filter(text => typeof text === 'string');
+    if (!texts.some(Boolean)) {
+      throw new Error('Invalid response structure from Google AI');
+    }
+
+    return texts.join('');
+  }
+
+  extractUsage(data) {
+    return {
+      inputTokens: data?.usageMetadata?.promptTokenCount || 0,
+      outputTokens: data?.usageMetadata?.candidatesTokenCount || 0
+    };
+  }
+
+  extractErrorMessage(data) {
+    // Some Google endpoints wrap errors in an array
+    if (Array.isArray(data) && data[0]?.error?.message) {
+      return data[0].error.message;
+    }
+    return super.extractErrorMessage(data);
+  }
+}
+
+module.exports = GoogleProvider;
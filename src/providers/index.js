@@ -0,0 +1,43 @@
+const OpenAIProvider = require('./openai');
+const AnthropicProvider = require('./anthropic');
+const GoogleProvider = require('./google');
+const OpenAICompatibleProvider = require('./openai-compatible');
+const AzureOpenAIProvider = require('./azure-openai');
+
+/**
+ * Registry of AI provider classes keyed by the ai-provider input value
+ */
+const PROVIDERS = {
+  openai: OpenAIProvider,
+  anthropic: AnthropicProvider,
+  google: GoogleProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  'azure-openai': AzureOpenAIProvider
+};
+
+/**
+ * Register an additional provider
+ * @param {string} name - Provider name used in the ai-provider input
+ * @param {Function} ProviderClass - Class extending AIProvider
+ */
+function registerProvider(name, ProviderClass) {
+  PROVIDERS[name] = ProviderClass;
+}
+
+/**
+ * Instantiate every registered provider
+ * @param {object} options - Provider options (baseUrl, authHeader, azureEndpoint, azureApiVersion, anthropicAllowedModels) passed to every constructor
+ * @returns {object} - Provider instances keyed by name
+ */
+function createProviders(options = {}) {
+  const providers = {};
+  for (const [name, ProviderClass] of Object.entries(PROVIDERS)) {
+    providers[name] = new ProviderClass(options);
+  }
+  return providers;
+}
+
+module.exports = {
+  registerProvider,
+  createProviders
+};
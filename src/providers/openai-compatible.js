@@ -0,0 +1,52 @@
+const OpenAIProvider = require('./openai');
+
+/**
+ * Generic provider for servers exposing the OpenAI Chat Completions API (vLLM, Ollama, LiteLLM, ...)
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+  /**
+   * @param {object} options - Provider options
+   * @param {string} options.baseUrl - API base URL, e.g. http://localhost:8000/v1
+   * @param {string} options.authHeader - Header carrying the API key, defaults to a bearer Authorization header
+   */
+  constructor({ baseUrl = '', authHeader = '' } = {}) {
+    super();
+    this.name = 'openai-compatible';
+    this.displayName = 'OpenAI-compatible server';
+    this.endpoint = baseUrl.replace(/\/+$/, '');
+    this.models = null;
+    this.pricing = {};
+    this.contextWindows = {};
+    this.authHeader = authHeader;
+  }
+
+  validate(apiKey) {
+    // Local servers usually run without authentication, so the API key is optional
+    if (!this.endpoint) {
+      throw new Error(`Required input 'ai-base-url' is missing for provider ${this.name}`);
+    }
+    if (!/^https?:\/\//.test(this.endpoint)) {
+      throw new Error(`Invalid ai-base-url: ${this.endpoint}. Must start with http:// or https://`);
+    }
+  }
+
+  headers(apiKey) {
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (apiKey) {
+      if (this.authHeader) {
+        headers[this.authHeader] = apiKey;
+      } else {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+      }
+    }
+
+    return headers;
+  }
+
+  buildEndpointUrl(model) {
+    return this.endpoint.endsWith('/chat/completions') ? this.endpoint : `${this.endpoint}/chat/completions`;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,80 @@
+const AIProvider = require('./ai-provider');
+const { FINISH_REASONS, CONTINUE_PROMPT } = AIProvider;
+
+/**
+ * OpenAI Chat Completions provider
+ */
+class OpenAIProvider extends AIProvider {
+  constructor() {
+    super({
+      name: 'openai',
+      displayName: 'OpenAI',
+      endpoint: 'https://api.openai.com/v1/chat/completions',
+      models: ['gpt-4', 'gpt-4-turbo', 'gpt-3.5-turbo'],
+      // USD per million input/output tokens
+      pricing: {
+        'gpt-4': { input: 30, output: 60 },
+        'gpt-4-turbo': { input: 10, output: 30 },
+        'gpt-3.5-turbo': { input: 0.5, output: 1.5 }
+      },
+      contextWindows: {
+        'gpt-4': 8192,
+        'gpt-4-turbo': 128000,
+        'gpt-3.5-turbo': 16385
+      }
+    });
+  }
+
+  headers(apiKey) {
+    return {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${apiKey}`
+    };
+  }
+
+  createRequestData(model, systemPrompt, userPrompt, { temperature, maxTokens }) {
+    return {
+      model,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userPrompt }
+      ],
+      temperature,
+      max_tokens: maxTokens
+    };
+  }
+
+  createContinuationData(model, systemPrompt, userPrompt, partialText, options) {
+    const request = this.createRequestData(model, systemPrompt, userPrompt, options);
+
+    request.messages.push(
+        { role: 'assistant', content: partialText },
+        { role: 'user', content: CONTINUE_PROMPT }
+    );
+    return request;
+  }
+
+  getFinishReason(data) {
+    const reason = data?.choices?.[0]?.finish_reason;
+    if (reason === 'length') {
+      return FINISH_REASONS.LENGTH;
+    }
+    return !reason || reason === 'stop' ? FINISH_REASONS.STOP : reason;
+  }
+
+  extractResponseText(data) {
+    if (!data?.choices?.[0]?.message?.content) {
+      throw new Error(`Invalid response structure from ${this.displayName}`);
+    }
+    return data.choices[0].message.content;
+  }
+
+  extractUsage(data) {
+    return {
+      inputTokens: data?.usage?.prompt_tokens || 0,
+      outputTokens: data?.usage?.completion_tokens || 0
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,129 @@
+const Logger = require('./logger');
+
+// Wait used for GitHub secondary rate limits that come without a retry-after header
+const DEFAULT_RATE_LIMIT_DELAY_MS = 60000;
+
+// Longest wait honored before giving up, so a single response cannot stall the whole job
+const MAX_RATE_LIMIT_DELAY_MS = 5 * 60000;
+
+/**
+ * Concurrency limiter shared by the file processing pool and the API clients.
+ * Clients report rate limits through pause(), which holds back every new request and task.
+ */
+class RateLimiter {
+  constructor(concurrency = 1) {
+    this.logger = new Logger('RateLimiter');
+    this.concurrency = concurrency;
+    this.active = 0;
+    this.waiting = [];
+    this.pausedUntil = 0;
+  }
+
+  /**
+   * Change the maximum number of concurrent tasks
+   * @param {number} concurrency - Maximum concurrent tasks
+   */
+  setConcurrency(concurrency) {
+    this.concurrency = Math.max(1, concurrency);
+    this.drain();
+  }
+
+  /**
+   * Pause all new requests and tasks
+   * @param {number} delayMs - Pause duration in milliseconds
+   * @param {string} reason - Reason for logging
+   */
+  pause(delayMs, reason = 'rate limited') {
+    const until = Date.now() + delayMs;
+    if (until > this.pausedUntil) {
+      this.pausedUntil = until;
+      this.logger.warn(`Pausing requests for ${Math.ceil(delayMs / 1000)}s (${reason})`);
+    }
+  }
+
+  /**
+   * Wait until any active pause has elapsed
+   * @returns {Promise<void>}
+   */
+  async waitForPause() {
+    while (Date.now() < this.pausedUntil) {
+      await new Promise(resolve => setTimeout(resolve, this.pausedUntil - Date.now()));
+    }
+  }
+
+  /**
+   * Run a task once a slot is free
+   * @param {Function} task - Async task
+   * @returns {Promise<any>} - Task result
+   */
+  async run(task) {
+    if (this.active < this.concurrency) {
+      this.active++;
+    } else {
+      // drain() reserves the slot before resuming the waiter
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    try {
+      await this.waitForPause();
+      return await task();
+    } finally {
+      this.active--;
+      this.drain();
+    }
+  }
+
+  /**
+   * Start waiting tasks while slots are free
+   */
+  drain() {
+    while (this.waiting.length > 0 && this.active < this.concurrency) {
+      this.active++;
+      this.waiting.shift()();
+    }
+  }
+
+  /**
+   * Map items through an async function with bounded concurrency
+   * @param {Array} items - Items to process
+   * @param {Function} fn - Async function called with (item, index)
+   * @returns {Promise<Array>} - Results in input order
+   */
+  async map(items, fn) {
+    return Promise.all(items.map((item, index) => this.run(() => fn(item, index))));
+  }
+}
+
+/**
+ * Get the delay requested by rate limit response headers
+ * @param {object} headers - Response headers
+ * @returns {number|null} - Delay in milliseconds or null if the headers do not specify one
+ */
+function parseRetryAfter(headers = {}) {
+  const retryAfter = headers['retry-after'];
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+
+  if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+    return Math.max(0, Number(headers['x-ratelimit-reset']) * 1000 - Date.now());
+  }
+
+  return null;
+}
+
+module.exports = {
+  RateLimiter,
+  rateLimiter: new RateLimiter(),
+  parseRetryAfter,
+  DEFAULT_RATE_LIMIT_DELAY_MS,
+  MAX_RATE_LIMIT_DELAY_MS
+};
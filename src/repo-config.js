@@ -0,0 +1,210 @@
+const yaml = require('js-yaml');
+const { SCOPE_SYNTAX, isValidScope } = require('./scope-parser');
+const { PLACEHOLDERS, validateDocPathTemplate } = require('./doc-path');
+
+const REPO_CONFIG_FILE = '.doxai.yml';
+
+// Upper bound for parallel file processing, keeps provider and GitHub rate limits reachable
+const MAX_CONCURRENCY = 10;
+
+/**
+ * Schema for the repository-level configuration file.
+ * Every node declares its type; objects list their allowed properties and required keys.
+ */
+const REPO_CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    output: {
+      type: 'object',
+      properties: {
+        directory: {
+          type: 'string',
+          validate: (value) => value.trim() !== '' && !value.startsWith('/') && !value.split('/').includes('..'),
+          description: 'must be a relative path inside the repository'
+        },
+        path: {
+          type: 'string',
+          validate: (value) => validateDocPathTemplate(value) === null,
+          description: `must be a relative path containing {name}, ending with .{format} and using only ${PLACEHOLDERS.map(name => `{${name}}`).join(', ')}`
+        },
+        mappings: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['source', 'directory'],
+            properties: {
+              source: {
+                type: 'string',
+                validate: (value) => value.trim() !== '',
+                description: 'must not be empty'
+              },
+              directory: {
+                type: 'string',
+                validate: (value) => value.trim() !== '' && !value.startsWith('/') && !value.split('/').includes('..'),
+                description: 'must be a relative path inside the repository'
+              }
+            }
+          }
+        }
+      }
+    },
+    defaults: {
+      type: 'object',
+      properties: {
+        language: {
+          type: 'string',
+          enum: ['ko', 'en']
+        },
+        format: {
+          type: 'string',
+          enum: ['adoc', 'md']
+        },
+        scope: {
+          type: 'string',
+          validate: isValidScope,
+          description: `must be ${SCOPE_SYNTAX}`
+        }
+      }
+    },
+    ai: {
+      type: 'object',
+      properties: {
+        provider: { type: 'string' },
+        model: {
+          type: 'string',
+          validate: (value) => value.trim() !== '',
+          description: 'must not be empty'
+        }
+      }
+    },
+    processing: {
+      type: 'object',
+      properties: {
+        concurrency: {
+          type: 'number',
+          validate: (value) => Number.isInteger(value) && value >= 1 && value <= MAX_CONCURRENCY,
+          description: `must be an integer between 1 and ${MAX_CONCURRENCY}`
+        }
+      }
+    },
+    files: {
+      type: 'object',
+      properties: {
+        extensions: {
+          type: 'array',
+          items: { type: 'string' }
+        },
+        exclude: {
+          type: 'array',
+          items: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Get a readable type name for a value
+ * @param {any} value - Value to describe
+ * @returns {string} - Type name
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema node
+ * @param {any} value - Value to validate
+ * @param {object} schema - Schema node
+ * @param {string} keyPath - Key path of the value (e.g. files.extensions[0])
+ * @returns {Array} - Validation errors
+ */
+function validateNode(value, schema, keyPath) {
+  const actualType = typeOf(value);
+
+  if (actualType !== schema.type) {
+    return [`${keyPath || '(root)'}: expected ${schema.type}, got ${actualType}`];
+  }
+
+  const errors = [];
+
+  if (schema.type === 'object') {
+    for (const [key, childValue] of Object.entries(value)) {
+      const childPath = keyPath ? `${keyPath}.${key}` : key;
+      const childSchema = schema.properties[key];
+
+      if (!childSchema) {
+        errors.push(`${childPath}: unknown key`);
+        continue;
+      }
+
+      errors.push(...validateNode(childValue, childSchema, childPath));
+    }
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${keyPath ? `${keyPath}.${key}` : key}: required key is missing`);
+      }
+    }
+    return errors;
+  }
+
+  if (schema.type === 'array') {
+    value.forEach((item, index) => {
+      errors.push(...validateNode(item, schema.items, `${keyPath}[${index}]`));
+    });
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${keyPath}: must be one of ${schema.enum.join(', ')} (got ${value})`);
+  } else if (schema.validate && !schema.validate(value)) {
+    errors.push(`${keyPath}: ${schema.description} (got ${value})`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a parsed repository configuration
+ * @param {any} repoConfig - Parsed configuration
+ * @returns {Array} - Validation errors with key paths
+ */
+function validateRepositoryConfig(repoConfig) {
+  return validateNode(repoConfig, REPO_CONFIG_SCHEMA, '');
+}
+
+/**
+ * Parse and validate the content of a repository configuration file
+ * @param {string} content - Raw YAML content
+ * @returns {object} - Validated configuration (empty object for an empty file)
+ */
+function parseRepositoryConfig(content) {
+  let repoConfig;
+
+  try {
+    repoConfig = yaml.load(content);
+  } catch (error) {
+    throw new Error(`Invalid ${REPO_CONFIG_FILE}: ${error.reason || error.message}`);
+  }
+
+  if (repoConfig === undefined || repoConfig === null) {
+    return {};
+  }
+
+  const errors = validateRepositoryConfig(repoConfig);
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${REPO_CONFIG_FILE}:\n${errors.map(e => `- ${e}`).join('\n')}`);
+  }
+
+  return repoConfig;
+}
+
+module.exports = {
+  REPO_CONFIG_FILE,
+  MAX_CONCURRENCY,
+  REPO_CONFIG_SCHEMA,
+  parseRepositoryConfig,
+  validateRepositoryConfig
+};
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Bumped whenever fields of the report are renamed or removed
+const REPORT_VERSION = 1;
+
+// Default file name of the report, relative to the workspace
+const REPORT_FILE = 'doxai-report.json';
+
+// File statuses in the order they are counted in the report totals
+const FILE_STATUSES = ['generated', 'updated', 'deleted', 'skipped', 'failed'];
+
+// Scope of the file being processed, visible to everything awaited while processing it
+const fileScope = new AsyncLocalStorage();
+
+// Run currently being reported, read by the logger for its JSON fields
+let activeReport = null;
+
+/**
+ * Create an identifier for this run, unique across workflow re-runs
+ * @param {object} env - Environment variables
+ * @returns {string} - Run id
+ */
+function createRunId(env = process.env) {
+  if (env.GITHUB_RUN_ID) {
+    return `${env.GITHUB_RUN_ID}-${env.GITHUB_RUN_ATTEMPT || '1'}`;
+  }
+  return `local-${Date.now().toString(36)}`;
+}
+
+/**
+ * Get the run id, phase and file of the current log line
+ * @returns {object} - Fields that are known at this point, undefined otherwise
+ */
+function getLogFields() {
+  const scope = fileScope.getStore();
+
+  return {
+    runId: activeReport ? activeReport.runId : undefined,
+    phase: scope ? scope.phase : activeReport ? activeReport.phase : undefined,
+    file: scope ? scope.file : undefined
+  };
+}
+
+/**
+ * Set the phase of the file being processed (or of the run outside a file)
+ * @param {string} phase - Phase name
+ */
+function setPhase(phase) {
+  const scope = fileScope.getStore();
+
+  if (scope) {
+    scope.phase = phase;
+  } else if (activeReport) {
+    activeReport.phase = phase;
+  }
+}
+
+/**
+ * Attribute token usage of an AI request to the file being processed
+ * @param {{inputTokens: number, outputTokens: number}} usage - Token usage of the request
+ */
+function addFileUsage(usage) {
+  const scope = fileScope.getStore();
+
+  if (scope) {
+    scope.inputTokens += usage.inputTokens;
+    scope.outputTokens += usage.outputTokens;
+    scope.requests++;
+  }
+}
+
+/**
+ * Collects per-file status, timing and token usage of a run into a machine-readable report
+ */
+class RunReport {
+  /**
+   * @param {string} runId - Run id (see createRunId)
+   */
+  constructor(runId = createRunId()) {
+    this.runId = runId;
+    this.phase = 'setup';
+    this.startedAt = new Date();
+    this.files = new Map();
+    activeReport = this;
+  }
+
+  /**
+   * Process a file within its own scope, recording duration and token usage
+   * @param {string} filename - Source file
+   * @param {Function} fn - Async function processing the file
+   * @returns {Promise<*>} - Result of fn
+   */
+  async trackFile(filename, fn) {
+    const entry = this.getFile(filename);
+    const scope = { file: filename, phase: 'process', inputTokens: 0, outputTokens: 0, requests: 0 };
+    const start = Date.now();
+
+    try {
+      return await fileScope.run(scope, fn);
+    } finally {
+      entry.durationMs += Date.now() - start;
+      entry.inputTokens += scope.inputTokens;
+      entry.outputTokens += scope.outputTokens;
+      entry.requests += scope.requests;
+    }
+  }
+
+  /**
+   * Get the report entry of a file, creating it on first use
+   * @param {string} filename - Source file
+   * @returns {object} - File entry
+   */
+  getFile(filename) {
+    if (!this.files.has(filename)) {
+      this.files.set(filename, {
+        file: filename,
+        status: null,
+        docs: [],
+        durationMs: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        requests: 0
+      });
+    }
+    return this.files.get(filename);
+  }
+
+  /**
+   * Record the outcome of a file
+   * @param {string} filename - Source file
+   * @param {string} status - One of FILE_STATUSES
+   * @param {object} details - Affected doc paths and skip reason or error ({docs, reason, error})
+   */
+  setStatus(filename, status, { docs = [], reason, error } = {}) {
+    const entry = this.getFile(filename);
+
+    entry.status = status;
+    entry.docs = docs;
+    if (reason) {
+      entry.reason = reason;
+    }
+    if (error) {
+      entry.error = error;
+    }
+  }
+
+  /**
+   * Build the report
+   * @param {object} summary - Run-level fields (command, provider, model, usage, estimatedCost, error, ...)
+   * @returns {object} - Report ready to be serialized
+   */
+  toJSON(summary = {}) {
+    const files = [...this.files.values()].filter(entry => entry.status);
+    const totals = Object.fromEntries(FILE_STATUSES.map(status => [
+      status, files.filter(entry => entry.status === status).length
+    ]));
+    const finishedAt = new Date();
+
+    return {
+      version: REPORT_VERSION,
+      runId: this.runId,
+      status: summary.error ? 'failed' : 'success',
+      startedAt: this.startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - this.startedAt,
+      ...summary,
+      totals,
+      files
+    };
+  }
+
+  /**
+   * Write the report as JSON
+   * @param {string} filePath - Report file, relative paths resolve against the workspace
+   * @param {object} summary - Run-level fields (see toJSON)
+   * @returns {{path: string, report: object}} - Absolute path written and the report
+   */
+  write(filePath, summary = {}) {
+    const reportPath = path.resolve(process.env.GITHUB_WORKSPACE || process.cwd(), filePath);
+    const report = this.toJSON(summary);
+
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    fs.writeFileSync(reportPath, `${JSON.stringify(report, null, 2)}\n`);
+
+    return { path: reportPath, report };
+  }
+}
+
+module.exports = {
+  REPORT_FILE,
+  FILE_STATUSES,
+  RunReport,
+  createRunId,
+  getLogFields,
+  setPhase,
+  addFileUsage
+};
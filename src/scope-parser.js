@@ -0,0 +1,69 @@
+/**
+ * Parser for scope expressions selecting the files to document:
+ *
+ *   scope   = "all" | clause { " " clause }
+ *   clause  = ( "include" | "exclude" ) ":" pattern { "," pattern }
+ *
+ * Patterns are gitignore-style globs (see glob-matcher). A file is in scope when it matches
+ * the include patterns (or there are none) and does not match the exclude patterns.
+ */
+
+const { splitPatterns } = require('./glob-matcher');
+
+const CLAUSE_PATTERN = /^(include|exclude):(.*)$/;
+
+// Shown in validation errors and the command help
+const SCOPE_SYNTAX = 'all, or include:<patterns> and/or exclude:<patterns> separated by a space (e.g. include:src/**,lib/** exclude:**/*.test.*)';
+
+/**
+ * Parse a scope expression
+ * @param {string} scope - Scope expression (e.g. "include:src/** exclude:**\/*.test.*")
+ * @returns {{include: Array, exclude: Array}} - Include and exclude patterns in order, both empty for "all"
+ * @throws {Error} - When a clause is not include:/exclude: or has no patterns
+ */
+function parseScope(scope) {
+  const clauses = (scope || '').trim().split(/\s+/).filter(Boolean);
+  const parsed = { include: [], exclude: [] };
+
+  if (clauses.length === 1 && clauses[0] === 'all') {
+    return parsed;
+  }
+  if (clauses.length === 0) {
+    throw new Error(`Empty scope. Expected ${SCOPE_SYNTAX}`);
+  }
+
+  for (const clause of clauses) {
+    const match = clause.match(CLAUSE_PATTERN);
+    if (!match) {
+      throw new Error(`Invalid scope clause '${clause}'. Expected ${SCOPE_SYNTAX}`);
+    }
+
+    const patterns = splitPatterns(match[2]);
+    if (patterns.length === 0) {
+      throw new Error(`Scope clause '${clause}' has no patterns`);
+    }
+    parsed[match[1]].push(...patterns);
+  }
+
+  return parsed;
+}
+
+/**
+ * Check whether a scope expression can be parsed
+ * @param {string} scope - Scope expression
+ * @returns {boolean} - Whether the scope is valid
+ */
+function isValidScope(scope) {
+  try {
+    parseScope(scope);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  SCOPE_SYNTAX,
+  parseScope,
+  isValidScope
+};
@@ -0,0 +1,227 @@
+// Mock the GitHub Actions toolkit before the runner loads Config and the generator
+jest.mock('@actions/core', () => ({
+  getInput: jest.fn((name) => ({ 'github-token': 'test-github-token', 'ai-api-key': 'test-api-key' }[name] || '')),
+  setOutput: jest.fn(),
+  warning: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('@actions/github', () => ({
+  context: { payload: {} },
+  getOctokit: jest.fn()
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { LocalDocumentationRunner, parseCliArgs, parseNameStatus, gitBlobSha } = require('../../src/cli');
+const { DocumentationGenerator } = require('../../src/main');
+const { TEMPLATE_VERSION, writeDocMetadata } = require('../../src/doc-metadata');
+
+describe('CLI', () => {
+  describe('parseCliArgs', () => {
+    it('should parse paths and options', () => {
+      const { options, paths } = parseCliArgs(['src', 'lib/a.js', '--lang', 'ko', '--dry-run']);
+
+      expect(paths).toEqual(['src', 'lib/a.js']);
+      expect(options.lang).toBe('ko');
+      expect(options['dry-run']).toBe(true);
+      expect(options.project).toBe('doxai');
+    });
+
+    it('should parse a git range', () => {
+      expect(parseCliArgs(['--range', 'main..HEAD']).options.range).toBe('main..HEAD');
+    });
+
+    it('should require either paths or a range', () => {
+      expect(() => parseCliArgs([])).toThrow('No paths given');
+      expect(() => parseCliArgs(['src', '--range', 'main..HEAD'])).toThrow('Use either paths or --range');
+      expect(parseCliArgs(['--help']).options.help).toBe(true);
+    });
+
+    it('should reject a range with a single revision', () => {
+      expect(() => parseCliArgs(['--range', 'main'])).toThrow('Invalid range: main. Use <base>..<head>, e.g. main..HEAD');
+      expect(parseCliArgs(['--range', 'main...feature']).options.range).toBe('main...feature');
+    });
+
+    it('should reject unknown options', () => {
+      expect(() => parseCliArgs(['src', '--unknown'])).toThrow();
+    });
+  });
+
+  describe('parseNameStatus', () => {
+    it('should map git statuses to GitHub file statuses', () => {
+      const output = 'M\tsrc/a.js\nA\tsrc/b.js\nD\tsrc/c.js\nR087\tsrc/old.js\tsrc/new.js\n';
+
+      expect(parseNameStatus(output)).toEqual([
+        { filename: 'src/a.js', status: 'modified' },
+        { filename: 'src/b.js', status: 'added' },
+        { filename: 'src/c.js', status: 'removed' },
+        { filename: 'src/new.js', status: 'renamed', previous_filename: 'src/old.js' }
+      ]);
+    });
+
+    it('should return an empty list for empty output', () => {
+      expect(parseNameStatus('')).toEqual([]);
+    });
+  });
+
+  describe('gitBlobSha', () => {
+    it('should match git hash-object', () => {
+      expect(gitBlobSha('hello\n')).toBe('ce013625030ba8dba906f756967f9e9ca394464a');
+      expect(gitBlobSha('')).toBe('e69de29bb2d1d6434b8b29ae775ad8c2e48c5391');
+    });
+  });
+
+  describe('LocalDocumentationRunner', () => {
+    let cwd;
+    let consoleSpy;
+
+    const source = 'const a = 1;\n';
+
+    const writeFile = (filename, content) => {
+      fs.mkdirSync(path.dirname(path.join(cwd, filename)), { recursive: true });
+      fs.writeFileSync(path.join(cwd, filename), content);
+    };
+    const readFile = (filename) => fs.readFileSync(path.join(cwd, filename), 'utf8');
+    const exists = (filename) => fs.existsSync(path.join(cwd, filename));
+    const git = (...args) => execFileSync('git', args, { cwd, stdio: 'ignore' });
+
+    // Doc whose metadata matches the given source content
+    const docFor = (title, content) =>
+      writeDocMetadata(`# ${title}\n\nDescribes \`${title}\`.`, 'md', { sourceSha: gitBlobSha(content), templateVersion: TEMPLATE_VERSION });
+
+    const createRunner = (options = {}) => {
+      const runner = new LocalDocumentationRunner({ project: 'doxai', ...options }, cwd);
+      runner.generator = new DocumentationGenerator();
+      runner.generator.generateDocumentation = jest.fn(async () => '# a.js\n\nGenerated');
+      runner.localDetails = { number: 'local', title: 'Local run', author: 'local' };
+      return runner;
+    };
+
+    beforeEach(() => {
+      cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'doxai-cli-'));
+      consoleSpy = ['log', 'warn', 'error'].map(method => jest.spyOn(console, method).mockImplementation());
+    });
+
+    afterEach(() => {
+      consoleSpy.forEach(spy => spy.mockRestore());
+      fs.rmSync(cwd, { recursive: true, force: true });
+    });
+
+    describe('collectPathFiles', () => {
+      it('should only collect files tracked by git', () => {
+        git('init', '-q');
+        writeFile('.gitignore', 'build/\n');
+        writeFile('src/a.js', source);
+        writeFile('src/lib/b.js', source);
+        writeFile('src/notes.js', source);
+        writeFile('build/out.js', source);
+        git('add', '.gitignore', 'src/a.js', 'src/lib/b.js');
+
+        const runner = createRunner();
+
+        expect(runner.collectPathFiles(['.']).map(file => file.filename)).toEqual(['.gitignore', 'src/a.js', 'src/lib/b.js']);
+        expect(runner.collectPathFiles(['src/lib', 'src/a.js', 'build'])).toEqual([
+          { filename: 'src/a.js', status: 'modified' },
+          { filename: 'src/lib/b.js', status: 'modified' }
+        ]);
+      });
+
+      it('should reject paths outside the working directory or missing paths', () => {
+        const runner = createRunner();
+
+        expect(() => runner.collectPathFiles(['../elsewhere'])).toThrow('Path is outside the working directory: ../elsewhere');
+        expect(() => runner.collectPathFiles(['missing.js'])).toThrow('Path not found: missing.js');
+      });
+    });
+
+    describe('processFile', () => {
+      it('should skip a file whose doc matches the source', async () => {
+        writeFile('src/a.js', source);
+        writeFile('docs/doxai/src/a.md', docFor('a.js', source));
+        const runner = createRunner();
+
+        const outcome = await runner.processFile({ filename: 'src/a.js', status: 'modified' }, 'md');
+
+        expect(outcome).toEqual({ source: 'src/a.js', doc: 'docs/doxai/src/a.md', result: 'skipped', reason: 'Source unchanged' });
+        expect(runner.generator.generateDocumentation).not.toHaveBeenCalled();
+      });
+
+      it('should regenerate a stale doc and record the source SHA', async () => {
+        writeFile('src/a.js', source);
+        writeFile('docs/doxai/src/a.md', docFor('a.js', 'const a = 0;\n'));
+        const runner = createRunner();
+
+        const outcome = await runner.processFile({ filename: 'src/a.js', status: 'modified' }, 'md');
+
+        expect(outcome.result).toBe('updated');
+        expect(runner.generator.generateDocumentation.mock.calls[0].slice(0, 2)).toEqual(['src/a.js', source]);
+        expect(readFile('docs/doxai/src/a.md')).toBe(docFor('a.js', source).replace('Describes `a.js`.', 'Generated'));
+      });
+
+      it('should delete the docs of a removed file', async () => {
+        writeFile('docs/doxai/src/a.md', docFor('a.js', source));
+        writeFile('docs/doxai/src/a.adoc', '= a.js');
+        const runner = createRunner();
+
+        const outcome = await runner.processFile({ filename: 'src/a.js', status: 'removed' }, 'md');
+
+        expect(outcome).toEqual({ source: 'src/a.js', doc: 'docs/doxai/src/a.adoc, docs/doxai/src/a.md', result: 'deleted' });
+        expect(exists('docs/doxai/src/a.md')).toBe(false);
+        expect(exists('docs/doxai/src/a.adoc')).toBe(false);
+      });
+
+      it('should move the doc of a renamed file without calling the AI', async () => {
+        writeFile('lib/b.js', source);
+        writeFile('docs/doxai/src/a.md', docFor('a.js', source));
+        const runner = createRunner();
+
+        const outcome = await runner.processFile({ filename: 'lib/b.js', status: 'renamed', previous_filename: 'src/a.js' }, 'md');
+
+        expect(outcome).toEqual({ source: 'lib/b.js', doc: 'docs/doxai/lib/b.md', result: 'updated', reason: 'Moved from docs/doxai/src/a.md' });
+        expect(runner.generator.generateDocumentation).not.toHaveBeenCalled();
+        expect(exists('docs/doxai/src/a.md')).toBe(false);
+        expect(readFile('docs/doxai/lib/b.md')).toBe(docFor('b.js', source));
+      });
+
+      it('should regenerate the doc of a renamed file whose content changed', async () => {
+        writeFile('lib/b.js', source);
+        writeFile('docs/doxai/src/a.md', docFor('a.js', 'const a = 0;\n'));
+        const runner = createRunner();
+
+        const outcome = await runner.processFile({ filename: 'lib/b.js', status: 'renamed', previous_filename: 'src/a.js' }, 'md');
+
+        expect(outcome).toEqual({ source: 'lib/b.js', doc: 'docs/doxai/lib/b.md', result: 'updated', reason: 'Moved from docs/doxai/src/a.md' });
+        expect(runner.generator.generateDocumentation.mock.calls[0][2]).toContain('# b.js');
+        expect(exists('docs/doxai/src/a.md')).toBe(false);
+        expect(exists('docs/doxai/lib/b.md')).toBe(true);
+      });
+
+      it('should only report planned changes on a dry run', async () => {
+        writeFile('src/a.js', source);
+        writeFile('lib/b.js', source);
+        writeFile('docs/doxai/src/old.md', docFor('old.js', 'const a = 0;\n'));
+        writeFile('docs/doxai/src/gone.md', docFor('gone.js', source));
+        const runner = createRunner({ 'dry-run': true });
+
+        const outcomes = [
+          await runner.processFile({ filename: 'src/a.js', status: 'added' }, 'md'),
+          await runner.processFile({ filename: 'lib/b.js', status: 'renamed', previous_filename: 'src/old.js' }, 'md'),
+          await runner.processFile({ filename: 'src/gone.js', status: 'removed' }, 'md')
+        ];
+
+        expect(outcomes.map(({ result, reason }) => [result, reason])).toEqual([
+          ['generated', 'dry run'],
+          ['updated', 'dry run, Moved from docs/doxai/src/old.md'],
+          ['deleted', undefined]
+        ]);
+        expect(runner.generator.generateDocumentation).not.toHaveBeenCalled();
+        expect(fs.readdirSync(path.join(cwd, 'docs/doxai/src')).sort()).toEqual(['gone.md', 'old.md']);
+        expect(exists('docs/doxai/src/a.md')).toBe(false);
+      });
+    });
+  });
+});
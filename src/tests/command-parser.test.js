@@ -13,10 +13,13 @@ describe('CommandParser', () => {
 
       expect(result).toEqual({
         command: 'doxai',
+        subcommand: null,
         valid: true,
         options: {
           scope: 'all',
-          lang: 'en'
+          lang: 'en',
+          format: 'adoc',
+          'dry-run': false
         },
         rawCommand: '!doxai'
       });
@@ -27,10 +30,13 @@ describe('CommandParser', () => {
 
       expect(result).toEqual({
         command: 'doxai',
+        subcommand: null,
         valid: true,
         options: {
           scope: 'include:src/',
-          lang: 'en'
+          lang: 'en',
+          format: 'adoc',
+          'dry-run': false
         },
         rawCommand: '!doxai --scope include:src/'
       });
@@ -41,10 +47,13 @@ describe('CommandParser', () => {
 
       expect(result).toEqual({
         command: 'doxai',
+        subcommand: null,
         valid: true,
         options: {
           scope: 'all',
-          lang: 'ko'
+          lang: 'ko',
+          format: 'adoc',
+          'dry-run': false
         },
         rawCommand: '!doxai --lang ko'
       });
@@ -55,10 +64,13 @@ describe('CommandParser', () => {
 
       expect(result).toEqual({
         command: 'doxai',
+        subcommand: null,
         valid: true,
         options: {
           scope: 'exclude:test',
-          lang: 'ko'
+          lang: 'ko',
+          format: 'adoc',
+          'dry-run': false
         },
         rawCommand: '!doxai --scope exclude:test --lang ko'
       });
@@ -84,7 +96,19 @@ describe('CommandParser', () => {
             expect.stringContaining('Invalid value for --scope')
           ])
       );
-      expect(invalidResult.options.scope).toBe('invalid');
+      expect(invalidResult.options.scope).toBe('invalid-pattern');
+    });
+
+    it('should parse combined include and exclude clauses and hyphenated paths', () => {
+      const result = parser.parse('!doxai --scope include:src/my-module/**,lib/** exclude:**/*.test.* --lang ko trailing words');
+
+      expect(result.valid).toBe(true);
+      expect(result.options).toEqual({
+        scope: 'include:src/my-module/**,lib/** exclude:**/*.test.*',
+        lang: 'ko',
+        format: 'adoc',
+        'dry-run': false
+      });
     });
 
     it('should validate language options', () => {
@@ -92,17 +116,75 @@ describe('CommandParser', () => {
 
       expect(invalidResult).toEqual({
         command: 'doxai',
+        subcommand: null,
         valid: false,
         errors: expect.arrayContaining([
           expect.stringContaining('Invalid value for --lang')
         ]),
         options: {
           scope: 'all',
-          lang: 'fr'
+          lang: 'fr',
+          format: 'adoc',
+          'dry-run': false
         }
       });
     });
 
+    it('should use provided defaults for options not given explicitly', () => {
+      const result = parser.parse('!doxai --lang en', { scope: 'include:src', lang: 'ko' });
+
+      expect(result.valid).toBe(true);
+      expect(result.options).toEqual({
+        scope: 'include:src',
+        lang: 'en',
+        format: 'adoc',
+        'dry-run': false
+      });
+    });
+
+    it('should parse and validate format option', () => {
+      expect(parser.parse('!doxai --format md').options.format).toBe('md');
+
+      const invalidResult = parser.parse('!doxai --format html');
+      expect(invalidResult.valid).toBe(false);
+      expect(invalidResult.errors).toEqual([
+        'Invalid value for --format: html. Documentation format: adoc, md'
+      ]);
+    });
+
+    it('should parse dry-run as a bare flag or with a value', () => {
+      expect(parser.parse('!doxai').options['dry-run']).toBe(false);
+      expect(parser.parse('!doxai --dry-run').options['dry-run']).toBe(true);
+      expect(parser.parse('!doxai --dry-run --lang ko').options).toEqual({
+        scope: 'all',
+        lang: 'ko',
+        format: 'adoc',
+        'dry-run': true
+      });
+      expect(parser.parse('!doxai --dry-run false').options['dry-run']).toBe(false);
+    });
+
+    it('should parse the preview subcommand before options', () => {
+      const result = parser.parse('!doxai preview --lang ko');
+
+      expect(result.valid).toBe(true);
+      expect(result.subcommand).toBe('preview');
+      expect(result.options.lang).toBe('ko');
+      expect(result.rawCommand).toBe('!doxai preview --lang ko');
+
+      expect(parser.parse('!doxai preview').subcommand).toBe('preview');
+      expect(parser.parse('!doxai previewing').subcommand).toBeNull();
+      expect(parser.parse('!doxai --lang ko preview').subcommand).toBeNull();
+    });
+
+    it('should reject --dry-run on preview, which always generates docs', () => {
+      const result = parser.parse('!doxai preview --dry-run');
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual(['Option --dry-run cannot be used with preview']);
+      expect(parser.parse('!doxai --dry-run').valid).toBe(true);
+    });
+
     it('should handle command in multiline comment', () => {
       const comment = `Some initial text
 !doxai --scope include:utils
@@ -132,7 +214,12 @@ More text after`;
       expect(help).toContain('Generate documentation');
       expect(help).toContain('--scope');
       expect(help).toContain('--lang');
+      expect(help).toContain('--format');
       expect(help).toContain('Examples:');
+      expect(help).toContain('preview');
+      expect(help).toContain('Scope syntax:');
+      expect(help).toContain('exclude:**/*.test.*');
+      expect(help).toContain('`!doxai --scope exclude:**/*.test.*,test/ --lang ko` - Exclude *.test.* files and test/ directories');
     });
 
     it('should return error message for unknown command', () => {
@@ -148,7 +235,8 @@ More text after`;
       expect(result).toEqual({
         project: 'doxai',
         scope: 'include:src',
-        lang: 'ko'
+        lang: 'ko',
+        format: 'adoc'
       });
     });
 
@@ -86,7 +86,7 @@ describe('Config', () => {
       const Config = require('../../src/config');
 
       expect(Config.aiProviderConfig.openai.models).toContain('gpt-4');
-      expect(Config.aiProviderConfig.anthropic.models).toContain('claude-3-opus');
+      expect(Config.aiProviderConfig.anthropic.models).toBeNull();
       expect(Config.aiProviderConfig.google.models).toContain('gemini-1.5-flash');
     });
   });
@@ -112,6 +112,115 @@ describe('Config', () => {
       expect(Config.isValidModel('gemini-1.5-flash')).toBe(true);
       expect(Config.isValidModel('invalid-model')).toBe(false);
     });
+
+    it('should estimate cost from token usage', () => {
+      const Config = require('../../src/config');
+
+      expect(Config.estimateCost({ inputTokens: 1000000, outputTokens: 500000 }, 'gemini-1.5-flash')).toBeCloseTo(0.225);
+      expect(Config.estimateCost({ inputTokens: 1000, outputTokens: 1000 }, 'unknown-model')).toBeNull();
+    });
+
+    it('should enable automatic documentation on merge only when requested', () => {
+      const Config = require('../../src/config');
+      expect(Config.runOnMerge).toBe(false);
+
+      core.getInput.mockImplementation((name) => {
+        const values = {
+          'github-token': 'test-github-token',
+          'ai-api-key': 'test-api-key',
+          'run-on-merge': 'true'
+        };
+        return values[name] || '';
+      });
+
+      expect(new Config.constructor().runOnMerge).toBe(true);
+    });
+
+    it('should default to no token budget and reject invalid budgets', () => {
+      const Config = require('../../src/config');
+      expect(Config.maxTokensPerRun).toBe(0);
+
+      core.getInput.mockImplementation((name) => {
+        const values = {
+          'github-token': 'test-github-token',
+          'ai-api-key': 'test-api-key',
+          'max-tokens-per-run': '-5'
+        };
+        return values[name] || '';
+      });
+
+      expect(() => new Config.constructor()).toThrow('Invalid max-tokens-per-run: -5');
+    });
+
+    it('should default to three continuations and reject invalid limits', () => {
+      const Config = require('../../src/config');
+      expect(Config.maxContinuations).toBe(3);
+
+      core.getInput.mockImplementation((name) => {
+        const values = {
+          'github-token': 'test-github-token',
+          'ai-api-key': 'test-api-key',
+          'max-continuations': '1.5'
+        };
+        return values[name] || '';
+      });
+
+      expect(() => new Config.constructor()).toThrow('Invalid max-continuations: 1.5');
+    });
+
+    it('should default sweep settings and reject invalid chunk sizes', () => {
+      const Config = require('../../src/config');
+      expect(Config.sweepChunkSize).toBe(25);
+      expect(Config.sweepTimeLimit).toBe(300);
+
+      core.getInput.mockImplementation((name) => {
+        const values = {
+          'github-token': 'test-github-token',
+          'ai-api-key': 'test-api-key',
+          'sweep-chunk-size': '0'
+        };
+        return values[name] || '';
+      });
+
+      expect(() => new Config.constructor()).toThrow('Invalid sweep-chunk-size: 0');
+    });
+
+    it('should default the log format and report path and reject unknown formats', () => {
+      const Config = require('../../src/config');
+      expect(Config.logFormat).toBe('text');
+      expect(Config.reportPath).toBe('doxai-report.json');
+
+      core.getInput.mockImplementation((name) => {
+        const values = {
+          'github-token': 'test-github-token',
+          'ai-api-key': 'test-api-key',
+          'log-format': 'xml'
+        };
+        return values[name] || '';
+      });
+
+      expect(() => new Config.constructor()).toThrow('Unsupported log-format: xml. Supported formats: text, json');
+    });
+
+    it('should use the model context window unless overridden', () => {
+      const Config = require('../../src/config');
+      expect(Config.getContextWindow('gemini-1.5-pro')).toBe(2097152);
+      expect(Config.getContextWindow('unknown-model')).toBe(8192);
+      expect(Config.isContextWindowKnown('gemini-1.5-pro')).toBe(true);
+      expect(Config.isContextWindowKnown('unknown-model')).toBe(false);
+
+      core.getInput.mockImplementation((name) => {
+        const values = {
+          'github-token': 'test-github-token',
+          'ai-api-key': 'test-api-key',
+          'ai-context-window': '32000'
+        };
+        return values[name] || '';
+      });
+
+      expect(new Config.constructor().getContextWindow('gemini-1.5-pro')).toBe(32000);
+      expect(new Config.constructor().isContextWindowKnown('unknown-model')).toBe(true);
+    });
   });
 
   describe('different AI providers', () => {
@@ -132,11 +241,11 @@ describe('Config', () => {
 
       const anthropicConfig = Config.aiProviderConfig.anthropic;
       expect(anthropicConfig.endpoint).toBe('https://api.anthropic.com/v1/messages');
-      expect(anthropicConfig.models).toContain('claude-3-opus');
+      expect(anthropicConfig.isValidModel('claude-sonnet-4-20250514')).toBe(true);
 
       const headers = anthropicConfig.headers('test-key');
       expect(headers['x-api-key']).toBe('test-key');
-      expect(headers['anthropic-version']).toBe('2025-05-01');
+      expect(headers['anthropic-version']).toBe('2023-06-01');
     });
 
     it('should work with Google configuration', () => {
@@ -206,6 +315,104 @@ describe('Config', () => {
     });
   });
 
+  describe('repository configuration', () => {
+    // Fresh instance per test since applyRepositoryConfig mutates the singleton
+    const createConfig = () => new (require('../../src/config').constructor)();
+
+    it('should merge .doxai.yml values over defaults', () => {
+      const Config = createConfig();
+
+      Config.applyRepositoryConfig({
+        output: { directory: './site/docs/' },
+        defaults: { language: 'ko', scope: 'include:src', format: 'md' },
+        ai: { provider: 'openai', model: 'gpt-4' },
+        files: { extensions: ['.JS', 'ts'], exclude: ['vendor/'] }
+      });
+
+      expect(Config.outputDir).toBe('site/docs');
+      expect(Config.aiProvider).toBe('openai');
+      expect(Config.aiModel).toBe('gpt-4');
+      expect(Config.fileConfig.documentableExtensions).toEqual(new Set(['js', 'ts']));
+      expect(Config.fileConfig.excludePatterns).toEqual(['vendor/']);
+      expect(Config.getCommandDefaults()).toEqual({ scope: 'include:src', lang: 'ko', format: 'md' });
+    });
+
+    it('should keep defaults for keys that are not set', () => {
+      const Config = createConfig();
+
+      Config.applyRepositoryConfig({});
+
+      expect(Config.outputDir).toBe('docs');
+      expect(Config.aiProvider).toBe('google');
+      expect(Config.getCommandDefaults()).toEqual({ scope: 'all', lang: 'en', format: 'adoc' });
+    });
+
+    it('should apply the documentation path layout', () => {
+      const Config = createConfig();
+
+      expect(Config.docPathTemplate).toBe('{outDir}/{project}/{dir}/{name}.{format}');
+      Config.applyRepositoryConfig({
+        output: {
+          path: './{outDir}/{dir}/{name}.{ext}.{format}',
+          mappings: [{ source: 'src/main/java/**', directory: './docs/java/' }]
+        }
+      });
+
+      expect(Config.docPathTemplate).toBe('{outDir}/{dir}/{name}.{ext}.{format}');
+      expect(Config.docPathMappings).toEqual([{ source: 'src/main/java/**', directory: 'docs/java' }]);
+    });
+
+    it('should reject unsupported providers with the key path', () => {
+      const Config = createConfig();
+
+      expect(() => Config.applyRepositoryConfig({ ai: { provider: 'unknown' } }))
+      .toThrow('ai.provider: unsupported provider unknown');
+    });
+
+    it('should apply processing concurrency', () => {
+      const Config = createConfig();
+
+      expect(Config.concurrency).toBe(3);
+      Config.applyRepositoryConfig({ processing: { concurrency: 6 } });
+      expect(Config.concurrency).toBe(6);
+    });
+
+    it('should reject an invalid concurrency input', () => {
+      core.getInput.mockImplementation((name) => {
+        const values = {
+          'github-token': 'test-github-token',
+          'ai-api-key': 'test-api-key',
+          'concurrency': 'many'
+        };
+        return values[name] || '';
+      });
+
+      expect(() => createConfig()).toThrow('Invalid concurrency: NaN');
+    });
+
+    it('should load the configuration file through the GitHub client', async () => {
+      const Config = createConfig();
+      const githubClient = {
+        getFileContent: jest.fn().mockResolvedValue('defaults:\n  language: ko\n')
+      };
+
+      const repoConfig = await Config.loadRepositoryConfig(githubClient, 'main');
+
+      expect(githubClient.getFileContent).toHaveBeenCalledWith('.doxai.yml', 'main');
+      expect(repoConfig).toEqual({ defaults: { language: 'ko' } });
+      expect(Config.language).toBe('ko');
+    });
+
+    it('should return null when the configuration file does not exist', async () => {
+      const Config = createConfig();
+      const githubClient = {
+        getFileContent: jest.fn().mockRejectedValue(new Error('File not found: .doxai.yml'))
+      };
+
+      await expect(Config.loadRepositoryConfig(githubClient, 'main')).resolves.toBeNull();
+    });
+  });
+
   describe('template path configuration', () => {
     it('should have correct template path', () => {
       const Config = require('../../src/config');
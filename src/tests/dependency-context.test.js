@@ -0,0 +1,151 @@
+const {
+  DependencyContext,
+  parseImports,
+  resolveImports,
+  extractSignatures
+} = require('../../src/dependency-context');
+
+describe('DependencyContext', () => {
+  const repoFiles = [
+    'src/main.js',
+    'src/logger.js',
+    'src/providers/index.js',
+    'src/utils/date.ts',
+    'app/services/users.py',
+    'app/services/__init__.py',
+    'app/models.py',
+    'src/main/java/com/acme/UserService.java',
+    'src/main/java/com/acme/UserRepository.java',
+    'native/include/buffer.h',
+    'native/src/buffer.c'
+  ];
+
+  describe('parseImports', () => {
+    it('should find ES module, CommonJS and dynamic imports', () => {
+      const content = [
+        "const Logger = require('./logger');",
+        "import { format } from './utils/date';",
+        "export * from './providers';",
+        "const lazy = await import('./lazy');",
+        "import 'side-effect';"
+      ].join('\n');
+
+      expect(parseImports('src/main.js', content).map(entry => entry.spec)).toEqual(
+          expect.arrayContaining(['./logger', './utils/date', './providers', './lazy', 'side-effect'])
+      );
+    });
+
+    it('should return nothing for files without an import syntax', () => {
+      expect(parseImports('schema.sql', 'SELECT 1;')).toEqual([]);
+    });
+  });
+
+  describe('resolveImports', () => {
+    it('should resolve relative script imports with extensions and index files', () => {
+      const content = "const Logger = require('./logger');\nimport { format } from './utils/date';\n" +
+          "const providers = require('./providers');\nconst core = require('@actions/core');";
+
+      expect(resolveImports('src/main.js', content, repoFiles).sort()).toEqual([
+        'src/logger.js',
+        'src/providers/index.js',
+        'src/utils/date.ts'
+      ]);
+    });
+
+    it('should resolve Python relative and absolute imports', () => {
+      const content = 'from . import users\nfrom app.models import User\nimport os\n';
+
+      expect(resolveImports('app/services/api.py', content, repoFiles)).toEqual([
+        'app/services/__init__.py',
+        'app/services/users.py',
+        'app/models.py'
+      ]);
+    });
+
+    it('should resolve Java imports by package path and C includes', () => {
+      expect(resolveImports(
+          'src/main/java/com/acme/UserController.java',
+          'import com.acme.UserService;\nimport java.util.List;\nimport com.acme.*;',
+          repoFiles
+      )).toEqual(['src/main/java/com/acme/UserService.java']);
+
+      expect(resolveImports('native/src/buffer.c', '#include "../include/buffer.h"\n#include <stdio.h>', repoFiles))
+      .toEqual(['native/include/buffer.h']);
+    });
+  });
+
+  describe('extractSignatures', () => {
+    it('should keep declarations and drop bodies', () => {
+      const js = [
+        'class Logger {',
+        '  constructor(context) {',
+        '    this.context = context;',
+        '    if (context) {',
+        '    }',
+        '  }',
+        '',
+        '  info(message, data = null) {',
+        '  }',
+        '}',
+        '',
+        'function helper() {}',
+        'module.exports = Logger;'
+      ].join('\n');
+
+      expect(extractSignatures('src/logger.js', js)).toEqual([
+        'class Logger',
+        '  constructor(context)',
+        '  info(message, data = null)',
+        'function helper() {}',
+        'module.exports = Logger;'
+      ]);
+
+      const py = 'class User:\n    def __init__(self, name):\n        pass\n    def _secret(self):\n        pass\n\ndef load(path):\n    pass\n';
+      expect(extractSignatures('app/models.py', py)).toEqual([
+        'class User',
+        '    def __init__(self, name)',
+        'def load(path)'
+      ]);
+
+      const go = 'package util\n\nfunc Format(t time.Time) string {\n}\n\nfunc helper() {}\n\ntype Options struct {\n}\n';
+      expect(extractSignatures('util/format.go', go)).toEqual(['func Format(t time.Time) string', 'type Options struct']);
+    });
+  });
+
+  describe('getRelatedModules', () => {
+    it('should combine signatures with existing doc summaries and cache modules', async () => {
+      const sources = {
+        'src/main.js': "const Logger = require('./logger');",
+        'src/logger.js': 'class Logger {\n  info(message) {\n  }\n}\nmodule.exports = Logger;'
+      };
+      const readFile = jest.fn(async (file) => sources[file]);
+      const context = new DependencyContext({
+        listFiles: jest.fn(async () => repoFiles),
+        readFile,
+        readDoc: async (file) => file === 'src/logger.js' ? '= logger.js\n\nStructured logging helper.' : null
+      });
+
+      const modules = await context.getRelatedModules('src/main.js', sources['src/main.js']);
+      expect(modules).toEqual([{
+        path: 'src/logger.js',
+        summary: 'Structured logging helper.',
+        signatures: ['class Logger', '  info(message)', 'module.exports = Logger;']
+      }]);
+
+      await context.getRelatedModules('src/other.js', "require('./logger')");
+      expect(readFile).toHaveBeenCalledTimes(1);
+    });
+
+    it('should skip modules that cannot be read', async () => {
+      const context = new DependencyContext({
+        listFiles: async () => repoFiles,
+        readFile: async () => {
+          throw new Error('File not found');
+        },
+        readDoc: async () => null
+      });
+
+      expect(await context.getRelatedModules('src/main.js', "require('./logger')")).toEqual([]);
+    });
+  });
+});
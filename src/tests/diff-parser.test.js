@@ -0,0 +1,93 @@
+const { parsePatch, extractDeclarationName, findEnclosingDeclaration, getTouchedSymbols } = require('../../src/diff-parser');
+
+describe('DiffParser', () => {
+  const fileContent = [
+    'class UserService {',
+    '  constructor(repo) {',
+    '    this.repo = repo;',
+    '  }',
+    '',
+    '  async findUser(id) {',
+    '    const user = await this.repo.get(id);',
+    '    return user || null;',
+    '  }',
+    '',
+    '  deleteUser(id) {',
+    '    return this.repo.delete(id);',
+    '  }',
+    '}'
+  ].join('\n');
+
+  describe('parsePatch', () => {
+    it('should parse hunks with added and removed line numbers', () => {
+      const patch = '@@ -6,4 +6,4 @@ class UserService {\n   async findUser(id) {\n     const user = await this.repo.get(id);\n-    return user;\n+    return user || null;\n   }';
+
+      const [hunk] = parsePatch(patch);
+
+      expect(hunk.oldStart).toBe(6);
+      expect(hunk.newStart).toBe(6);
+      expect(hunk.context).toBe('class UserService {');
+      expect(hunk.added).toEqual([{ line: 8, text: '    return user || null;' }]);
+      expect(hunk.removed).toEqual([{ line: 8, newLine: 8, text: '    return user;' }]);
+    });
+
+    it('should return no hunks for a missing patch', () => {
+      expect(parsePatch(undefined)).toEqual([]);
+    });
+
+    it('should ignore no-newline markers', () => {
+      const [hunk] = parsePatch('@@ -1 +1 @@\n-a\n\\ No newline at end of file\n+b');
+      expect(hunk.oldLines).toBe(1);
+      expect(hunk.added).toEqual([{ line: 1, text: 'b' }]);
+    });
+  });
+
+  describe('extractDeclarationName', () => {
+    it('should detect declarations across language groups', () => {
+      expect(extractDeclarationName('public class UserService {')).toBe('UserService');
+      expect(extractDeclarationName('export function parse(input) {')).toBe('parse');
+      expect(extractDeclarationName('def load_config(path):')).toBe('load_config');
+      expect(extractDeclarationName('func (s *Server) Start() error {')).toBe('Start');
+      expect(extractDeclarationName('const toSlug = (text) => {')).toBe('toSlug');
+      expect(extractDeclarationName('  async findUser(id) {')).toBe('findUser');
+      expect(extractDeclarationName('int main(void)')).toBe('main');
+      expect(extractDeclarationName('CREATE TABLE users (')).toBe('users');
+    });
+
+    it('should ignore control flow and statements', () => {
+      expect(extractDeclarationName('  if (user) {')).toBeNull();
+      expect(extractDeclarationName('    return this.repo.delete(id);')).toBeNull();
+      expect(extractDeclarationName('')).toBeNull();
+    });
+  });
+
+  describe('findEnclosingDeclaration', () => {
+    it('should find the declaration enclosing a line', () => {
+      const lines = fileContent.split('\n');
+      expect(findEnclosingDeclaration(lines, 8)).toBe('findUser');
+      expect(findEnclosingDeclaration(lines, 12)).toBe('deleteUser');
+      expect(findEnclosingDeclaration(lines, 11)).toBe('deleteUser');
+    });
+  });
+
+  describe('getTouchedSymbols', () => {
+    it('should report the symbols enclosing changed lines', () => {
+      const patch = '@@ -6,4 +6,4 @@ class UserService {\n   async findUser(id) {\n     const user = await this.repo.get(id);\n-    return user;\n+    return user || null;\n   }';
+
+      const touched = getTouchedSymbols(patch, fileContent);
+
+      expect([...touched.symbols]).toEqual(['findUser']);
+      expect(touched.added.size).toBe(0);
+      expect(touched.removed.size).toBe(0);
+    });
+
+    it('should report added and removed declarations', () => {
+      const patch = '@@ -10,7 +10,4 @@ class UserService {\n \n-  archiveUser(id) {\n-    return this.repo.archive(id);\n-  }\n-\n   deleteUser(id) {\n     return this.repo.delete(id);\n   }';
+
+      const touched = getTouchedSymbols(patch, fileContent);
+
+      expect(touched.symbols.has('archiveUser')).toBe(true);
+      expect([...touched.removed]).toEqual(['archiveUser']);
+    });
+  });
+});
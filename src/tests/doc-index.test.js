@@ -0,0 +1,97 @@
+const {
+  extractSummary,
+  parseIndexEntries,
+  getIndexPagePath,
+  buildIndexPages
+} = require('../../src/doc-index');
+
+describe('DocIndex', () => {
+  describe('extractSummary', () => {
+    it('should use the first sentence of the first paragraph', () => {
+      const adoc = [
+        '= UserService.js',
+        ':toc:',
+        ':doxai-source-sha: abc',
+        '',
+        '== Overview',
+        '',
+        'The `UserService.js` manages users. It talks to the database.',
+        '',
+        '[cols="1,3"]',
+        '|===',
+        '|PR Number|#1',
+        '|==='
+      ].join('\n');
+      expect(extractSummary(adoc, 'adoc')).toBe('The `UserService.js` manages users.');
+
+      const md = '# date.js\n<!-- doxai-source-sha: abc -->\n\n## Overview\n\n| Item | Value |\n\nFormats dates\nfor display.\n';
+      expect(extractSummary(md, 'md')).toBe('Formats dates for display.');
+    });
+
+    it('should shorten long summaries and handle documents without text', () => {
+      const summary = extractSummary(`= a.js\n\n${'word '.repeat(60)}`, 'adoc');
+      expect(summary.length).toBeLessThanOrEqual(160);
+      expect(summary.endsWith('…')).toBe(true);
+
+      expect(extractSummary('= a.js\n:toc:\n', 'adoc')).toBe('');
+      expect(extractSummary(null, 'md')).toBe('');
+    });
+  });
+
+  describe('buildIndexPages', () => {
+    const entries = new Map([
+      ['main.adoc', 'Entry point.'],
+      ['src/utils/date.adoc', 'Formats dates.'],
+      ['src/api/client.adoc', '']
+    ]);
+
+    it('should build a root page listing every document and a page per directory', () => {
+      const pages = buildIndexPages(entries, 'adoc', 'doxai');
+      expect(pages.map(page => page.path)).toEqual([
+        'index.adoc',
+        'src/index.adoc',
+        'src/api/index.adoc',
+        'src/utils/index.adoc'
+      ]);
+
+      const root = pages[0].content;
+      expect(root).toContain('= doxai Documentation Index');
+      expect(root).toContain('* link:src/index.adoc[src/]');
+      expect(root).toContain('* link:src/utils/date.adoc[src/utils/date] - Formats dates.');
+      expect(root).toContain('* link:src/api/client.adoc[src/api/client]\n');
+
+      const utils = pages[3].content;
+      expect(utils).toContain('link:../index.adoc[⬆ Parent directory]');
+      expect(utils).toContain('* link:date.adoc[date] - Formats dates.');
+      expect(utils).not.toContain('client');
+    });
+
+    it('should round-trip root entries through parseIndexEntries', () => {
+      for (const format of ['adoc', 'md']) {
+        const mdEntries = new Map([...entries].map(([file, summary]) => [file.replace(/adoc$/, format), summary]));
+        const [root] = buildIndexPages(mdEntries, format, 'doxai');
+        expect(parseIndexEntries(root.content, format)).toEqual(mdEntries);
+      }
+    });
+
+    it('should not take over a document generated for an index source file', () => {
+      const withIndex = new Map([['src/index.adoc', 'Exports.'], ['src/a.adoc', 'A.']]);
+      expect(getIndexPagePath('src', 'adoc', withIndex)).toBe('src/_index.adoc');
+
+      const pages = buildIndexPages(withIndex, 'adoc', 'doxai');
+      expect(pages.map(page => page.path)).toEqual(['index.adoc', 'src/_index.adoc']);
+      expect(pages[0].content).toContain('* link:src/_index.adoc[src/]');
+    });
+
+    it('should return no pages without documents', () => {
+      expect(buildIndexPages(new Map(), 'md', 'doxai')).toEqual([]);
+    });
+  });
+
+  describe('parseIndexEntries', () => {
+    it('should ignore content that is not a generated index', () => {
+      expect(parseIndexEntries('= index.js\n\n== Files\n\n* link:a.adoc[a]', 'adoc')).toBeNull();
+      expect(parseIndexEntries(null, 'md')).toBeNull();
+    });
+  });
+});
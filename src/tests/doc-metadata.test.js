@@ -0,0 +1,99 @@
+const {
+  TEMPLATE_VERSION,
+  readDocMetadata,
+  writeDocMetadata,
+  stripDocMetadata,
+  renameDocSource,
+  isDocStale
+} = require('../../src/doc-metadata');
+
+describe('DocMetadata', () => {
+  describe('writeDocMetadata', () => {
+    it('should add AsciiDoc header attributes after the existing header', () => {
+      const doc = '= utils.js\n:toc:\n:source-highlighter: highlight.js\n\n== Overview\nText';
+
+      const result = writeDocMetadata(doc, 'adoc', { sourceSha: 'abc123', templateVersion: '1' });
+
+      expect(result).toBe(
+          '= utils.js\n:toc:\n:source-highlighter: highlight.js\n' +
+          ':doxai-source-sha: abc123\n:doxai-template-version: 1\n\n== Overview\nText'
+      );
+    });
+
+    it('should add Markdown comments after the title', () => {
+      const doc = '# utils.js\n\n## Overview\nText';
+
+      const result = writeDocMetadata(doc, 'md', { sourceSha: 'abc123', templateVersion: '1' });
+
+      expect(result).toBe(
+          '# utils.js\n<!-- doxai-source-sha: abc123 -->\n<!-- doxai-template-version: 1 -->\n\n## Overview\nText'
+      );
+    });
+
+    it('should replace existing metadata instead of duplicating it', () => {
+      const doc = writeDocMetadata('= a.js\n\nText', 'adoc', { sourceSha: 'old', templateVersion: '0' });
+
+      const result = writeDocMetadata(doc, 'adoc', { sourceSha: 'new', templateVersion: '1' });
+
+      expect(result).toBe('= a.js\n:doxai-source-sha: new\n:doxai-template-version: 1\n\nText');
+    });
+
+    it('should insert at the top when there is no title', () => {
+      expect(writeDocMetadata('Text', 'adoc', { sourceSha: 'abc' })).toBe(':doxai-source-sha: abc\nText');
+    });
+  });
+
+  describe('readDocMetadata', () => {
+    it('should read metadata written in either format', () => {
+      for (const format of ['adoc', 'md']) {
+        const doc = writeDocMetadata('= a\n# a\n', format, { sourceSha: 'abc', templateVersion: '3' });
+        expect(readDocMetadata(doc, format)).toEqual({ sourceSha: 'abc', templateVersion: '3' });
+      }
+    });
+
+    it('should return an empty object for documents without metadata', () => {
+      expect(readDocMetadata('= a.js\n:toc:\n', 'adoc')).toEqual({});
+      expect(readDocMetadata(null, 'md')).toEqual({});
+    });
+  });
+
+  describe('stripDocMetadata', () => {
+    it('should remove only metadata lines', () => {
+      const adoc = writeDocMetadata('= a.js\n:toc:\n\nBody', 'adoc', { sourceSha: 'abc', templateVersion: '1' });
+      expect(stripDocMetadata(adoc, 'adoc')).toBe('= a.js\n:toc:\n\nBody');
+
+      const md = writeDocMetadata('# a.js\n\nBody', 'md', { sourceSha: 'abc' });
+      expect(stripDocMetadata(md, 'md')).toBe('# a.js\n\nBody');
+    });
+  });
+
+  describe('renameDocSource', () => {
+    it('should update the title, code spans and path mentions', () => {
+      const doc = writeDocMetadata(
+          '= UserService.java\n:toc:\n\nThe `UserService.java` in src/a/UserService.java handles users.\nSee lib/src/a/UserService.java.',
+          'adoc',
+          { sourceSha: 'abc' }
+      );
+
+      const renamed = renameDocSource(doc, 'src/a/UserService.java', 'src/b/AccountService.java', 'adoc');
+
+      expect(stripDocMetadata(renamed, 'adoc')).toBe(
+          '= AccountService.java\n:toc:\n\nThe `AccountService.java` in src/b/AccountService.java handles users.\nSee lib/src/a/UserService.java.'
+      );
+      expect(readDocMetadata(renamed, 'adoc')).toEqual({ sourceSha: 'abc' });
+    });
+
+    it('should only replace the file name in the Markdown title', () => {
+      expect(renameDocSource('# a.js\n\nUses a.js internally', 'a.js', 'b.js', 'md')).toBe('# b.js\n\nUses b.js internally');
+      expect(renameDocSource('# a.js\n\nUses a.js internally', 'src/a.js', 'src/b.js', 'md')).toBe('# b.js\n\nUses a.js internally');
+    });
+  });
+
+  describe('isDocStale', () => {
+    it('should detect source and template changes', () => {
+      expect(isDocStale({ sourceSha: 'abc', templateVersion: TEMPLATE_VERSION }, 'abc')).toBe(false);
+      expect(isDocStale({ sourceSha: 'abc', templateVersion: TEMPLATE_VERSION }, 'def')).toBe(true);
+      expect(isDocStale({ sourceSha: 'abc', templateVersion: 'old' }, 'abc')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+const {
+  resolveDocPath,
+  getDocRoots,
+  validateDocPathTemplate,
+  findDocPathCollisions,
+  formatDocPathCollisions,
+  isDocPath
+} = require('../../src/doc-path');
+
+describe('DocPath', () => {
+  const layout = { outDir: 'docs', project: 'doxai', format: 'adoc' };
+
+  describe('resolveDocPath', () => {
+    it('should keep the default layout without the source extension', () => {
+      expect(resolveDocPath('src/app/Foo.java', layout)).toBe('docs/doxai/src/app/Foo.adoc');
+      expect(resolveDocPath('Makefile', { ...layout, format: 'md' })).toBe('docs/doxai/Makefile.md');
+    });
+
+    it('should fill in the template and drop empty parts', () => {
+      const template = '{outDir}/{dir}/{name}.{ext}.{format}';
+
+      expect(resolveDocPath('src/Foo.kt', { ...layout, template })).toBe('docs/src/Foo.kt.adoc');
+      expect(resolveDocPath('Dockerfile', { ...layout, template })).toBe('docs/Dockerfile.adoc');
+      expect(resolveDocPath('src/Foo.kt', { ...layout, template: '{dir}/{name}.{ext}.{format}' })).toBe('src/Foo.kt.adoc');
+    });
+
+    it('should use the directory of the first matching mapping', () => {
+      const mappings = [
+        { source: 'src/main/java/**', directory: 'docs/java' },
+        { source: '*.sql', directory: '{outDir}/db/{dir}' }
+      ];
+
+      expect(resolveDocPath('src/main/java/com/Foo.java', { ...layout, mappings })).toBe('docs/java/Foo.adoc');
+      expect(resolveDocPath('db/migrations/001.sql', { ...layout, mappings })).toBe('docs/db/db/migrations/001.adoc');
+      expect(resolveDocPath('lib/bar.js', { ...layout, mappings })).toBe('docs/doxai/lib/bar.adoc');
+    });
+  });
+
+  describe('getDocRoots', () => {
+    it('should use the fixed part of the template and mapping directories', () => {
+      expect(getDocRoots(layout)).toEqual(['docs/doxai']);
+      expect(getDocRoots({ ...layout, template: '{outDir}/{dir}/{name}.{ext}.{format}' })).toEqual(['docs']);
+      expect(getDocRoots({
+        ...layout,
+        mappings: [
+          { source: 'src/main/java/**', directory: 'docs/doxai/java' },
+          { source: '*.sql', directory: '{outDir}/db/{dir}' },
+          { source: 'lib/**', directory: 'reference' }
+        ]
+      })).toEqual(['docs/doxai', 'docs/db', 'reference']);
+    });
+
+    it('should have no root for docs kept next to the sources', () => {
+      expect(getDocRoots({ ...layout, template: '{dir}/{name}.{ext}.{format}' })).toEqual([]);
+    });
+  });
+
+  describe('validateDocPathTemplate', () => {
+    it('should accept templates with a name and format', () => {
+      expect(validateDocPathTemplate('{outDir}/{project}/{dir}/{name}.{ext}.{format}')).toBeNull();
+    });
+
+    it('should describe invalid templates', () => {
+      expect(validateDocPathTemplate('{outDir}/{path}.{format}')).toBe('unknown placeholders {path}');
+      expect(validateDocPathTemplate('{outDir}/{dir}.{format}')).toBe('must contain {name}');
+      expect(validateDocPathTemplate('{outDir}/{name}.adoc')).toBe('must end with .{format}');
+      expect(validateDocPathTemplate('../{name}.{format}')).toBe('must be a relative path inside the repository');
+    });
+  });
+
+  describe('findDocPathCollisions', () => {
+    it('should report sources sharing a doc path', () => {
+      const collisions = findDocPathCollisions(['src/Foo.java', 'src/Foo.kt', 'src/Bar.kt'].map(source => ({
+        source,
+        doc: resolveDocPath(source, layout)
+      })));
+
+      expect(collisions).toEqual([
+        { doc: 'docs/doxai/src/Foo.adoc', sources: ['src/Foo.java', 'src/Foo.kt'], overwritesSource: false }
+      ]);
+      expect(formatDocPathCollisions(collisions)).toBe('- src/Foo.java, src/Foo.kt -> docs/doxai/src/Foo.adoc');
+    });
+
+    it('should report docs that would overwrite a source', () => {
+      const template = '{dir}/{name}.{format}';
+      const collisions = findDocPathCollisions(['README', 'README.md'].map(source => ({
+        source,
+        doc: resolveDocPath(source, { ...layout, template, format: 'md' })
+      })));
+
+      expect(collisions).toEqual([{ doc: 'README.md', sources: ['README', 'README.md'], overwritesSource: true }]);
+    });
+  });
+
+  describe('isDocPath', () => {
+    it('should recognize docs produced by the template and mappings', () => {
+      const options = {
+        outDir: 'docs',
+        template: '{dir}/{name}.{ext}.{format}',
+        mappings: [{ source: 'lib/**', directory: 'reference' }]
+      };
+
+      expect(isDocPath('src/app/Foo.java.adoc', options)).toBe(true);
+      expect(isDocPath('reference/util.js.md', options)).toBe(true);
+      expect(isDocPath('README.md', options)).toBe(false);
+      expect(isDocPath('src/app/Foo.java', options)).toBe(false);
+    });
+
+    it('should only match the output directory with the default layout', () => {
+      expect(isDocPath('docs/doxai/src/Foo.adoc', { outDir: 'docs' })).toBe(true);
+      expect(isDocPath('guides/intro.md', { outDir: 'docs' })).toBe(false);
+    });
+  });
+});
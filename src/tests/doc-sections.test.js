@@ -0,0 +1,109 @@
+const {
+  parseSections,
+  findAffectedSections,
+  countSections,
+  getSectionsText,
+  spliceSections
+} = require('../../src/doc-sections');
+
+describe('DocSections', () => {
+  const adocDoc = [
+    '= UserService.js',
+    ':toc:',
+    '',
+    '== Overview',
+    'Manages users.',
+    '',
+    '== Core Function Implementation',
+    '',
+    '=== findUser',
+    '[source,javascript]',
+    '----',
+    '== not a heading',
+    '----',
+    'Finds a user.',
+    '',
+    '=== deleteUser(id)',
+    'Deletes a user.',
+    '',
+    '== Notes',
+    '* Keep ids stable',
+    ''
+  ].join('\n');
+
+  describe('parseSections', () => {
+    it('should split AsciiDoc by headings and skip delimited blocks', () => {
+      const { sections } = parseSections(adocDoc, 'adoc');
+
+      expect(sections.map(s => [s.level, s.title])).toEqual([
+        [1, 'UserService.js'],
+        [2, 'Overview'],
+        [2, 'Core Function Implementation'],
+        [3, 'findUser'],
+        [3, 'deleteUser(id)'],
+        [2, 'Notes']
+      ]);
+      expect(sections[3]).toMatchObject({ start: 8, end: 15 });
+    });
+
+    it('should split Markdown by headings and skip code fences', () => {
+      const doc = '# a.py\n\n## Overview\n```python\n# comment\n```\n\n### load\ntext\n';
+      const { sections } = parseSections(doc, 'md');
+
+      expect(sections.map(s => s.title)).toEqual(['a.py', 'Overview', 'load']);
+    });
+  });
+
+  describe('findAffectedSections', () => {
+    it('should match headings that mention touched symbols', () => {
+      const targets = findAffectedSections(adocDoc, 'adoc', new Set(['deleteUser', 'unknown']));
+
+      expect(targets.map(t => t.title)).toEqual(['deleteUser(id)']);
+      expect(getSectionsText(adocDoc, targets)).toBe('=== deleteUser(id)\nDeletes a user.');
+    });
+
+    it('should not match partial words', () => {
+      expect(findAffectedSections(adocDoc, 'adoc', ['find'])).toEqual([]);
+    });
+
+    it('should count sections below the title', () => {
+      expect(countSections(adocDoc, 'adoc')).toBe(5);
+    });
+  });
+
+  describe('spliceSections', () => {
+    it('should replace only the targeted sections and keep the rest byte-identical', () => {
+      const targets = findAffectedSections(adocDoc, 'adoc', ['findUser']);
+      const response = '=== findUser\nFinds a user or returns null.\n';
+
+      const result = spliceSections(adocDoc, 'adoc', targets, response);
+
+      expect(result.replaced).toBe(1);
+      expect(result.content).toBe(adocDoc.replace(
+          '=== findUser\n[source,javascript]\n----\n== not a heading\n----\nFinds a user.',
+          '=== findUser\nFinds a user or returns null.'
+      ));
+    });
+
+    it('should drop removed sections and append new ones', () => {
+      const targets = findAffectedSections(adocDoc, 'adoc', ['deleteUser']);
+      const response = '=== deleteUser(id)\nREMOVED\n\n=== archiveUser(id)\nArchives a user.';
+
+      const result = spliceSections(adocDoc, 'adoc', targets, response);
+
+      expect(result).toMatchObject({ replaced: 0, removed: 1, added: 1, missing: [] });
+      expect(result.content).toContain('Finds a user.\n\n=== archiveUser(id)\nArchives a user.\n\n== Notes');
+      expect(result.content).not.toContain('deleteUser');
+    });
+
+    it('should keep sections missing from the response', () => {
+      const targets = findAffectedSections(adocDoc, 'adoc', ['findUser']);
+
+      const result = spliceSections(adocDoc, 'adoc', targets, 'Sorry, no sections here.');
+
+      expect(result.replaced).toBe(0);
+      expect(result.missing).toEqual(['findUser']);
+      expect(result.content).toBe(adocDoc);
+    });
+  });
+});
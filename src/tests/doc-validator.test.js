@@ -0,0 +1,94 @@
+const {
+  getTemplateSections,
+  repairDocumentation,
+  validateDocumentation
+} = require('../../src/doc-validator');
+
+describe('DocValidator', () => {
+  const adoc = [
+    '= date.js',
+    ':toc:',
+    '',
+    '== Overview',
+    '',
+    'The `date.js` formats dates.',
+    '',
+    '[cols="1,3"]',
+    '|===',
+    '|PR Number|#12',
+    '|Author|@octocat',
+    '|===',
+    '',
+    '== Usage',
+    '',
+    '[source,javascript]',
+    '----',
+    'formatDate(new Date());',
+    '----',
+    '',
+    '== Notes',
+    '',
+    '* Uses UTC.'
+  ].join('\n');
+
+  const options = { filename: 'date.js', requiredSections: ['Overview', 'Notes'] };
+
+  describe('getTemplateSections', () => {
+    it('should read level-2 sections of a template', () => {
+      expect(getTemplateSections('= {File}\n\n== Overview\n\ntext\n\n=== Sub\n\n== Notes\n', 'adoc')).toEqual(['Overview', 'Notes']);
+      expect(getTemplateSections('# {File}\n\n## Overview\n\n### Sub\n', 'md')).toEqual(['Overview']);
+    });
+  });
+
+  describe('repairDocumentation', () => {
+    it('should strip a wrapping fence and surrounding chatter', () => {
+      const response = `Here is the documentation:\n\n\`\`\`asciidoc\n${adoc}\n\`\`\`\n\nLet me know if you need changes.`;
+      const { content, repairs } = repairDocumentation(response, 'adoc');
+
+      expect(content).toBe(adoc);
+      expect(repairs).toEqual(['removed wrapping code fence', 'removed text after the document', 'removed text before the title']);
+    });
+
+    it('should keep code fences inside a Markdown document', () => {
+      const md = '# date.js\n\n## Usage\n\n```js\nformatDate();\n```\n';
+      expect(repairDocumentation(`\`\`\`markdown\n${md}\n\`\`\``, 'md').content).toBe(md.trim());
+      expect(repairDocumentation(md, 'md')).toEqual({ content: md.trim(), repairs: [] });
+    });
+  });
+
+  describe('validateDocumentation', () => {
+    it('should accept a document following the template', () => {
+      expect(validateDocumentation(adoc, 'adoc', options)).toEqual([]);
+    });
+
+    it('should report title, section, block and table violations', () => {
+      const broken = adoc
+      .replace('= date.js', '= Date helpers')
+      .replace('== Notes', '== Remarks')
+      .replace('|Author|@octocat', '|Author')
+      .replace(/----\n\n== Remarks/, '\n== Remarks');
+
+      expect(validateDocumentation(broken, 'adoc', options)).toEqual([
+        'the title must be "= date.js"',
+        'missing required sections: "== Notes"',
+        'the ---- block opened at line 17 is never closed',
+        'attribute table row at line 11 must have exactly two cells (|Item|Value)'
+      ]);
+
+      expect(validateDocumentation('Some text', 'adoc', options)).toEqual(expect.arrayContaining([
+        'the document must start with a "= date.js" title',
+        'missing the attribute table'
+      ]));
+    });
+
+    it('should validate Markdown tables and fences', () => {
+      const md = '# date.js\n\n## Overview\n\n| Item | Value |\n|---|---|\n| Author | @octocat |\n\n## Notes\n\n```js\nx();\n```';
+      expect(validateDocumentation(md, 'md', options)).toEqual([]);
+
+      expect(validateDocumentation(md.replace('| Author | @octocat |', '| Author |').replace(/```$/, ''), 'md', options)).toEqual([
+        'the code fence opened at line 11 is never closed',
+        'attribute table row at line 7 has 1 cells instead of 2'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const { getChunkTokenLimit, splitIntoChunks } = require('../../src/file-chunker');
+const { DEFAULT_CONTEXT_WINDOW } = require('../../src/providers/ai-provider');
+
+// Only the MAX_OUTPUT_TOKENS constant of the client is needed
+jest.mock('../../src/config', () => ({}));
+const AIClient = require('../../src/ai-client');
+
+describe('FileChunker', () => {
+  // One token per character keeps the expected chunk sizes easy to follow
+  const estimateTokens = (text) => (text || '').length;
+
+  describe('getChunkTokenLimit', () => {
+    it('should derive the limit from the context window and keep a minimum', () => {
+      expect(getChunkTokenLimit(128000, 8192)).toBe(86856);
+      expect(getChunkTokenLimit(1000, 8192)).toBe(500);
+    });
+
+    it('should scale the reserved output and overhead down for small windows', () => {
+      // A quarter of the window each for the response and the prompt overhead
+      expect(getChunkTokenLimit(DEFAULT_CONTEXT_WINDOW, AIClient.MAX_OUTPUT_TOKENS)).toBe(3072);
+      expect(getChunkTokenLimit(16000, AIClient.MAX_OUTPUT_TOKENS)).toBe(6000);
+    });
+  });
+
+  describe('splitIntoChunks', () => {
+    const source = [
+      "const Logger = require('./logger');",
+      '',
+      '/**',
+      ' * Format a date',
+      ' */',
+      'function formatDate(date) {',
+      '  return date.toISOString();',
+      '}',
+      '',
+      'class Store {',
+      '  constructor() {',
+      '    this.items = [];',
+      '  }',
+      '',
+      '  add(item) {',
+      '    this.items.push(item);',
+      '  }',
+      '}',
+      '',
+      'module.exports = { formatDate, Store };'
+    ].join('\n');
+
+    it('should return the whole file as one chunk when it fits', () => {
+      expect(splitIntoChunks(source, 10000, estimateTokens)).toEqual([
+        { startLine: 1, endLine: 20, content: source }
+      ]);
+    });
+
+    it('should cut at top-level declarations and keep doc comments with them', () => {
+      const chunks = splitIntoChunks(source, 160, estimateTokens);
+
+      expect(chunks.map(chunk => [chunk.startLine, chunk.endLine])).toEqual([[1, 9], [10, 20]]);
+      expect(chunks[0].content).toContain('/**\n * Format a date\n */\nfunction formatDate');
+      expect(chunks[1].content.startsWith('class Store {')).toBe(true);
+      expect(chunks.map(chunk => chunk.content).join('\n')).toBe(source);
+    });
+
+    it('should cut oversized declarations at their members, then by lines', () => {
+      const chunks = splitIntoChunks(source, 60, estimateTokens);
+      const starts = chunks.map(chunk => chunk.content.split('\n')[0]);
+
+      expect(starts).toEqual(expect.arrayContaining(['  constructor() {', '  add(item) {']));
+      expect(chunks.every(chunk => chunk.content.length < 60)).toBe(true);
+      expect(chunks.map(chunk => chunk.content).join('\n')).toBe(source);
+
+      const lines = Array.from({ length: 10 }, (_, i) => `line ${i}`).join('\n');
+      expect(splitIntoChunks(lines, 14, estimateTokens)).toHaveLength(5);
+    });
+  });
+});
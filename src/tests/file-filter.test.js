@@ -56,6 +56,37 @@ describe('FileFilter', () => {
     });
   });
 
+  describe('repository rules', () => {
+    afterEach(() => {
+      fileFilter.setRepositoryRules();
+    });
+
+    it('should skip files from .doxaiignore and .gitattributes and report why', () => {
+      fileFilter.setRepositoryRules({
+        ignore: '# Generated clients\nsrc/gen/\n!src/gen/index.js\n',
+        attributes: '*.pb.js linguist-generated=true\nthird_party/** linguist-vendored\nsrc/secret.js -doxai\n'
+      });
+
+      const files = [
+        { filename: 'src/app.js', status: 'modified' },
+        { filename: 'src/gen/client.js', status: 'added' },
+        { filename: 'src/gen/index.js', status: 'added' },
+        { filename: 'src/api.pb.js', status: 'modified' },
+        { filename: 'third_party/lib.js', status: 'added' },
+        { filename: 'src/secret.js', status: 'modified' }
+      ];
+      const filtered = fileFilter.filterByScope(files, 'all');
+
+      expect(filtered.map(file => file.filename)).toEqual(['src/app.js', 'src/gen/index.js']);
+      expect(fileFilter.getFilterStats(files, filtered).exclusions).toEqual([
+        { filename: 'src/gen/client.js', reason: 'Ignored by .doxaiignore' },
+        { filename: 'src/api.pb.js', reason: 'Generated (linguist-generated)' },
+        { filename: 'third_party/lib.js', reason: 'Vendored (linguist-vendored)' },
+        { filename: 'src/secret.js', reason: 'Excluded by .gitattributes (-doxai)' }
+      ]);
+    });
+  });
+
   describe('filterByScope', () => {
     const testFiles = [
       { filename: 'src/app.js', status: 'modified' },
@@ -125,6 +156,37 @@ describe('FileFilter', () => {
       ]);
     });
 
+    it('should apply globs with braces and negation', () => {
+      expect(fileFilter.filterByScope(testFiles, 'include:**/*.{py,md}')).toEqual([
+        { filename: 'src/utils.py', status: 'added' },
+        { filename: 'docs/README.md', status: 'added' }
+      ]);
+
+      expect(fileFilter.filterByScope(testFiles, 'include:src/,!src/*.py')).toEqual([
+        { filename: 'src/app.js', status: 'modified' }
+      ]);
+
+      expect(fileFilter.filterByScope(testFiles, 'exclude:!src/')).toEqual([
+        { filename: 'src/app.js', status: 'modified' },
+        { filename: 'src/utils.py', status: 'added' }
+      ]);
+    });
+
+    it('should apply includes first, then excludes', () => {
+      const files = [
+        { filename: 'src/my-module/index.js', status: 'modified' },
+        { filename: 'src/my-module/index.test.js', status: 'modified' },
+        { filename: 'lib/util.js', status: 'added' },
+        { filename: 'docs/README.md', status: 'added' }
+      ];
+
+      expect(fileFilter.filterByScope(files, 'include:src/**,lib/** exclude:**/*.test.*')).toEqual([
+        { filename: 'src/my-module/index.js', status: 'modified' },
+        { filename: 'lib/util.js', status: 'added' }
+      ]);
+      expect(fileFilter.filterByScope(files, 'exclude:lib/ exclude:docs/')).toHaveLength(2);
+    });
+
     it('should handle invalid scope gracefully', () => {
       const result = fileFilter.filterByScope(testFiles, 'invalid:pattern');
 
@@ -145,19 +207,26 @@ describe('FileFilter', () => {
 
   describe('matchesPattern', () => {
     it('should match exact file names', () => {
-      expect(fileFilter.matchesPattern('src/app.js', 'app.js', 'app.js')).toBe(true);
-      expect(fileFilter.matchesPattern('src/app.js', 'app.js', 'other.js')).toBe(false);
+      expect(fileFilter.matchesPattern('src/app.js', 'app.js')).toBe(true);
+      expect(fileFilter.matchesPattern('src/app.js', 'other.js')).toBe(false);
     });
 
     it('should match patterns in full path', () => {
-      expect(fileFilter.matchesPattern('src/components/app.js', 'app.js', 'src/')).toBe(true);
-      expect(fileFilter.matchesPattern('src/components/app.js', 'app.js', 'components')).toBe(true);
+      expect(fileFilter.matchesPattern('src/components/app.js', 'src/')).toBe(true);
+      expect(fileFilter.matchesPattern('src/components/app.js', 'components')).toBe(true);
     });
 
     it('should support glob patterns', () => {
-      expect(fileFilter.matchesPattern('src/app.js', 'app.js', '*.js')).toBe(true);
-      expect(fileFilter.matchesPattern('src/app.py', 'app.py', '*.js')).toBe(false);
-      expect(fileFilter.matchesPattern('test/app.test.js', 'app.test.js', '*.test.js')).toBe(true);
+      expect(fileFilter.matchesPattern('src/app.js', '*.js')).toBe(true);
+      expect(fileFilter.matchesPattern('src/app.py', '*.js')).toBe(false);
+      expect(fileFilter.matchesPattern('test/app.test.js', '*.test.js')).toBe(true);
+    });
+
+    it('should match whole path segments and escape dots', () => {
+      expect(fileFilter.matchesPattern('src/components/app.js', 'comp')).toBe(false);
+      expect(fileFilter.matchesPattern('src/appXjs', 'app.js')).toBe(false);
+      expect(fileFilter.matchesPattern('lib/src/app.ts', 'src/**/*.ts')).toBe(false);
+      expect(fileFilter.matchesPattern('src/a/b/app.ts', 'src/**/*.ts')).toBe(true);
     });
   });
 
@@ -193,7 +262,15 @@ describe('FileFilter', () => {
           added: 1,
           modified: 1,
           removed: 1
-        }
+        },
+        byReason: {
+          'Out of scope': 1,
+          'Not a documentable file type': 1
+        },
+        exclusions: [
+          { filename: 'test/app.test.js', reason: 'Out of scope' },
+          { filename: 'logo.png', reason: 'Not a documentable file type' }
+        ]
       });
     });
 
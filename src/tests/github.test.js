@@ -0,0 +1,73 @@
+// Mock the GitHub Actions toolkit before importing the client
+jest.mock('@actions/core', () => ({
+  getInput: jest.fn((name) => ({ 'github-token': 'test-github-token', 'ai-api-key': 'test-api-key' }[name] || '')),
+  debug: jest.fn()
+}));
+
+jest.mock('@actions/github', () => ({
+  getOctokit: jest.fn()
+}));
+
+const { getOctokit } = require('@actions/github');
+const GitHubClient = require('../../src/github');
+
+describe('GitHubClient', () => {
+  let originalEnv;
+  let consoleSpy;
+  let octokit;
+
+  const marker = '<!-- doxai-preview -->';
+
+  const createClient = (comments) => {
+    octokit = {
+      hook: { wrap: jest.fn() },
+      paginate: {
+        iterator: jest.fn(() => (async function* () {
+          yield { data: comments };
+        })())
+      },
+      rest: {
+        issues: { listComments: jest.fn() },
+        users: { getAuthenticated: jest.fn() }
+      }
+    };
+    getOctokit.mockReturnValue(octokit);
+    return new GitHubClient('token');
+  };
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    process.env.GITHUB_REPOSITORY_OWNER = 'octo';
+    process.env.GITHUB_REPOSITORY = 'octo/repo';
+    consoleSpy = ['log', 'warn', 'error'].map(method => jest.spyOn(console, method).mockImplementation());
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    consoleSpy.forEach(spy => spy.mockRestore());
+  });
+
+  describe('findComment', () => {
+    const comments = [
+      { id: 1, user: { login: 'alice' }, body: `> ${marker}\n\nWhy is the preview empty?` },
+      { id: 2, user: { login: 'github-actions[bot]' }, body: `${marker}\nPreview` },
+      { id: 3, user: { login: 'doc-bot' }, body: `${marker}\nPreview` }
+    ];
+
+    it('should only match comments of the workflow token user', async () => {
+      const client = createClient(comments);
+      octokit.rest.users.getAuthenticated.mockRejectedValue(new Error('Resource not accessible by integration'));
+
+      expect((await client.findComment(7, marker)).id).toBe(2);
+      expect(await client.findComment(7, '<!-- other -->')).toBeNull();
+      expect(octokit.rest.users.getAuthenticated).toHaveBeenCalledTimes(1);
+    });
+
+    it('should match comments of the user a personal token belongs to', async () => {
+      const client = createClient(comments);
+      octokit.rest.users.getAuthenticated.mockResolvedValue({ data: { login: 'doc-bot' } });
+
+      expect((await client.findComment(7, marker)).id).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,62 @@
+const { splitPatterns, expandBraces, matchesGlob, matchesGlobList } = require('../../src/glob-matcher');
+
+describe('GlobMatcher', () => {
+  describe('splitPatterns', () => {
+    it('should split on commas outside braces', () => {
+      expect(splitPatterns('src/*.{js,ts}, !src/legacy/ ,,docs/')).toEqual(['src/*.{js,ts}', '!src/legacy/', 'docs/']);
+    });
+  });
+
+  describe('expandBraces', () => {
+    it('should expand nested alternatives and keep braces without commas', () => {
+      expect(expandBraces('{a,b{c,d}}.{x,y}')).toEqual(['a.x', 'a.y', 'bc.x', 'bc.y', 'bd.x', 'bd.y']);
+      expect(expandBraces('{a}.js')).toEqual(['{a}.js']);
+    });
+  });
+
+  describe('matchesGlob', () => {
+    it('should match names at any depth and slashed patterns from the root', () => {
+      expect(matchesGlob('src/lib/date.js', 'date.js')).toBe(true);
+      expect(matchesGlob('src/lib/date.js', 'lib')).toBe(true);
+      expect(matchesGlob('src/lib/date.js', 'lib/date.js')).toBe(false);
+      expect(matchesGlob('src/lib/date.js', '/src/lib/*.js')).toBe(true);
+    });
+
+    it('should keep *, ? and character classes within one segment', () => {
+      expect(matchesGlob('src/a/b.js', 'src/*.js')).toBe(false);
+      expect(matchesGlob('src/b1.js', 'src/b?.js')).toBe(true);
+      expect(matchesGlob('src/bc.js', 'src/b[a-c].js')).toBe(true);
+      expect(matchesGlob('src/bd.js', 'src/b[!a-c].js')).toBe(true);
+      expect(matchesGlob('src/bc.js', 'src/b[!a-c].js')).toBe(false);
+    });
+
+    it('should let ** span zero or more directories', () => {
+      expect(matchesGlob('src/a.ts', 'src/**/*.ts')).toBe(true);
+      expect(matchesGlob('src/a/b/c.ts', 'src/**/*.ts')).toBe(true);
+      expect(matchesGlob('deep/src/x.ts', '**/src/*.ts')).toBe(true);
+      expect(matchesGlob('src/a/b/c.ts', 'src/**')).toBe(true);
+    });
+
+    it('should match only files below directories for a trailing slash', () => {
+      expect(matchesGlob('build/out.js', 'build/')).toBe(true);
+      expect(matchesGlob('build', 'build/')).toBe(false);
+    });
+  });
+
+  describe('matchesGlobList', () => {
+    it('should let the last matching pattern win', () => {
+      const patterns = ['src/**', '!src/legacy/', 'src/legacy/keep.js'];
+
+      expect(matchesGlobList('src/app.js', patterns)).toBe(true);
+      expect(matchesGlobList('src/legacy/old.js', patterns)).toBe(false);
+      expect(matchesGlobList('src/legacy/keep.js', patterns)).toBe(true);
+      expect(matchesGlobList('lib/app.js', patterns)).toBe(false);
+    });
+
+    it('should start from every file when the list begins with a negation', () => {
+      expect(matchesGlobList('src/app.js', ['!test/'])).toBe(true);
+      expect(matchesGlobList('test/app.test.js', ['!test/'])).toBe(false);
+      expect(matchesGlobList('src/app.js', [])).toBe(false);
+    });
+  });
+});
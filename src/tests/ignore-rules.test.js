@@ -0,0 +1,44 @@
+const { parseIgnoreFile, parseGitAttributes, getAttributes, getIgnoreReason } = require('../../src/ignore-rules');
+
+describe('IgnoreRules', () => {
+  describe('parseIgnoreFile', () => {
+    it('should drop comments, blank lines and unescaped trailing spaces', () => {
+      expect(parseIgnoreFile('# comment\n\nsrc/gen/  \r\n!src/gen/index.js\n\\#notes.md\n')).toEqual([
+        'src/gen/', '!src/gen/index.js', '#notes.md'
+      ]);
+    });
+  });
+
+  describe('parseGitAttributes', () => {
+    it('should read set, unset, unspecified and valued attributes', () => {
+      expect(parseGitAttributes('*.js text eol=lf -diff !merge\n# comment\n!neg linguist-generated\nREADME\n')).toEqual([
+        { pattern: '*.js', attributes: { text: true, eol: 'lf', diff: false, merge: undefined } }
+      ]);
+    });
+
+    it('should let later lines override earlier ones per attribute', () => {
+      const rules = parseGitAttributes('gen/** linguist-generated text\ngen/keep.js linguist-generated=false\n');
+
+      expect(getAttributes('gen/a.js', rules)).toEqual({ 'linguist-generated': true, text: true });
+      expect(getAttributes('gen/keep.js', rules)).toEqual({ 'linguist-generated': false, text: true });
+    });
+  });
+
+  describe('getIgnoreReason', () => {
+    const rules = {
+      ignorePatterns: parseIgnoreFile('legacy/\n'),
+      attributeRules: parseGitAttributes('vendor/** linguist-vendored\nvendor/patched.js doxai\n*.gen.ts -doxai\n')
+    };
+
+    it('should report the rule that excludes a file', () => {
+      expect(getIgnoreReason('legacy/a.js', rules)).toBe('Ignored by .doxaiignore');
+      expect(getIgnoreReason('vendor/lib.js', rules)).toBe('Vendored (linguist-vendored)');
+      expect(getIgnoreReason('src/api.gen.ts', rules)).toBe('Excluded by .gitattributes (-doxai)');
+      expect(getIgnoreReason('src/app.ts', rules)).toBeNull();
+    });
+
+    it('should document vendored or generated files with the doxai attribute set', () => {
+      expect(getIgnoreReason('vendor/patched.js', rules)).toBeNull();
+    });
+  });
+});
@@ -190,6 +190,42 @@ describe('Logger', () => {
     });
   });
 
+  describe('json format', () => {
+    afterEach(() => {
+      Logger.setFormat('text');
+    });
+
+    it('should log one JSON object per line with data fields', () => {
+      Logger.setFormat('json');
+      logger.info('Finished file', { durationMs: 120, inputTokens: 300, message: 'ignored' });
+
+      const entry = JSON.parse(consoleSpy.log.mock.calls[0][0]);
+      expect(entry).toEqual({
+        timestamp: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+        level: 'info',
+        context: 'TestContext',
+        message: 'Finished file',
+        durationMs: 120,
+        inputTokens: 300
+      });
+    });
+
+    it('should keep the stack of errors in the entry and plain text annotations', () => {
+      Logger.setFormat('json');
+      const error = new Error('Processing failed');
+      logger.error('Failed to process file', error);
+
+      expect(consoleSpy.error).toHaveBeenCalledTimes(1);
+      const entry = JSON.parse(consoleSpy.error.mock.calls[0][0]);
+      expect(entry).toMatchObject({ level: 'error', error: 'Processing failed', stack: error.stack });
+      expect(core.error).toHaveBeenCalledWith(expect.stringContaining('Failed to process file - Processing failed'));
+    });
+
+    it('should reject unknown formats', () => {
+      expect(() => Logger.setFormat('xml')).toThrow('Unsupported log format: xml');
+    });
+  });
+
   describe('integration scenarios', () => {
     it('should handle complex logging scenario', () => {
       const fileLogger = logger.createChild('FileProcessor');
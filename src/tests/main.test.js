@@ -0,0 +1,684 @@
+// Mock the GitHub Actions toolkit before importing the generator
+jest.mock('@actions/core', () => ({
+  getInput: jest.fn((name) => ({ 'github-token': 'test-github-token', 'ai-api-key': 'test-api-key' }[name] || '')),
+  setOutput: jest.fn(),
+  setFailed: jest.fn(),
+  warning: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('@actions/github', () => ({
+  context: { payload: {}, actor: 'octocat' },
+  getOctokit: jest.fn()
+}));
+
+// The prompt templates are not part of these tests; prompts of a fixed size keep token estimates predictable
+jest.mock('../../src/docs-prompt', () => ({
+  getSystemPrompt: jest.fn(() => 'S'.repeat(400)),
+  createDocsPrompt: jest.fn(() => 'G'.repeat(800)),
+  createUpdateDocsPrompt: jest.fn(() => 'U'.repeat(1200)),
+  getLanguageGroup: jest.fn(() => 'javascript'),
+  appendRelatedModules: jest.fn((prompt, modules) =>
+    modules.length > 0 ? `${prompt}\n## Related Modules\n${modules.map(module => module.signatures.join('\n')).join('\n')}` : prompt
+  )
+}));
+
+const path = require('path');
+const github = require('@actions/github');
+const { DocumentationGenerator } = require('../../src/main');
+const AIClient = require('../../src/ai-client');
+const config = require('../../src/config');
+const { TEMPLATE_VERSION, writeDocMetadata } = require('../../src/doc-metadata');
+const { buildIndexPages } = require('../../src/doc-index');
+
+describe('DocumentationGenerator', () => {
+  let generator;
+  let consoleSpy;
+
+  const command = {
+    command: 'doxai',
+    rawCommand: '!doxai preview',
+    options: { scope: 'all', lang: 'en', format: 'md' }
+  };
+
+  const prDetails = { number: 7, base: 'main', head: 'feature', headSha: 'abcdef1234567' };
+
+  // Stand-in for the blob SHA GitHub reports, derived from the content like the real one
+  const shaOf = (content) => `sha:${content}`;
+
+  // GitHub client whose files live in an in-memory map keyed by "ref:path" and whose trees are keyed by ref
+  const createGitHubClient = (files = {}, trees = {}) => {
+    const read = (filePath, ref) => {
+      if (files[`${ref}:${filePath}`] === undefined) {
+        throw new Error(`File not found: ${filePath}`);
+      }
+      return files[`${ref}:${filePath}`];
+    };
+
+    return {
+      getFileContent: jest.fn(async (filePath, ref) => read(filePath, ref)),
+      getFileInfo: jest.fn(async (filePath, ref) => {
+        const content = read(filePath, ref);
+        return { content, sha: shaOf(content) };
+      }),
+      getRepositoryTree: jest.fn(async (ref) => trees[ref] || []),
+      getDefaultBranch: jest.fn(async () => 'main'),
+      branchExists: jest.fn(async () => false),
+      createBranch: jest.fn(async () => ({})),
+      createOrGetDocsBranch: jest.fn(async (base, branchName) => ({ branchName, created: true, existingPR: null })),
+      findOpenPRForBranch: jest.fn(async () => null),
+      commitMultipleChanges: jest.fn(async () => ({})),
+      createPR: jest.fn(async () => ({ html_url: 'https://github.com/octo/repo/pull/8' })),
+      findComment: jest.fn(async () => null),
+      createComment: jest.fn(async () => ({})),
+      updateComment: jest.fn(async () => ({}))
+    };
+  };
+
+  // Markdown doc recording the SHA of the source it was generated from
+  const docFor = (title, sourceContent) =>
+    writeDocMetadata(`# ${title}\n\nDescribes \`${title}\`.`, 'md', { sourceSha: shaOf(sourceContent), templateVersion: TEMPLATE_VERSION });
+
+  // AI client answering every prompt with the given usage, so the real accounting is exercised
+  const createAIClient = (inputTokens, outputTokens) => {
+    const aiClient = new AIClient();
+    aiClient.postRequest = jest.fn(async () => ({
+      data: {
+        candidates: [{ content: { parts: [{ text: '# doc' }] }, finishReason: 'STOP' }],
+        usageMetadata: { promptTokenCount: inputTokens, candidatesTokenCount: outputTokens }
+      }
+    }));
+    return aiClient;
+  };
+
+  // Documentation generation that sends one prompt per file
+  const generateWithOnePrompt = () => jest.fn(async (filename) => {
+    await generator.aiClient.sendPrompt('system', filename);
+    return `# ${path.posix.basename(filename)}\n\nGenerated.`;
+  });
+
+  beforeEach(() => {
+    consoleSpy = ['log', 'warn', 'error'].map(method => jest.spyOn(console, method).mockImplementation());
+
+    generator = new DocumentationGenerator();
+    generator.githubClient = createGitHubClient();
+    generator.aiClient = {
+      usage: { inputTokens: 0, outputTokens: 0, requests: 0 },
+      getTotalTokens: () => 0
+    };
+  });
+
+  afterEach(() => {
+    consoleSpy.forEach(spy => spy.mockRestore());
+  });
+
+  // Run settings changed by a test are restored afterwards
+  const settings = ['aiContextWindow', 'concurrency', 'maxTokensPerRun', 'runOnMerge', 'sweepChunkSize', 'sweepTimeLimit'];
+  let savedSettings;
+
+  beforeEach(() => {
+    savedSettings = Object.fromEntries(settings.map(key => [key, config[key]]));
+  });
+
+  afterEach(() => {
+    Object.assign(config, savedSettings);
+  });
+
+  describe('large files', () => {
+    // A 16000 token window leaves 6000 tokens per prompt for source and embedded docs
+    const source = 'x'.repeat(5000 * 4);
+    const generate = (existingDoc, patch = null) =>
+      generator.generateDocumentation('src/a.js', source, existingDoc, prDetails, 'en', 'md', patch);
+
+    beforeEach(() => {
+      config.aiContextWindow = 16000;
+      generator.aiClient = createAIClient(100, 50);
+      generator.generateChunkedDocumentation = jest.fn(async () => '# a.js\n\nChunked.');
+      generator.ensureValidDocumentation = jest.fn(async (filename, doc) => doc);
+    });
+
+    it('should send a file that fits with its prompt in a single request', async () => {
+      expect(await generate(null)).toBe('# doc');
+      expect(generator.generateChunkedDocumentation).not.toHaveBeenCalled();
+    });
+
+    it('should chunk a file whose existing doc makes the update prompt too large', async () => {
+      expect(await generate('d'.repeat(2000 * 4))).toBe('# a.js\n\nChunked.');
+      expect(generator.aiClient.postRequest).not.toHaveBeenCalled();
+    });
+
+    it('should count the diff and related module signatures as well', async () => {
+      generator.getRelatedModules = jest.fn(async () => [{ path: 'src/b.js', summary: '', signatures: ['s'.repeat(800 * 4)] }]);
+
+      await generate(null, 'p'.repeat(300 * 4));
+
+      expect(generator.generateChunkedDocumentation).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('logging', () => {
+    const infoLines = () => consoleSpy[0].mock.calls.map(call => call[0]).filter(line => line.includes(' INFO [DocumentationGenerator]'));
+
+    it('should log the detected command and loaded configuration on one line each', async () => {
+      const loadRepositoryConfig = jest.spyOn(config, 'loadRepositoryConfig')
+      .mockResolvedValue({ defaults: { language: 'ko' }, ai: { model: 'gemini-2.0-flash' } });
+
+      try {
+        const parsed = generator.parseCommand({ comment: { body: 'Please run\n!doxai --lang ko' } });
+        await generator.applyRepositoryConfig('main', parsed);
+      } finally {
+        loadRepositoryConfig.mockRestore();
+      }
+
+      expect(infoLines()).toEqual([
+        expect.stringMatching(/\[DocumentationGenerator\] Command detected: !doxai --lang ko$/),
+        expect.stringMatching(/\[DocumentationGenerator\] Loaded \.doxai\.yml from main \(defaults, ai\)$/)
+      ]);
+    });
+  });
+
+  describe('merged pull requests', () => {
+    const mergedPayload = {
+      action: 'closed',
+      pull_request: { number: 7, merged: true, user: { login: 'alice' }, merged_by: { login: 'bob' } }
+    };
+    let eventName;
+
+    beforeEach(() => {
+      eventName = process.env.GITHUB_EVENT_NAME;
+      process.env.GITHUB_EVENT_NAME = 'pull_request';
+      config.runOnMerge = true;
+    });
+
+    afterEach(() => {
+      process.env.GITHUB_EVENT_NAME = eventName;
+      github.context.payload = {};
+    });
+
+    it('should document a merged pull request and mention who merged it', () => {
+      github.context.payload = mergedPayload;
+
+      expect(generator.validateEnvironment()).toEqual({ isValid: true, trigger: 'merge', payload: mergedPayload });
+      expect(generator.getTriggerDetails(mergedPayload)).toEqual({ prNumber: 7, username: 'bob' });
+      expect(generator.getTriggerDetails({ pull_request: { number: 7, user: { login: 'alice' } } })).toEqual({ prNumber: 7, username: 'alice' });
+    });
+
+    it('should ignore pull requests closed without merging and other pull request events', () => {
+      const closed = { action: 'closed', pull_request: { ...mergedPayload.pull_request, merged: false } };
+
+      expect(generator.validateMergeEvent(closed)).toEqual({ isValid: false, message: 'Pull request was not closed as merged, nothing to document' });
+      expect(generator.validateMergeEvent({ ...mergedPayload, action: 'synchronize' }).isValid).toBe(false);
+    });
+
+    it('should ignore merges unless run-on-merge is enabled', () => {
+      config.runOnMerge = false;
+
+      expect(generator.validateMergeEvent(mergedPayload)).toEqual({
+        isValid: false,
+        message: 'Automatic documentation on merge is disabled. Set the run-on-merge input to true to enable it'
+      });
+    });
+  });
+
+  describe('sweep', () => {
+    const sweepBranch = 'docs/doxai-sweep';
+    const sweepCommand = { ...command, rawCommand: '!doxai' };
+    const sources = { 'src/a.js': 'const a = 1;', 'src/b.js': 'const b = 1;', 'src/c.js': 'const c = 1;' };
+    const mainTree = Object.entries(sources).map(([filePath, content]) => ({ path: filePath, sha: shaOf(content) }));
+
+    const createSweepClient = (docs = {}) => {
+      const files = Object.fromEntries(Object.entries(sources).map(([filePath, content]) => [`main:${filePath}`, content]));
+      for (const [docPath, content] of Object.entries(docs)) {
+        files[`${sweepBranch}:${docPath}`] = content;
+      }
+
+      const client = createGitHubClient(files, { main: mainTree, [sweepBranch]: Object.keys(docs).map(docPath => ({ path: docPath })) });
+      client.branchExists.mockResolvedValue(Object.keys(docs).length > 0);
+      return client;
+    };
+    const commitMessages = () => generator.githubClient.commitMultipleChanges.mock.calls.map(call => call[3]);
+    const documented = () => generator.generateDocumentation.mock.calls.map(call => call[0]);
+
+    beforeEach(() => {
+      config.concurrency = 1;
+      generator.generateDocumentation = generateWithOnePrompt();
+      generator.aiClient = createAIClient(100, 50);
+    });
+
+    it('should commit every chunk of files with missing docs and open one PR', async () => {
+      config.sweepChunkSize = 2;
+      generator.githubClient = createSweepClient();
+
+      await generator.processSweep(sweepCommand);
+
+      expect(generator.githubClient.createBranch).toHaveBeenCalledWith(sweepBranch, 'main');
+      expect(commitMessages()).toEqual([
+        'docs: Update documentation for sweep chunk 1/2 (2 new)',
+        'docs: Update documentation for sweep chunk 2/2 (1 new)'
+      ]);
+      expect(generator.githubClient.createPR).toHaveBeenCalledTimes(1);
+      expect(generator.githubClient.createPR.mock.calls[0][1]).not.toContain('left for the next sweep run');
+    });
+
+    it('should stop before the next chunk when the time limit is reached', async () => {
+      config.sweepChunkSize = 1;
+      config.sweepTimeLimit = 1;
+      generator.githubClient = createSweepClient();
+
+      // Every file takes a minute on a fake clock
+      let now = 0;
+      const clock = jest.spyOn(Date, 'now').mockImplementation(() => now);
+      generator.generateDocumentation.mockImplementation(async (filename) => {
+        now += 60000;
+        return `# ${path.posix.basename(filename)}\n\nGenerated.`;
+      });
+
+      try {
+        await generator.processSweep(sweepCommand);
+      } finally {
+        clock.mockRestore();
+      }
+
+      expect(documented()).toEqual(['src/a.js']);
+      expect(commitMessages()).toEqual(['docs: Update documentation for sweep chunk 1/3 (1 new)']);
+      expect(generator.githubClient.createPR.mock.calls[0][1]).toContain('⏳ 2 files are left for the next sweep run');
+    });
+
+    it('should resume with the files whose docs are missing or were generated from another source SHA', async () => {
+      generator.githubClient = createSweepClient({
+        'docs/doxai/src/a.md': docFor('a.js', 'const a = 1;'),
+        'docs/doxai/src/b.md': docFor('b.js', 'const b = 0;')
+      });
+      generator.githubClient.findOpenPRForBranch.mockResolvedValue({ number: 9 });
+
+      await generator.processSweep(sweepCommand);
+
+      expect(documented()).toEqual(['src/b.js', 'src/c.js']);
+      expect(generator.githubClient.createBranch).not.toHaveBeenCalled();
+      expect(generator.githubClient.createPR).not.toHaveBeenCalled();
+      expect(generator.githubClient.createComment.mock.calls[0][0]).toBe(9);
+      expect(generator.githubClient.createComment.mock.calls[0][1]).toContain('**New documentation:** 1 files\n**Updated documentation:** 1 files');
+    });
+
+    it('should do nothing when every doc matches its source', async () => {
+      generator.githubClient = createSweepClient(Object.fromEntries(
+          Object.entries(sources).map(([filePath, content]) => [`docs/doxai/${filePath.replace(/\.js$/, '.md')}`, docFor(path.posix.basename(filePath), content)])
+      ));
+
+      await generator.processSweep(sweepCommand);
+
+      expect(generator.generateDocumentation).not.toHaveBeenCalled();
+      expect(generator.githubClient.commitMultipleChanges).not.toHaveBeenCalled();
+      expect(generator.githubClient.createPR).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('token usage and budget', () => {
+    const sources = {
+      'feature:src/a.js': 'const a = 1;',
+      'feature:src/b.js': 'const b = 1;',
+      'feature:src/c.js': 'const c = 1;'
+    };
+    const files = ['src/a.js', 'src/b.js', 'src/c.js'].map(filename => ({ filename, status: 'modified' }));
+
+    beforeEach(() => {
+      config.concurrency = 1;
+      generator.generateDocumentation = generateWithOnePrompt();
+    });
+
+    it('should add up usage across files and report it with the cost in the summary comment', async () => {
+      generator.githubClient = createGitHubClient(sources);
+      generator.aiClient = createAIClient(100000, 25000);
+
+      await generator.processDocumentation(prDetails, files, command, 'alice');
+
+      expect(generator.aiClient.usage).toEqual({ inputTokens: 300000, outputTokens: 75000, requests: 3 });
+      expect(generator.report.getFile('src/b.js')).toMatchObject({ inputTokens: 100000, outputTokens: 25000 });
+
+      const summary = generator.githubClient.createComment.mock.calls.map(call => call[1]).find(body => body.includes('completed'));
+      expect(summary).toContain('- Generated: 3\n');
+      expect(summary).toContain(
+          '🔢 **Token usage:**\n- Tokens: 300,000 input / 75,000 output (3 requests)\n- Estimated cost: $0.0600 (gemini-2.0-flash)\n'
+      );
+      expect(summary).not.toContain('- Budget:');
+      expect(generator.githubClient.createPR.mock.calls[0][1]).toContain('## 🔢 Token Usage\n- Tokens: 300,000 input');
+    });
+
+    it('should skip the remaining files once the token budget is used up', async () => {
+      config.maxTokensPerRun = 150000;
+      generator.githubClient = createGitHubClient(sources);
+      generator.aiClient = createAIClient(100000, 25000);
+
+      await generator.processDocumentation(prDetails, files, command, 'alice');
+
+      expect(generator.generateDocumentation.mock.calls.map(call => call[0])).toEqual(['src/a.js', 'src/b.js']);
+      expect(generator.report.getFile('src/c.js')).toMatchObject({ status: 'skipped', reason: 'Budget exhausted' });
+
+      const [, committed] = generator.githubClient.commitMultipleChanges.mock.calls[0];
+      expect(committed.map(file => file.path)).toEqual(['docs/doxai/src/a.md', 'docs/doxai/src/b.md', 'docs/doxai/index.md', 'docs/doxai/src/index.md']);
+
+      const summary = generator.githubClient.createComment.mock.calls.map(call => call[1]).find(body => body.includes('completed'));
+      expect(summary).toContain('- Skipped: 1\n');
+      expect(summary).toContain('- Estimated cost: $0.0400 (gemini-2.0-flash)\n- Budget: 250,000 / 150,000 tokens\n');
+    });
+
+    it('should stop a sweep before the next chunk once the token budget is used up', async () => {
+      config.maxTokensPerRun = 100000;
+      config.sweepChunkSize = 2;
+      generator.githubClient = createGitHubClient(
+          { 'main:src/a.js': 'a', 'main:src/b.js': 'b', 'main:src/c.js': 'c' },
+          { main: ['src/a.js', 'src/b.js', 'src/c.js'].map(filePath => ({ path: filePath, sha: shaOf(filePath) })) }
+      );
+      generator.aiClient = createAIClient(40000, 20000);
+
+      await generator.processSweep({ ...command, rawCommand: '!doxai', options: { ...command.options } });
+
+      expect(generator.githubClient.commitMultipleChanges).toHaveBeenCalledTimes(1);
+      expect(generator.githubClient.commitMultipleChanges.mock.calls[0][3]).toBe('docs: Update documentation for sweep chunk 1/2 (2 new)');
+
+      const body = generator.githubClient.createPR.mock.calls[0][1];
+      expect(body).toContain('⏳ 1 files are left for the next sweep run');
+      expect(body).toContain('- Budget: 120,000 / 100,000 tokens');
+    });
+  });
+
+  describe('existing documentation', () => {
+    const docsBranch = 'docs/doxai-pr-7';
+    const checkExistingDoc = () =>
+      generator.checkExistingDoc('src/a.js', 'docs/doxai/src/a.md', docsBranch, prDetails, shaOf('const a = 1;'), 'md');
+
+    it('should fall back to the base branch when the doc is not on the docs branch', async () => {
+      generator.githubClient = createGitHubClient({ 'main:docs/doxai/src/a.md': docFor('a.js', 'const a = 1;') });
+
+      expect(await checkExistingDoc()).toEqual({ exists: true, content: docFor('a.js', 'const a = 1;'), hasChanged: false });
+    });
+
+    it('should fail the file instead of regenerating it when the doc cannot be read', async () => {
+      generator.githubClient = createGitHubClient({ 'feature:src/a.js': 'const a = 1;' });
+      generator.githubClient.getFileContent.mockRejectedValue(new Error('API rate limit exceeded'));
+      generator.generateDocumentation = jest.fn();
+
+      await expect(checkExistingDoc()).rejects.toThrow('API rate limit exceeded');
+
+      const outcome = await generator.processChangedFile({ filename: 'src/a.js', status: 'modified' }, prDetails, docsBranch, command);
+      expect(outcome).toEqual({ source: 'src/a.js', error: 'API rate limit exceeded' });
+      expect(generator.generateDocumentation).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('renamed files', () => {
+    const docsBranch = 'docs/doxai-pr-7';
+    const renamed = { filename: 'lib/a.js', status: 'renamed', previous_filename: 'src/a.js' };
+
+    // Index pages of the docs branch listing the given docs of the project
+    const indexFiles = (docs) => Object.fromEntries(
+        buildIndexPages(new Map(docs.map(doc => [doc, `Describes ${doc}`])), 'md', 'doxai')
+        .map(page => [`${docsBranch}:docs/doxai/${page.path}`, page.content])
+    );
+
+    beforeEach(() => {
+      generator.generateDocumentation = jest.fn(async () => '# a.js\n\nRegenerated.');
+    });
+
+    it('should move the doc of a pure rename in the same commit without calling the AI', async () => {
+      generator.githubClient = createGitHubClient({
+        'feature:lib/a.js': 'const a = 1;',
+        [`${docsBranch}:docs/doxai/src/a.md`]: docFor('a.js', 'const a = 1;'),
+        ...indexFiles(['src/a.md'])
+      });
+
+      await generator.processDocumentation(prDetails, [renamed], command, 'alice');
+
+      expect(generator.generateDocumentation).not.toHaveBeenCalled();
+      expect(generator.githubClient.commitMultipleChanges).toHaveBeenCalledTimes(1);
+
+      const [, filesToCommit, filesToDelete] = generator.githubClient.commitMultipleChanges.mock.calls[0];
+      const committed = Object.fromEntries(filesToCommit.map(file => [file.path, file.content]));
+      expect(Object.keys(committed)).toEqual(['docs/doxai/lib/a.md', 'docs/doxai/index.md', 'docs/doxai/lib/index.md']);
+      expect(committed['docs/doxai/lib/a.md']).toBe(docFor('a.js', 'const a = 1;'));
+      expect(committed['docs/doxai/index.md']).toContain('- [lib/a](lib/a.md) - Describes `a.js`.');
+      expect(committed['docs/doxai/index.md']).not.toContain('src/');
+      expect(filesToDelete).toEqual(['docs/doxai/src/a.md', 'docs/doxai/src/index.md']);
+      expect(generator.report.getFile('lib/a.js')).toMatchObject({ status: 'updated', reason: 'Moved from docs/doxai/src/a.md' });
+    });
+
+    it('should regenerate a renamed doc whose source changed as well, starting from the moved doc', async () => {
+      generator.githubClient = createGitHubClient({
+        'feature:lib/a.js': 'const a = 2;',
+        'main:docs/doxai/src/a.md': docFor('a.js', 'const a = 1;')
+      });
+
+      await generator.processDocumentation(prDetails, [renamed], command, 'alice');
+
+      expect(generator.generateDocumentation).toHaveBeenCalledTimes(1);
+      expect(generator.generateDocumentation.mock.calls[0].slice(0, 2)).toEqual(['lib/a.js', 'const a = 2;']);
+
+      const [, filesToCommit, filesToDelete] = generator.githubClient.commitMultipleChanges.mock.calls[0];
+      expect(filesToCommit[0]).toMatchObject({ path: 'docs/doxai/lib/a.md', isNew: false, previousPath: 'docs/doxai/src/a.md' });
+      expect(filesToCommit[0].content).toContain('Regenerated.');
+      expect(filesToDelete).toContain('docs/doxai/src/a.md');
+    });
+
+    describe('findPreviousDoc', () => {
+      const findPreviousDoc = (file, sourceContent = 'const a = 1;') =>
+        generator.findPreviousDoc(file, generator.getDocPath(file.filename, 'doxai', 'md'), docsBranch, prDetails, shaOf(sourceContent), command);
+
+      it('should point the previous doc at the new name', async () => {
+        generator.githubClient = createGitHubClient({ 'main:docs/doxai/src/a.md': docFor('a.js', 'const a = 1;') });
+
+        expect(await findPreviousDoc({ ...renamed, filename: 'lib/b.js' })).toEqual({
+          path: 'docs/doxai/src/a.md',
+          content: docFor('b.js', 'const a = 1;'),
+          hasChanged: false
+        });
+        expect(await findPreviousDoc({ ...renamed, filename: 'lib/b.js' }, 'const b = 1;')).toMatchObject({ hasChanged: true });
+      });
+
+      it('should find nothing to move for other changes, unchanged doc paths or undocumented files', async () => {
+        generator.githubClient = createGitHubClient({ 'main:docs/doxai/src/a.md': docFor('a.js', 'const a = 1;') });
+
+        expect(await findPreviousDoc({ filename: 'lib/a.js', status: 'modified', previous_filename: 'src/a.js' })).toBeNull();
+        expect(await findPreviousDoc({ filename: 'src/a.ts', status: 'renamed', previous_filename: 'src/a.js' })).toBeNull();
+        expect(await findPreviousDoc({ filename: 'lib/c.js', status: 'renamed', previous_filename: 'src/c.js' })).toBeNull();
+      });
+    });
+  });
+
+  describe('dry run', () => {
+    const docsBranch = 'docs/doxai-pr-7';
+    const plan = (file) => generator.planChangedFile(file, prDetails, docsBranch, command);
+
+    it('should plan a new doc with the estimated prompt size', async () => {
+      generator.githubClient = createGitHubClient({ 'feature:src/a.js': 'const a = 1;' });
+
+      expect(await plan({ filename: 'src/a.js', status: 'added' })).toEqual({
+        source: 'src/a.js', action: 'generate', docs: ['docs/doxai/src/a.md'], estimatedTokens: 300, reason: undefined
+      });
+    });
+
+    it('should plan an update for a stale doc and skip a current one', async () => {
+      generator.githubClient = createGitHubClient({
+        'feature:src/a.js': 'const a = 2;',
+        'main:docs/doxai/src/a.md': docFor('a.js', 'const a = 1;'),
+        'feature:src/b.js': 'const b = 1;',
+        [`${docsBranch}:docs/doxai/src/b.md`]: docFor('b.js', 'const b = 1;')
+      });
+
+      expect(await plan({ filename: 'src/a.js', status: 'modified' })).toMatchObject({ action: 'update', estimatedTokens: 400 });
+      expect(await plan({ filename: 'src/b.js', status: 'modified' })).toEqual({
+        source: 'src/b.js', action: 'skip', docs: ['docs/doxai/src/b.md'], estimatedTokens: 0, reason: 'Source unchanged'
+      });
+    });
+
+    it('should plan deleting the docs of a removed file in every format', async () => {
+      generator.githubClient = createGitHubClient({
+        'main:docs/doxai/src/a.adoc': '= a.js',
+        [`${docsBranch}:docs/doxai/src/a.md`]: '# a.js'
+      });
+
+      expect(await plan({ filename: 'src/a.js', status: 'removed' })).toEqual({
+        source: 'src/a.js', action: 'delete', docs: ['docs/doxai/src/a.adoc', 'docs/doxai/src/a.md'], estimatedTokens: 0
+      });
+      expect(await plan({ filename: 'src/b.js', status: 'removed' })).toMatchObject({ action: 'skip', reason: 'No documentation to delete' });
+    });
+
+    it('should plan moving the doc of a renamed file and updating it when the content changed too', async () => {
+      generator.githubClient = createGitHubClient({
+        'feature:lib/a.js': 'const a = 1;',
+        'main:docs/doxai/src/a.md': docFor('a.js', 'const a = 1;'),
+        'feature:lib/b.js': 'const b = 2;',
+        'main:docs/doxai/src/b.md': docFor('b.js', 'const b = 1;')
+      });
+
+      expect(await plan({ filename: 'lib/a.js', status: 'renamed', previous_filename: 'src/a.js' })).toEqual({
+        source: 'lib/a.js', action: 'move', docs: ['docs/doxai/lib/a.md'], estimatedTokens: 0, reason: 'Moved from docs/doxai/src/a.md'
+      });
+      expect(await plan({ filename: 'lib/b.js', status: 'renamed', previous_filename: 'src/b.js' })).toEqual({
+        source: 'lib/b.js', action: 'update', docs: ['docs/doxai/lib/b.md'], estimatedTokens: 400, reason: 'Moved from docs/doxai/src/b.md'
+      });
+    });
+
+    it('should report a file that could not be checked', async () => {
+      expect(await plan({ filename: 'src/a.js', status: 'modified' })).toEqual({
+        source: 'src/a.js', action: 'error', docs: [], estimatedTokens: 0, reason: 'File not found: src/a.js'
+      });
+    });
+
+    it('should comment the plan without writing anything', async () => {
+      generator.githubClient = createGitHubClient({
+        'feature:src/a.js': 'const a = 1;',
+        'feature:lib/b.js': 'const b = 1;',
+        'main:docs/doxai/src/b.md': docFor('b.js', 'const b = 1;'),
+        'main:docs/doxai/src/c.md': '# c.js'
+      });
+
+      await generator.processDryRun(prDetails, [
+        { filename: 'src/a.js', status: 'added' },
+        { filename: 'lib/b.js', status: 'renamed', previous_filename: 'src/b.js' },
+        { filename: 'src/c.js', status: 'removed' }
+      ], command, 'alice');
+
+      const body = generator.githubClient.createComment.mock.calls[0][1];
+      expect(body).toContain('| 🆕 Generate | `src/a.js` | `docs/doxai/src/a.md` | ~300 |');
+      expect(body).toContain('| 🚚 Move (Moved from docs/doxai/src/b.md) | `lib/b.js` | `docs/doxai/lib/b.md` | - |');
+      expect(body).toContain('| 🗑️ Delete | `src/c.js` | `docs/doxai/src/c.md` | - |');
+      expect(body).toContain('📊 **Summary:** 1 to generate, 0 to update, 1 to move, 1 to delete, 0 to skip');
+      expect(body).toContain('🔢 **Estimated input tokens:** ~300');
+      expect(generator.githubClient.createOrGetDocsBranch).not.toHaveBeenCalled();
+      expect(generator.githubClient.commitMultipleChanges).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('documentation index', () => {
+    const layout = { template: config.docPathTemplate, mappings: config.docPathMappings };
+
+    afterEach(() => {
+      config.docPathTemplate = layout.template;
+      config.docPathMappings = layout.mappings;
+    });
+
+    const addIndexChanges = async (filesToCommit, filesToDelete = []) => {
+      await generator.addIndexChanges('docs/doxai-pr-7', filesToCommit, filesToDelete, command);
+      return { paths: filesToCommit.map(file => file.path), deletions: filesToDelete };
+    };
+
+    it('should index docs under the fixed part of the output path', async () => {
+      config.docPathTemplate = '{outDir}/{dir}/{name}.{ext}.{format}';
+      const docPath = generator.getDocPath('src/a.js', 'doxai', 'md');
+
+      const { paths } = await addIndexChanges([{ path: docPath, content: '# a.js\n\nFormats dates.' }]);
+
+      expect(docPath).toBe('docs/src/a.js.md');
+      expect(paths).toEqual(['docs/src/a.js.md', 'docs/index.md', 'docs/src/index.md']);
+    });
+
+    it('should give every mapping directory its own index and drop removed docs from it', async () => {
+      config.docPathMappings = [{ source: 'lib/**', directory: 'reference' }];
+      generator.githubClient = createGitHubClient({
+        'docs/doxai-pr-7:reference/index.md': '<!-- doxai-index: generated, manual edits are overwritten -->\n' +
+            '- [old.md](old.md) - Old helpers\n- [util.md](util.md) - Utilities'
+      });
+
+      const filesToCommit = [{ path: generator.getDocPath('lib/util.js', 'doxai', 'md'), content: '# util.js\n\nUtilities.' }];
+      const { paths, deletions } = await addIndexChanges(filesToCommit, ['reference/old.md']);
+
+      expect(paths).toEqual(['reference/util.md', 'reference/index.md']);
+      expect(deletions).toEqual(['reference/old.md']);
+      expect(filesToCommit[1].content).toContain('- [util](util.md) - Utilities.');
+      expect(filesToCommit[1].content).not.toContain('old.md');
+    });
+
+    it('should not build an index for docs kept next to the sources', async () => {
+      config.docPathTemplate = '{dir}/{name}.{ext}.{format}';
+
+      const { paths } = await addIndexChanges([{ path: 'src/a.js.md', content: '# a.js' }]);
+
+      expect(paths).toEqual(['src/a.js.md']);
+      expect(generator.githubClient.getFileContent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('preview', () => {
+    const lastCommentBody = (method) => generator.githubClient[method].mock.calls[0][1];
+
+    it('should show each file in a collapsible section', async () => {
+      await generator.postPreviewComment(prDetails, [
+        { source: 'src/a.js', docPath: 'docs/doxai/src/a.md', content: '# a.js\n\nBody', isNew: true },
+        { source: 'src/b.js', docPath: 'docs/doxai/src/b.md', reason: 'Budget exhausted' },
+        { source: 'src/c.js', docPath: 'docs/doxai/src/c.md', error: 'Request failed' }
+      ], command, 'alice');
+
+      const body = lastCommentBody('createComment');
+      expect(body).toMatch(/^<!-- doxai-preview -->\n👀 @alice Documentation preview for PR #7 at abcdef1/);
+      expect(body).toContain('<details>\n<summary>🆕 <code>src/a.js</code> → <code>docs/doxai/src/a.md</code></summary>\n\n# a.js\n\nBody\n\n</details>');
+      expect(body).toContain('<summary>⏭️ <code>src/b.js</code> → <code>docs/doxai/src/b.md</code></summary>\n\nBudget exhausted');
+      expect(body).toContain('<summary>❌ <code>src/c.js</code> → <code>docs/doxai/src/c.md</code></summary>\n\nRequest failed');
+    });
+
+    it('should fence AsciiDoc with a fence longer than any inside the content', () => {
+      const section = generator.formatPreviewSection(
+          { source: 'a.js', docPath: 'a.adoc', content: '= a.js\n\n```js\ncode\n```', isNew: false },
+          'adoc'
+      );
+
+      expect(section).toContain('<summary>📝 ');
+      expect(section).toContain('````asciidoc\n= a.js\n\n```js\ncode\n```\n````');
+    });
+
+    it('should omit files that do not fit into one comment', async () => {
+      const content = 'x'.repeat(30000);
+      const previews = ['a', 'b', 'c'].map(name => ({ source: `${name}.js`, docPath: `${name}.md`, content, isNew: true }));
+
+      await generator.postPreviewComment(prDetails, previews, command, 'alice');
+
+      const body = lastCommentBody('createComment');
+      expect(body.length).toBeLessThanOrEqual(65536);
+      expect(body.match(/<details>/g)).toHaveLength(2);
+      expect(body).toContain('⚠️ 1 more files did not fit in a single comment.');
+    });
+
+    it('should edit the previous preview comment in place', async () => {
+      generator.githubClient.findComment.mockResolvedValue({ id: 42 });
+
+      await generator.postPreviewComment(prDetails, [], command, 'alice');
+
+      expect(generator.githubClient.findComment).toHaveBeenCalledWith(7, '<!-- doxai-preview -->');
+      expect(generator.githubClient.updateComment).toHaveBeenCalledWith(42, expect.stringContaining('Documentation preview'));
+      expect(generator.githubClient.createComment).not.toHaveBeenCalled();
+    });
+
+    it('should generate from the head commit against the doc of the base branch', async () => {
+      generator.githubClient = createGitHubClient({
+        'abcdef1234567:src/a.js': 'const a = 1;',
+        'main:docs/doxai/src/a.md': '# a.js\n\nOld'
+      });
+      generator.generateDocumentation = jest.fn(async () => '# a.js\n<!-- doxai-source-sha: abc -->\n\nNew');
+
+      const preview = await generator.previewChangedFile({ filename: 'src/a.js', status: 'modified' }, prDetails, command);
+
+      expect(generator.generateDocumentation.mock.calls[0].slice(0, 3)).toEqual(['src/a.js', 'const a = 1;', '# a.js\n\nOld']);
+      expect(preview).toEqual({ source: 'src/a.js', docPath: 'docs/doxai/src/a.md', content: '# a.js\n\nNew', isNew: false });
+    });
+  });
+});
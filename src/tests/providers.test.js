@@ -0,0 +1,225 @@
+const { createProviders, registerProvider } = require('../../src/providers');
+const AIProvider = require('../../src/providers/ai-provider');
+const { FINISH_REASONS, CONTINUE_PROMPT } = AIProvider;
+
+describe('AI providers', () => {
+  const providers = createProviders({ baseUrl: 'http://localhost:8000/v1/', authHeader: '' });
+  const options = { temperature: 0.3, maxTokens: 1024 };
+
+  describe('openai', () => {
+    const provider = providers.openai;
+
+    it('should build a chat completions request', () => {
+      expect(provider.createRequestData('gpt-4', 'system', 'user', options)).toEqual({
+        model: 'gpt-4',
+        messages: [
+          { role: 'system', content: 'system' },
+          { role: 'user', content: 'user' }
+        ],
+        temperature: 0.3,
+        max_tokens: 1024
+      });
+    });
+
+    it('should parse text and usage', () => {
+      const data = {
+        choices: [{ message: { content: 'doc' } }],
+        usage: { prompt_tokens: 10, completion_tokens: 5 }
+      };
+
+      expect(provider.extractResponseText(data)).toBe('doc');
+      expect(provider.extractUsage(data)).toEqual({ inputTokens: 10, outputTokens: 5 });
+      expect(() => provider.extractResponseText({})).toThrow('Invalid response structure from OpenAI');
+    });
+
+    it('should report truncation and continue with a follow-up message', () => {
+      expect(provider.getFinishReason({ choices: [{ finish_reason: 'length' }] })).toBe(FINISH_REASONS.LENGTH);
+      expect(provider.getFinishReason({ choices: [{ finish_reason: 'stop' }] })).toBe(FINISH_REASONS.STOP);
+      expect(provider.getFinishReason({ choices: [{ finish_reason: 'content_filter' }] })).toBe('content_filter');
+
+      const request = provider.createContinuationData('gpt-4', 'system', 'user', 'partial', options);
+      expect(request.messages.slice(2)).toEqual([
+        { role: 'assistant', content: 'partial' },
+        { role: 'user', content: CONTINUE_PROMPT }
+      ]);
+    });
+  });
+
+  describe('anthropic', () => {
+    it('should send the system prompt separately', () => {
+      const request = providers.anthropic.createRequestData('claude-3-haiku', 'system', 'user', options);
+
+      expect(request.system).toBe('system');
+      expect(request.messages).toEqual([{ role: 'user', content: 'user' }]);
+    });
+
+    it('should join all text blocks of a response', () => {
+      const data = {
+        content: [
+          { type: 'text', text: '= a.js\n' },
+          { type: 'tool_use', id: 'x', input: {} },
+          { type: 'text', text: '\n== Overview' }
+        ],
+        stop_reason: 'end_turn'
+      };
+
+      expect(providers.anthropic.extractResponseText(data)).toBe('= a.js\n\n== Overview');
+      expect(providers.anthropic.getFinishReason(data)).toBe(FINISH_REASONS.STOP);
+      expect(() => providers.anthropic.extractResponseText({ content: [] })).toThrow('Invalid response structure from Anthropic');
+    });
+
+    it('should continue a truncated response from an assistant prefill', () => {
+      const provider = providers.anthropic;
+      expect(provider.getFinishReason({ stop_reason: 'max_tokens' })).toBe(FINISH_REASONS.LENGTH);
+
+      const request = provider.createContinuationData('claude-sonnet-4-0', 'system', 'user', 'partial text \n', options);
+      expect(request.messages).toEqual([
+        { role: 'user', content: 'user' },
+        { role: 'assistant', content: 'partial text' }
+      ]);
+      expect(provider.appendContinuation('partial text \n', ' continued')).toBe('partial text continued');
+    });
+
+    it('should accept any model unless an allow-list is configured', () => {
+      expect(providers.anthropic.isValidModel('claude-opus-4-1-20250805')).toBe(true);
+      expect(providers.anthropic.getPricing('claude-sonnet-4-20250514')).toEqual({ input: 3, output: 15 });
+      expect(providers.anthropic.getContextWindow('claude-3-5-haiku-latest')).toBe(200000);
+
+      const restricted = createProviders({ anthropicAllowedModels: ['claude-sonnet-4-0'] }).anthropic;
+      expect(() => restricted.validate('key', 'claude-sonnet-4-0')).not.toThrow();
+      expect(() => restricted.validate('key', 'claude-opus-4-0'))
+      .toThrow("Model 'claude-opus-4-0' is not allowed. Allowed models (anthropic-allowed-models): claude-sonnet-4-0");
+    });
+  });
+
+  describe('google', () => {
+    const provider = providers.google;
+
+    it('should put the model in the endpoint URL', () => {
+      expect(provider.buildEndpointUrl('gemini-2.0-flash'))
+      .toBe('https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent');
+    });
+
+    it('should report blocked content', () => {
+      expect(() => provider.extractResponseText({ promptFeedback: { blockReason: 'SAFETY' } }))
+      .toThrow('Content blocked by Google AI: SAFETY');
+    });
+
+    it('should report truncation and continue from the model turn', () => {
+      const data = {
+        candidates: [{ finishReason: 'MAX_TOKENS', content: { parts: [{ text: '= a.js' }, { text: '\n== Overview' }] } }]
+      };
+
+      expect(provider.getFinishReason(data)).toBe(FINISH_REASONS.LENGTH);
+      expect(provider.extractResponseText(data)).toBe('= a.js\n== Overview');
+      expect(provider.createContinuationData('gemini-2.0-flash', 'system', 'user', 'partial', options).contents.slice(1)).toEqual([
+        { role: 'model', parts: [{ text: 'partial' }] },
+        { role: 'user', parts: [{ text: CONTINUE_PROMPT }] }
+      ]);
+    });
+
+    it('should read errors wrapped in an array', () => {
+      expect(provider.extractErrorMessage([{ error: { message: 'quota' } }])).toBe('quota');
+    });
+  });
+
+  describe('openai-compatible', () => {
+    const provider = providers['openai-compatible'];
+
+    it('should append the chat completions path to the base URL', () => {
+      expect(provider.buildEndpointUrl('llama3')).toBe('http://localhost:8000/v1/chat/completions');
+    });
+
+    it('should accept any model and no API key', () => {
+      expect(provider.isValidModel('llama3')).toBe(true);
+      expect(() => provider.validate('')).not.toThrow();
+      expect(provider.headers('')).toEqual({ 'Content-Type': 'application/json' });
+    });
+
+    it('should send the key in a bearer or custom header', () => {
+      expect(provider.headers('secret').Authorization).toBe('Bearer secret');
+
+      const custom = createProviders({ baseUrl: 'http://proxy/v1', authHeader: 'X-Api-Key' })['openai-compatible'];
+      expect(custom.headers('secret')).toEqual({ 'Content-Type': 'application/json', 'X-Api-Key': 'secret' });
+    });
+
+    it('should require a base URL', () => {
+      const unconfigured = createProviders()['openai-compatible'];
+      expect(() => unconfigured.validate('')).toThrow("Required input 'ai-base-url' is missing");
+    });
+  });
+
+  describe('azure-openai', () => {
+    const provider = createProviders({
+      azureEndpoint: 'https://my-resource.openai.azure.com/',
+      azureApiVersion: '2024-06-01'
+    })['azure-openai'];
+
+    it('should build a deployment URL with the api-version', () => {
+      expect(provider.buildEndpointUrl('docs-gpt4o'))
+      .toBe('https://my-resource.openai.azure.com/openai/deployments/docs-gpt4o/chat/completions?api-version=2024-06-01');
+    });
+
+    it('should send the key in the api-key header', () => {
+      expect(provider.headers('secret')).toEqual({ 'Content-Type': 'application/json', 'api-key': 'secret' });
+    });
+
+    it('should require the endpoint', () => {
+      expect(() => createProviders()['azure-openai'].validate('secret')).toThrow('AZURE_OPENAI_ENDPOINT is not set');
+      expect(() => provider.validate('secret')).not.toThrow();
+    });
+
+    it('should map prompt content filter errors', () => {
+      const message = provider.extractErrorMessage({
+        error: {
+          code: 'content_filter',
+          message: 'The response was filtered',
+          innererror: {
+            code: 'ResponsibleAIPolicyViolation',
+            content_filter_result: {
+              hate: { filtered: true, severity: 'high' },
+              violence: { filtered: false, severity: 'safe' }
+            }
+          }
+        }
+      });
+
+      expect(message).toContain('Azure OpenAI content filter blocked the prompt (hate: high)');
+    });
+
+    it('should report filtered completions', () => {
+      const data = {
+        choices: [{
+          finish_reason: 'content_filter',
+          message: { content: '' },
+          content_filter_results: { self_harm: { filtered: true, severity: 'medium' } }
+        }]
+      };
+
+      expect(() => provider.extractResponseText(data))
+      .toThrow('Azure OpenAI content filter blocked the response (self_harm: medium)');
+    });
+
+    it('should fall back to the generic error message', () => {
+      expect(provider.extractErrorMessage({ error: { message: 'DeploymentNotFound' } })).toBe('DeploymentNotFound');
+    });
+  });
+
+  describe('registry', () => {
+    it('should require an API key by default', () => {
+      expect(() => providers.openai.validate('')).toThrow("Required input 'ai-api-key' is missing");
+    });
+
+    it('should create registered providers', () => {
+      class EchoProvider extends AIProvider {
+        constructor() {
+          super({ name: 'echo', displayName: 'Echo', endpoint: 'http://echo' });
+        }
+      }
+      registerProvider('echo', EchoProvider);
+
+      expect(createProviders().echo).toBeInstanceOf(EchoProvider);
+      expect(createProviders().echo.extractErrorMessage({ detail: 'bad' })).toBe('bad');
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const { RateLimiter, parseRetryAfter } = require('../../src/rate-limiter');
+
+describe('RateLimiter', () => {
+  const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  describe('map', () => {
+    it('should never run more tasks than the concurrency limit', async () => {
+      const limiter = new RateLimiter(2);
+      let running = 0;
+      let maxRunning = 0;
+
+      await limiter.map([1, 2, 3, 4, 5], async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await delay(5);
+        running--;
+      });
+
+      expect(maxRunning).toBe(2);
+      expect(limiter.active).toBe(0);
+    });
+
+    it('should return results in input order', async () => {
+      const limiter = new RateLimiter(3);
+
+      const results = await limiter.map([30, 10, 20], async (ms, index) => {
+        await delay(ms);
+        return index;
+      });
+
+      expect(results).toEqual([0, 1, 2]);
+    });
+
+    it('should release the slot when a task fails', async () => {
+      const limiter = new RateLimiter(1);
+
+      await expect(limiter.run(async () => {
+        throw new Error('boom');
+      })).rejects.toThrow('boom');
+      await expect(limiter.run(async () => 'ok')).resolves.toBe('ok');
+    });
+  });
+
+  describe('pause', () => {
+    it('should hold back new tasks until the pause elapses', async () => {
+      const limiter = new RateLimiter(2);
+      const start = Date.now();
+
+      limiter.pause(50);
+      await limiter.run(async () => {});
+
+      expect(Date.now() - start).toBeGreaterThanOrEqual(45);
+    });
+
+    it('should keep the longest pause', () => {
+      const limiter = new RateLimiter();
+
+      limiter.pause(1000);
+      const pausedUntil = limiter.pausedUntil;
+      limiter.pause(10);
+
+      expect(limiter.pausedUntil).toBe(pausedUntil);
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    it('should read retry-after in seconds', () => {
+      expect(parseRetryAfter({ 'retry-after': '20' })).toBe(20000);
+    });
+
+    it('should read retry-after as an HTTP date', () => {
+      const date = new Date(Date.now() + 10000).toUTCString();
+      const result = parseRetryAfter({ 'retry-after': date });
+
+      expect(result).toBeGreaterThan(8000);
+      expect(result).toBeLessThanOrEqual(10000);
+    });
+
+    it('should fall back to the rate limit reset time', () => {
+      const reset = Math.floor(Date.now() / 1000) + 30;
+      const result = parseRetryAfter({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(reset) });
+
+      expect(result).toBeGreaterThan(28000);
+      expect(result).toBeLessThanOrEqual(30000);
+    });
+
+    it('should return null without rate limit headers', () => {
+      expect(parseRetryAfter({ 'x-ratelimit-remaining': '42' })).toBeNull();
+      expect(parseRetryAfter()).toBeNull();
+    });
+  });
+});
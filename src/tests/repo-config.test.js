@@ -0,0 +1,100 @@
+const { parseRepositoryConfig, validateRepositoryConfig, REPO_CONFIG_FILE } = require('../../src/repo-config');
+
+describe('RepoConfig', () => {
+  describe('parseRepositoryConfig', () => {
+    it('should parse a valid configuration', () => {
+      const content = `
+output:
+  directory: site/docs
+defaults:
+  language: ko
+  scope: include:src
+ai:
+  provider: openai
+  model: gpt-4
+files:
+  extensions: [js, ts]
+  exclude: [node_modules/, vendor/]
+`;
+
+      expect(parseRepositoryConfig(content)).toEqual({
+        output: { directory: 'site/docs' },
+        defaults: { language: 'ko', scope: 'include:src' },
+        ai: { provider: 'openai', model: 'gpt-4' },
+        files: { extensions: ['js', 'ts'], exclude: ['node_modules/', 'vendor/'] }
+      });
+    });
+
+    it('should return an empty object for an empty file', () => {
+      expect(parseRepositoryConfig('')).toEqual({});
+      expect(parseRepositoryConfig('# only comments\n')).toEqual({});
+    });
+
+    it('should report YAML syntax errors', () => {
+      expect(() => parseRepositoryConfig('files: [js, ts')).toThrow(`Invalid ${REPO_CONFIG_FILE}`);
+    });
+
+    it('should report the offending key path', () => {
+      const content = `
+files:
+  extensions: [js, 42]
+defaults:
+  language: fr
+`;
+
+      expect(() => parseRepositoryConfig(content)).toThrow(/files\.extensions\[1\]: expected string, got number/);
+      expect(() => parseRepositoryConfig(content)).toThrow(/defaults\.language: must be one of ko, en/);
+    });
+  });
+
+  describe('validateRepositoryConfig', () => {
+    it('should reject unknown keys', () => {
+      expect(validateRepositoryConfig({ ai: { temperature: 1 } })).toEqual(['ai.temperature: unknown key']);
+    });
+
+    it('should reject a non-object root', () => {
+      expect(validateRepositoryConfig(['js'])).toEqual(['(root): expected object, got array']);
+    });
+
+    it('should reject output directories outside the repository', () => {
+      expect(validateRepositoryConfig({ output: { directory: '../docs' } })).toEqual([
+        'output.directory: must be a relative path inside the repository (got ../docs)'
+      ]);
+      expect(validateRepositoryConfig({ output: { directory: '/docs' } })).toHaveLength(1);
+    });
+
+    it('should reject out of range concurrency', () => {
+      expect(validateRepositoryConfig({ processing: { concurrency: 0 } })).toEqual([
+        'processing.concurrency: must be an integer between 1 and 10 (got 0)'
+      ]);
+      expect(validateRepositoryConfig({ processing: { concurrency: 2.5 } })).toHaveLength(1);
+      expect(validateRepositoryConfig({ processing: { concurrency: 4 } })).toEqual([]);
+    });
+
+    it('should validate the scope expression', () => {
+      expect(validateRepositoryConfig({ defaults: { scope: 'include:src/** exclude:**/*.spec.*' } })).toEqual([]);
+      expect(validateRepositoryConfig({ defaults: { scope: 'src/' } })).toEqual([
+        expect.stringMatching(/^defaults\.scope: must be all, or include:<patterns> .* \(got src\/\)$/)
+      ]);
+    });
+
+    it('should validate the output path template and mappings', () => {
+      expect(validateRepositoryConfig({
+        output: {
+          path: '{outDir}/{dir}/{name}.{ext}.{format}',
+          mappings: [{ source: 'src/main/java/**', directory: 'docs/java/{dir}' }]
+        }
+      })).toEqual([]);
+      expect(validateRepositoryConfig({ output: { path: '{outDir}/{file}.{format}' } })).toEqual([
+        expect.stringMatching(/^output\.path: must be a relative path containing \{name\}/)
+      ]);
+      expect(validateRepositoryConfig({ output: { mappings: [{ source: 'lib/**' }] } })).toEqual([
+        'output.mappings[0].directory: required key is missing'
+      ]);
+    });
+
+    it('should accept a partial configuration', () => {
+      expect(validateRepositoryConfig({ defaults: { scope: 'all' } })).toEqual([]);
+    });
+  });
+});
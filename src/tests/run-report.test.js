@@ -0,0 +1,66 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RunReport, createRunId, getLogFields, setPhase, addFileUsage } = require('../../src/run-report');
+
+describe('RunReport', () => {
+  describe('createRunId', () => {
+    it('should combine the workflow run id and attempt', () => {
+      expect(createRunId({ GITHUB_RUN_ID: '42', GITHUB_RUN_ATTEMPT: '2' })).toBe('42-2');
+      expect(createRunId({})).toMatch(/^local-/);
+    });
+  });
+
+  describe('trackFile', () => {
+    it('should attribute phases and token usage to the file being processed', async () => {
+      const report = new RunReport('42-1');
+      const tick = () => new Promise(resolve => setImmediate(resolve));
+
+      const process = (file, tokens) => report.trackFile(file, async () => {
+        await tick();
+        setPhase('generate');
+        addFileUsage({ inputTokens: tokens, outputTokens: 10 });
+        await tick();
+        return getLogFields();
+      });
+
+      const fields = await Promise.all([process('a.js', 100), process('b.js', 200)]);
+
+      expect(fields).toEqual([
+        { runId: '42-1', phase: 'generate', file: 'a.js' },
+        { runId: '42-1', phase: 'generate', file: 'b.js' }
+      ]);
+      expect(report.getFile('b.js')).toMatchObject({ inputTokens: 200, outputTokens: 10, requests: 1 });
+      expect(getLogFields()).toEqual({ runId: '42-1', phase: 'setup', file: undefined });
+    });
+  });
+
+  describe('write', () => {
+    it('should write statuses, totals and run fields as JSON', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'doxai-report-'));
+      const report = new RunReport('42-1');
+
+      report.setStatus('src/a.js', 'generated', { docs: ['docs/app/src/a.js.adoc'] });
+      report.setStatus('src/b.js', 'skipped', { docs: ['docs/app/src/b.js.adoc'], reason: 'Source unchanged' });
+      report.getFile('src/c.js');
+
+      const { path: reportPath, report: written } = report.write(path.join(dir, 'out/report.json'), { model: 'gpt-4o' });
+
+      expect(JSON.parse(fs.readFileSync(reportPath, 'utf8'))).toEqual(written);
+      expect(written).toMatchObject({
+        version: 1,
+        runId: '42-1',
+        status: 'success',
+        model: 'gpt-4o',
+        totals: { generated: 1, updated: 0, deleted: 0, skipped: 1, failed: 0 }
+      });
+      expect(written.files.map(file => [file.file, file.status, file.reason])).toEqual([
+        ['src/a.js', 'generated', undefined],
+        ['src/b.js', 'skipped', 'Source unchanged']
+      ]);
+      expect(report.toJSON({ error: 'boom' }).status).toBe('failed');
+
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  });
+});
@@ -0,0 +1,26 @@
+const { parseScope, isValidScope } = require('../../src/scope-parser');
+
+describe('ScopeParser', () => {
+  describe('parseScope', () => {
+    it('should parse all as no patterns', () => {
+      expect(parseScope('all')).toEqual({ include: [], exclude: [] });
+    });
+
+    it('should collect include and exclude clauses in order', () => {
+      expect(parseScope('include:src/**,lib/** exclude:**/*.test.*  include:bin/my-tool.js')).toEqual({
+        include: ['src/**', 'lib/**', 'bin/my-tool.js'],
+        exclude: ['**/*.test.*']
+      });
+      expect(parseScope('exclude:*.{spec,test}.js')).toEqual({ include: [], exclude: ['*.{spec,test}.js'] });
+    });
+
+    it('should reject unknown clauses and clauses without patterns', () => {
+      expect(() => parseScope('src/')).toThrow("Invalid scope clause 'src/'");
+      expect(() => parseScope('all exclude:test')).toThrow("Invalid scope clause 'all'");
+      expect(() => parseScope('include:')).toThrow("Scope clause 'include:' has no patterns");
+      expect(() => parseScope(' ')).toThrow('Empty scope');
+      expect(isValidScope('include:src exclude:test')).toBe(true);
+      expect(isValidScope('invalid-pattern')).toBe(false);
+    });
+  });
+});